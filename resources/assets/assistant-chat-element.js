@@ -0,0 +1,367 @@
+import { createAssistantClient } from './assistant-client.js';
+
+const CLIENT_ATTRIBUTES = Object.freeze([
+    'chat-endpoint',
+    'headers',
+    'with-credentials',
+    'session-id',
+    'stream-transport',
+    'agent-runs-endpoint',
+]);
+
+const STYLES = `
+:host {
+    display: block;
+    color: var(--ai-chat-color, #101828);
+    font: var(--ai-chat-font, inherit);
+}
+.panel {
+    display: grid;
+    grid-template-rows: 1fr auto;
+    height: 100%;
+    min-height: var(--ai-chat-min-height, 20rem);
+    background: var(--ai-chat-background, #fff);
+    border: 1px solid var(--ai-chat-border-color, #d0d5dd);
+    border-radius: var(--ai-chat-radius, 0.75rem);
+    overflow: hidden;
+}
+.messages {
+    display: grid;
+    align-content: start;
+    gap: var(--ai-chat-gap, 0.75rem);
+    margin: 0;
+    padding: var(--ai-chat-padding, 1rem);
+    list-style: none;
+    overflow-y: auto;
+}
+.turn {
+    display: grid;
+    gap: 0.375rem;
+    max-width: 85%;
+    padding: 0.625rem 0.75rem;
+    border-radius: var(--ai-chat-bubble-radius, 0.625rem);
+    background: var(--ai-chat-assistant-background, #f2f4f7);
+    white-space: pre-wrap;
+    overflow-wrap: anywhere;
+}
+.turn[data-role="user"] {
+    justify-self: end;
+    background: var(--ai-chat-user-background, #1570ef);
+    color: var(--ai-chat-user-color, #fff);
+}
+.turn[data-status="pending"] .text:empty::after {
+    content: '…';
+}
+.turn[data-status="failed"] {
+    outline: 1px solid var(--ai-chat-error-color, #d92d20);
+}
+.tools,
+.sources {
+    display: grid;
+    gap: 0.25rem;
+    margin: 0;
+    padding: 0;
+    list-style: none;
+    font-size: 0.875em;
+    color: var(--ai-chat-muted-color, #667085);
+    white-space: normal;
+}
+.tools:empty,
+.sources:empty {
+    display: none;
+}
+.tool[data-status="failed"],
+.tool[data-status="rejected"] {
+    color: var(--ai-chat-error-color, #d92d20);
+}
+.sources a {
+    color: var(--ai-chat-accent-color, #1570ef);
+}
+.composer {
+    display: flex;
+    gap: 0.5rem;
+    padding: 0.75rem;
+    border-top: 1px solid var(--ai-chat-border-color, #d0d5dd);
+}
+textarea {
+    flex: 1;
+    min-height: 2.5rem;
+    resize: vertical;
+    padding: 0.5rem 0.625rem;
+    border: 1px solid var(--ai-chat-border-color, #d0d5dd);
+    border-radius: var(--ai-chat-input-radius, 0.5rem);
+    font: inherit;
+}
+button {
+    padding: 0.5rem 0.875rem;
+    border: 0;
+    border-radius: var(--ai-chat-input-radius, 0.5rem);
+    background: var(--ai-chat-accent-color, #1570ef);
+    color: var(--ai-chat-accent-contrast, #fff);
+    font: inherit;
+    cursor: pointer;
+}
+button[hidden] {
+    display: none;
+}
+button.cancel {
+    background: var(--ai-chat-cancel-background, #f2f4f7);
+    color: var(--ai-chat-color, #101828);
+}
+`;
+
+const BaseElement = globalThis.HTMLElement || class {};
+
+export function assistantChatOptions(element) {
+    const options = {};
+    const chatEndpoint = element.getAttribute('chat-endpoint');
+    const headers = element.getAttribute('headers');
+    const withCredentials = element.getAttribute('with-credentials');
+    const sessionId = element.getAttribute('session-id');
+    const streamTransport = element.getAttribute('stream-transport');
+    const agentRunsEndpoint = element.getAttribute('agent-runs-endpoint');
+
+    if (chatEndpoint) options.chatEndpoint = chatEndpoint;
+    if (headers) {
+        try {
+            const decoded = JSON.parse(headers);
+            if (decoded && typeof decoded === 'object') options.headers = decoded;
+        } catch {
+            // Invalid JSON leaves the default headers in place.
+        }
+    }
+    if (withCredentials !== null) options.withCredentials = withCredentials !== 'false';
+    if (sessionId) options.sessionId = sessionId;
+    if (streamTransport) options.streamTransport = streamTransport;
+    if (agentRunsEndpoint) options.agentRunsEndpoint = agentRunsEndpoint;
+
+    return options;
+}
+
+// Sources come from indexed content, so only web links are rendered as anchors.
+function sourceUrl(value) {
+    if (!value) return null;
+    try {
+        const url = new URL(String(value), globalThis.location?.href);
+        return ['http:', 'https:'].includes(url.protocol) ? String(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+export function turnSources(turn) {
+    return (turn?.sources || [])
+        .map((source) => {
+            const metadata = source?.metadata || {};
+            return {
+                title: String(source?.title || metadata.title || source?.id || 'Source'),
+                url: sourceUrl(source?.url || metadata.url),
+            };
+        });
+}
+
+export class AssistantChatElement extends BaseElement {
+    static get observedAttributes() {
+        return [...CLIENT_ATTRIBUTES, 'placeholder'];
+    }
+
+    constructor() {
+        super();
+        this.payload = {};
+        this.assistant = null;
+        this.ownsClient = false;
+        this.unsubscribe = [];
+        this.nodes = new Map();
+        this.root = null;
+    }
+
+    get client() {
+        if (!this.assistant) {
+            this.assistant = createAssistantClient(assistantChatOptions(this));
+            this.ownsClient = true;
+        }
+        return this.assistant;
+    }
+
+    set client(value) {
+        this.release();
+        this.assistant = value || null;
+        this.ownsClient = false;
+        if (this.isConnected && this.assistant) this.bind();
+    }
+
+    connectedCallback() {
+        this.render();
+        this.bind();
+    }
+
+    disconnectedCallback() {
+        this.release();
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (name === 'placeholder') {
+            const input = this.root?.querySelector('textarea');
+            if (input) input.placeholder = value || 'Message';
+            return;
+        }
+        // A client built from attributes is rebuilt with the new configuration.
+        if (previous !== value && this.ownsClient) {
+            this.release();
+            if (this.isConnected) this.bind();
+        }
+    }
+
+    send(message = this.root?.querySelector('textarea')?.value || '') {
+        const text = String(message).trim();
+        if (!text) return Promise.resolve(null);
+        const input = this.root?.querySelector('textarea');
+        if (input) input.value = '';
+        this.dispatchEvent(new CustomEvent('ai-assistant-send', {
+            bubbles: true,
+            composed: true,
+            detail: { message: text },
+        }));
+        return this.client.send(text, this.payload).catch((error) => {
+            this.dispatchEvent(new CustomEvent('ai-assistant-error', {
+                bubbles: true,
+                composed: true,
+                detail: { error },
+            }));
+            return null;
+        });
+    }
+
+    cancel() {
+        return this.assistant?.cancel() ?? Promise.resolve(null);
+    }
+
+    render() {
+        if (this.root) return;
+        this.root = this.attachShadow({ mode: 'open' });
+        this.root.innerHTML = `
+            <style>${STYLES}</style>
+            <div class="panel" part="panel">
+                <ol class="messages" part="messages" role="log" aria-live="polite"></ol>
+                <form class="composer" part="composer">
+                    <textarea part="input" rows="1" aria-label="Message"></textarea>
+                    <button class="send" part="send" type="submit">Send</button>
+                    <button class="cancel" part="cancel" type="button" hidden>Stop</button>
+                </form>
+            </div>
+        `;
+        const form = this.root.querySelector('form');
+        const input = this.root.querySelector('textarea');
+        input.placeholder = this.getAttribute('placeholder') || 'Message';
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            void this.send();
+        });
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey && !event.isComposing) {
+                event.preventDefault();
+                void this.send();
+            }
+        });
+        this.root.querySelector('.cancel').addEventListener('click', () => void this.cancel());
+    }
+
+    bind() {
+        if (!this.root || this.unsubscribe.length) return;
+        const assistant = this.client;
+        this.unsubscribe = [
+            assistant.conversation.subscribe(({ turns, turn }) => {
+                if (turn) this.renderTurn(turn);
+                else this.renderTurns(turns);
+                this.renderControls(turns);
+            }),
+            assistant.on('*', ({ name, payload }) => {
+                this.dispatchEvent(new CustomEvent('ai-assistant-event', {
+                    bubbles: true,
+                    composed: true,
+                    detail: { name, payload },
+                }));
+            }),
+        ];
+        const turns = assistant.conversation.getTurns();
+        this.renderTurns(turns);
+        this.renderControls(turns);
+    }
+
+    release() {
+        for (const unsubscribe of this.unsubscribe) unsubscribe();
+        this.unsubscribe = [];
+        // Injected clients belong to the page; one built from attributes ends with the element.
+        if (this.ownsClient && this.assistant) {
+            this.assistant.close();
+            this.assistant = null;
+            this.ownsClient = false;
+        }
+    }
+
+    renderTurns(turns) {
+        const list = this.root?.querySelector('.messages');
+        if (!list) return;
+        list.replaceChildren();
+        this.nodes.clear();
+        for (const turn of turns) this.renderTurn(turn);
+    }
+
+    renderTurn(turn) {
+        const list = this.root?.querySelector('.messages');
+        if (!list) return;
+        let node = this.nodes.get(turn.id);
+        if (!node) {
+            node = document.createElement('li');
+            node.className = 'turn';
+            node.setAttribute('part', `turn ${turn.role}`);
+            node.append(
+                Object.assign(document.createElement('div'), { className: 'text' }),
+                Object.assign(document.createElement('ul'), { className: 'tools' }),
+                Object.assign(document.createElement('ul'), { className: 'sources' }),
+            );
+            this.nodes.set(turn.id, node);
+            list.append(node);
+        }
+        node.dataset.role = turn.role;
+        node.dataset.status = turn.status;
+        // Deltas only replace the text node, so streaming never rebuilds the list.
+        node.querySelector('.text').textContent = turn.text;
+        node.querySelector('.tools').replaceChildren(...(turn.toolCalls || []).map((call) => {
+            const item = document.createElement('li');
+            item.className = 'tool';
+            item.setAttribute('part', 'tool');
+            item.dataset.status = call.status;
+            const progress = typeof call.progress === 'string' ? call.progress : call.progress?.message;
+            item.textContent = [call.name, progress || call.status].filter(Boolean).join(' · ');
+            return item;
+        }));
+        node.querySelector('.sources').replaceChildren(...turnSources(turn).map((source) => {
+            const item = document.createElement('li');
+            item.setAttribute('part', 'source');
+            const label = document.createElement(source.url ? 'a' : 'span');
+            label.textContent = source.title;
+            if (source.url) {
+                label.href = source.url;
+                label.target = '_blank';
+                label.rel = 'noopener';
+            }
+            item.append(label);
+            return item;
+        }));
+        list.scrollTop = list.scrollHeight;
+    }
+
+    renderControls(turns) {
+        const active = turns.some((turn) => turn.role === 'assistant' && ['pending', 'streaming'].includes(turn.status));
+        const cancel = this.root?.querySelector('.cancel');
+        if (cancel) cancel.hidden = !active;
+    }
+}
+
+export function defineAssistantChatElement(name = 'ai-assistant-chat', registry = globalThis.customElements) {
+    if (registry && !registry.get(name)) registry.define(name, class extends AssistantChatElement {});
+    return registry?.get(name) || null;
+}
+
+defineAssistantChatElement();
@@ -4,28 +4,598 @@ const DEFAULT_EVENTS = [
     'transcription.final',
     'rag.started',
     'rag.sources_found',
+    'rag.completed',
     'tool.started',
     'tool.progress',
     'tool.completed',
+    'tool.failed',
     'assistant.delta',
     'assistant.completed',
     'assistant.cancelled',
     'assistant.failed',
+    'run.started',
+    'run.waiting_input',
+    'run.waiting_approval',
     'run.completed',
     'run.failed',
     'run.cancelled',
+    'run.expired',
 ];
 
+const TERMINAL_RUN_EVENTS = ['run.completed', 'run.failed', 'run.cancelled', 'run.expired'];
+
+function backoffPolicy(value, defaults = {}) {
+    if (value === false) return null;
+    const {
+        maxAttempts = defaults.maxAttempts ?? 5,
+        initialDelayMs = 1000,
+        maxDelayMs = 15000,
+        multiplier = 2,
+    } = value && typeof value === 'object' ? value : {};
+
+    return {
+        maxAttempts: Math.max(0, Number(maxAttempts)),
+        initialDelayMs: Math.max(0, Number(initialDelayMs)),
+        maxDelayMs: Math.max(0, Number(maxDelayMs)),
+        multiplier: Math.max(1, Number(multiplier)),
+    };
+}
+
+function backoffDelay(policy, attempt) {
+    return Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.multiplier ** (attempt - 1));
+}
+
+function createIdempotencyKey() {
+    if (typeof globalThis.crypto?.randomUUID === 'function') return globalThis.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function retryableRequestError(error) {
+    // fetch rejects with a TypeError when the network is unreachable.
+    if (error?.name === 'TypeError') return true;
+    return error?.status === 408 || error?.status === 429 || error?.status >= 500;
+}
+
+export function createSseParser(onEvent) {
+    let buffer = '';
+    let type = '';
+    let data = [];
+    let lastEventId = '';
+    let id = null;
+
+    // lastEventId carries over to frames without an id line; `id` is only set on frames that had one.
+    const dispatch = () => {
+        if (data.length) onEvent({ type: type || 'message', data: data.join('\n'), lastEventId, id });
+        type = '';
+        data = [];
+        id = null;
+    };
+
+    const readLine = (line) => {
+        if (line === '') return dispatch();
+        if (line.startsWith(':')) return;
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+        if (field === 'event') type = value;
+        if (field === 'data') data.push(value);
+        if (field === 'id' && !value.includes('\0')) {
+            lastEventId = value;
+            id = value;
+        }
+    };
+
+    return {
+        push(chunk) {
+            // A trailing CR stays buffered in case the matching LF arrives in the next chunk.
+            const lines = `${buffer}${chunk}`.split(/\r\n|\r(?=[^\n])|\n/);
+            buffer = lines.pop();
+            for (const line of lines) readLine(line);
+        },
+        end() {
+            if (buffer) readLine(buffer.replace(/\r$/, ''));
+            buffer = '';
+            dispatch();
+        },
+    };
+}
+
+function createFetchEventSource(url, { fetch: fetchImpl, headers = {}, withCredentials = true, signal = null }) {
+    const listeners = new Map();
+    const controller = new AbortController();
+    const source = {
+        url,
+        readyState: 0,
+        onopen: null,
+        onerror: null,
+        addEventListener(name, listener) {
+            const current = listeners.get(name) || new Set();
+            current.add(listener);
+            listeners.set(name, current);
+        },
+        close() {
+            source.readyState = 2;
+            controller.abort();
+            signal?.removeEventListener?.('abort', onAbort);
+        },
+    };
+    function onAbort() {
+        source.close();
+    }
+    const fail = (error) => {
+        if (source.readyState === 2) return;
+        source.readyState = 2;
+        signal?.removeEventListener?.('abort', onAbort);
+        source.onerror?.(error);
+    };
+    if (signal?.aborted) source.close();
+    else signal?.addEventListener?.('abort', onAbort, { once: true });
+
+    (async () => {
+        const response = await fetchImpl(url, {
+            method: 'GET',
+            credentials: withCredentials ? 'include' : 'same-origin',
+            headers: { Accept: 'text/event-stream', 'Cache-Control': 'no-cache', ...headers },
+            signal: controller.signal,
+        });
+        if (!response.ok || !response.body) {
+            throw new Error(`Assistant stream failed (${response.status})`);
+        }
+        if (source.readyState === 2) return;
+        source.readyState = 1;
+        source.onopen?.({});
+
+        const parser = createSseParser((event) => {
+            if (source.readyState !== 1) return;
+            for (const listener of listeners.get(event.type) || []) listener(event);
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        while (source.readyState === 1) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+        parser.push(decoder.decode());
+        parser.end();
+        // A body that finishes is a normal end, which callers may not want to retry.
+        fail(Object.assign(new Error('Assistant stream ended.'), { ended: true }));
+    })().catch(fail);
+
+    return source;
+}
+
+const TURN_STATUSES = Object.freeze(['pending', 'streaming', 'completed', 'cancelled', 'failed']);
+
+function eventData(payload) {
+    return payload?.payload && typeof payload.payload === 'object' ? payload.payload : payload || {};
+}
+
+function toolCallFrom(payload) {
+    const data = eventData(payload);
+    const call = payload?.call || data.call || {};
+    const name = call.name || data.tool_name || data.name || '';
+
+    return {
+        id: String(call.id || data.tool_call_id || data.call_id || payload?.step_id || name),
+        name: String(name),
+        arguments: call.arguments ?? data.arguments ?? {},
+    };
+}
+
+export function requiredInputFields(requiredInputs = []) {
+    const inputs = Array.isArray(requiredInputs)
+        ? requiredInputs
+        : Object.entries(requiredInputs || {}).map(([name, field]) => ({ name, ...(field || {}) }));
+
+    return inputs
+        .map((input) => (typeof input === 'string' ? { name: input } : input))
+        .filter((input) => input?.name || input?.field || input?.key)
+        .map((input) => ({
+            ...input,
+            name: String(input.name || input.field || input.key),
+            label: String(input.label || input.description || input.name || input.field || input.key),
+            type: input.type || 'string',
+            required: input.required !== false,
+        }));
+}
+
+export function inputValues(fields, values) {
+    if (values && typeof values === 'object') return { ...values };
+    // A spoken or typed answer fills the first requested field.
+    return { [fields[0]?.name || 'message']: String(values ?? '') };
+}
+
+function inputAnswerText(fields, answers) {
+    const entries = Object.entries(answers);
+    if (entries.length === 1) return String(entries[0][1]);
+    return entries.map(([name, value]) => {
+        const label = fields.find((field) => field.name === name)?.label || name;
+        return `${label}: ${Array.isArray(value) ? value.join(', ') : value}`;
+    }).join('\n');
+}
+
+export function createConversationStore({ turns: initialTurns = [] } = {}) {
+    const subscribers = new Set();
+    let turns = [];
+    let sequence = 0;
+
+    const nextId = (role) => `${role}-${Date.now().toString(36)}-${(sequence += 1)}`;
+
+    const notify = (event, turn) => {
+        for (const subscriber of subscribers) subscriber({ turns, turn, event });
+    };
+
+    const add = (turn, event = 'turn.added') => {
+        const next = {
+            ...turn,
+            id: turn.id || nextId(turn.role || 'assistant'),
+            role: turn.role || 'assistant',
+            text: turn.text || '',
+            status: TURN_STATUSES.includes(turn.status) ? turn.status : 'completed',
+            toolCalls: turn.toolCalls || [],
+            sources: turn.sources || [],
+            createdAt: turn.createdAt || new Date().toISOString(),
+        };
+        turns = [...turns, next];
+        notify(event, next);
+        return next;
+    };
+
+    const update = (turn, patch, event) => {
+        const next = { ...turn, ...patch };
+        turns = turns.map((current) => (current.id === turn.id ? next : current));
+        notify(event, next);
+        return next;
+    };
+
+    const activeAssistant = () => turns.findLast(
+        (turn) => turn.role === 'assistant' && ['pending', 'streaming'].includes(turn.status),
+    );
+
+    const ensureAssistant = (payload) => activeAssistant() || add({
+        role: 'assistant',
+        status: 'pending',
+        runId: payload?.run_id || null,
+    });
+
+    const settle = (status, event, patch = {}) => {
+        const turn = activeAssistant();
+        return turn ? update(turn, { status, ...patch }, event) : null;
+    };
+
+    const userTranscript = (payload, status, event) => {
+        const itemId = payload?.itemId ? String(payload.itemId) : null;
+        const existing = itemId
+            ? turns.find((turn) => turn.role === 'user' && turn.itemId === itemId)
+            : null;
+        const text = payload?.text || existing?.text || '';
+        if (existing) return update(existing, { text, status }, event);
+        if (!text) return null;
+        return add({ role: 'user', text, status, itemId, source: 'voice' }, event);
+    };
+
+    const updateToolCall = (payload, status, event, patch = {}) => {
+        const call = toolCallFrom(payload);
+        const turn = ensureAssistant(payload);
+        const existing = turn.toolCalls.find((candidate) => candidate.id === call.id)
+            || turn.toolCalls.findLast((candidate) => candidate.name === call.name && candidate.status === 'running');
+        const toolCalls = existing
+            ? turn.toolCalls.map((candidate) => (
+                candidate === existing ? { ...candidate, status, ...patch } : candidate
+            ))
+            : [...turn.toolCalls, { ...call, status, ...patch }];
+        return update(turn, { toolCalls }, event);
+    };
+
+    const sourceKey = (source) => [source?.id, source?.url, source?.title].map((part) => part ?? '').join('|');
+
+    const attachSources = (payload, event) => {
+        const found = eventData(payload).sources;
+        if (!Array.isArray(found) || !found.length) return null;
+        const turn = ensureAssistant(payload);
+        const seen = new Set(turn.sources.map(sourceKey));
+        const sources = [...turn.sources, ...found.filter((source) => !seen.has(sourceKey(source)))];
+        return update(turn, { sources }, event);
+    };
+
+    const consume = (name, payload = {}) => {
+        const data = eventData(payload);
+        switch (name) {
+            case 'assistant.acknowledged':
+                if (payload?.local && payload.message) {
+                    add({ role: 'user', text: String(payload.message), status: 'completed', source: 'chat' });
+                    return add({ role: 'assistant', status: 'pending' });
+                }
+                return ensureAssistant(payload);
+            case 'transcription.partial':
+                return userTranscript(payload, 'streaming', name);
+            case 'transcription.final':
+                return userTranscript(payload, 'completed', name);
+            case 'assistant.delta': {
+                const turn = ensureAssistant(payload);
+                const text = typeof payload?.transcript === 'string'
+                    ? payload.transcript
+                    : `${turn.text}${data.delta ?? data.text ?? data.token ?? ''}`;
+                return update(turn, { text, status: 'streaming' }, name);
+            }
+            case 'assistant.completed': {
+                const turn = ensureAssistant(payload);
+                const text = data.text || data.message || data.content || turn.text;
+                // Sources streamed by rag.sources_found stay unless the completion lists its own.
+                const sources = [data.sources, payload?.response?.data?.sources]
+                    .find((list) => Array.isArray(list) && list.length) || turn.sources;
+                return update(turn, { text: String(text || ''), status: 'completed', sources }, name);
+            }
+            case 'assistant.cancelled':
+            case 'run.cancelled':
+                return settle('cancelled', name);
+            case 'assistant.failed':
+            case 'run.failed':
+            case 'run.expired':
+                return settle('failed', name, { error: payload?.error || data.error || data.message || null });
+            case 'run.completed':
+                return settle('completed', name);
+            case 'rag.sources_found':
+                return attachSources(payload, name);
+            case 'tool.started':
+                return updateToolCall(payload, 'running', name);
+            case 'tool.progress':
+                return updateToolCall(payload, 'running', name, { progress: data.progress ?? data });
+            case 'tool.completed':
+                return updateToolCall(payload, 'completed', name, { result: payload?.result ?? data });
+            case 'tool.failed':
+                return updateToolCall(payload, 'failed', name, { error: payload?.error || data.error || null });
+            case 'tool.input_required': {
+                const call = toolCallFrom(payload);
+                const turn = turns.findLast((candidate) => candidate.role === 'assistant');
+                if (!turn) return null;
+                const inputRequired = { callId: call.id, fields: payload?.fields || [], message: payload?.message || '' };
+                const toolCalls = turn.toolCalls.map((candidate) => (
+                    candidate.id === call.id ? { ...candidate, status: 'input_required', inputRequired } : candidate
+                ));
+                return update(turn, { toolCalls, inputRequired }, name);
+            }
+            case 'tool.input_provided': {
+                const call = toolCallFrom(payload);
+                const turn = turns.findLast((candidate) => candidate.inputRequired?.callId === call.id);
+                if (!turn) return null;
+                const toolCalls = turn.toolCalls.map((candidate) => (
+                    candidate.id === call.id ? { ...candidate, status: 'running', inputRequired: null } : candidate
+                ));
+                return update(turn, { toolCalls, inputRequired: null }, name);
+            }
+            case 'tool.approval_required':
+                return updateToolCall(payload, 'approval_required', name, { reason: payload?.reason || null });
+            case 'tool.approved':
+                return updateToolCall(payload, 'running', name);
+            case 'tool.rejected':
+                return updateToolCall(payload, 'rejected', name, { reason: payload?.reason || null });
+            default:
+                return null;
+        }
+    };
+
+    const subscribe = (listener) => {
+        subscribers.add(listener);
+        return () => subscribers.delete(listener);
+    };
+
+    const reset = (next = []) => {
+        turns = [];
+        for (const turn of next) add(turn, 'turn.hydrated');
+        notify('conversation.reset', null);
+        return turns;
+    };
+
+    if (initialTurns.length) reset(initialTurns);
+
+    return {
+        consume,
+        subscribe,
+        add,
+        reset,
+        getTurns: () => turns,
+        getTurn: (id) => turns.find((turn) => turn.id === id) || null,
+    };
+}
+
+const USAGE_FIELDS = Object.freeze({
+    inputTokens: 'input_tokens',
+    inputTextTokens: 'input_text_tokens',
+    inputAudioTokens: 'input_audio_tokens',
+    cachedTokens: 'cached_tokens',
+    outputTokens: 'output_tokens',
+    outputTextTokens: 'output_text_tokens',
+    outputAudioTokens: 'output_audio_tokens',
+    totalTokens: 'total_tokens',
+});
+
+function tokenCount(...values) {
+    const value = values.find((candidate) => candidate !== undefined && candidate !== null && candidate !== '');
+    return Math.max(0, Number(value) || 0);
+}
+
+function modalityCount(details, modality) {
+    return (Array.isArray(details) ? details : [])
+        .filter((detail) => String(detail?.modality || '').toUpperCase() === modality)
+        .reduce((total, detail) => total + tokenCount(detail?.tokenCount), 0);
+}
+
+function addUsage(left, right) {
+    return Object.fromEntries(Object.keys(USAGE_FIELDS).map((field) => [field, left[field] + right[field]]));
+}
+
+// Accepts OpenAI realtime `response.usage`, Gemini `usageMetadata`, and the chat
+// run metadata (`prompt_tokens` / `completion_tokens`).
+export function normalizeUsage(usage) {
+    if (!usage || typeof usage !== 'object') return null;
+    const gemini = 'promptTokenCount' in usage || 'totalTokenCount' in usage;
+    const inputTokens = gemini
+        ? tokenCount(usage.promptTokenCount)
+        : tokenCount(usage.input_tokens, usage.prompt_tokens);
+    const outputTokens = gemini
+        ? tokenCount(usage.responseTokenCount, usage.candidatesTokenCount)
+        : tokenCount(usage.output_tokens, usage.completion_tokens);
+    const inputDetails = usage.input_token_details || usage.prompt_tokens_details || {};
+    const outputDetails = usage.output_token_details || usage.completion_tokens_details || {};
+    const inputAudioTokens = gemini
+        ? modalityCount(usage.promptTokensDetails, 'AUDIO')
+        : tokenCount(inputDetails.audio_tokens);
+    const outputAudioTokens = gemini
+        ? modalityCount(usage.responseTokensDetails || usage.candidatesTokensDetails, 'AUDIO')
+        : tokenCount(outputDetails.audio_tokens);
+    const normalized = {
+        inputTokens,
+        inputTextTokens: gemini || inputDetails.text_tokens === undefined
+            ? Math.max(0, inputTokens - inputAudioTokens)
+            : tokenCount(inputDetails.text_tokens),
+        inputAudioTokens,
+        cachedTokens: gemini ? tokenCount(usage.cachedContentTokenCount) : tokenCount(inputDetails.cached_tokens),
+        outputTokens,
+        outputTextTokens: gemini || outputDetails.text_tokens === undefined
+            ? Math.max(0, outputTokens - outputAudioTokens)
+            : tokenCount(outputDetails.text_tokens),
+        outputAudioTokens,
+        totalTokens: tokenCount(usage.totalTokenCount, usage.total_tokens, usage.tokens_used) || inputTokens + outputTokens,
+    };
+
+    return normalized.totalTokens > 0 ? normalized : null;
+}
+
+function emptyUsage() {
+    return Object.fromEntries(Object.keys(USAGE_FIELDS).map((field) => [field, 0]));
+}
+
+// Adds up reported usage and prices the running session total, so a price that is
+// not linear in tokens still gives the right session cost. Updates resolve in order.
+export function createUsageLedger({
+    pricing = null,
+    budget = null,
+    fetch: fetchImpl = globalThis.fetch?.bind(globalThis),
+    headers = {},
+    withCredentials = true,
+} = {}) {
+    let session = emptyUsage();
+    let turns = 0;
+    let cost = null;
+    let pending = Promise.resolve();
+
+    const priceFromEndpoint = async (usage) => {
+        const response = await fetchImpl(pricing.endpoint || '/api/v1/ai/pricing/preview', {
+            method: 'POST',
+            credentials: withCredentials ? 'include' : 'same-origin',
+            headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({
+                engine: pricing.engine,
+                model: pricing.model,
+                prompt: '',
+                parameters: {
+                    ...(pricing.parameters || {}),
+                    usage: Object.fromEntries(Object.entries(USAGE_FIELDS).map(([field, key]) => [key, usage[field]])),
+                },
+            }),
+        });
+        const body = await response.json().catch(() => ({}));
+        const credits = Number(body?.data?.final_credits);
+        if (!response.ok || !Number.isFinite(credits)) {
+            const error = new Error(body?.message || `Usage pricing failed (${response.status})`);
+            error.status = response.status;
+            error.response = body;
+            throw error;
+        }
+        return credits;
+    };
+
+    const price = (usage) => {
+        if (typeof pricing === 'function') return pricing(usage);
+        if (!pricing?.engine || !pricing?.model || !fetchImpl) return null;
+        return priceFromEndpoint(usage);
+    };
+
+    const exceeded = (usage, total) => [
+        ['tokens', usage.totalTokens, budget?.maxTokens],
+        ['cost', total, budget?.maxCost],
+    ]
+        .filter(([, value, max]) => max !== undefined && max !== null && value !== null && value > Number(max))
+        .map(([limit, value, max]) => ({ limit, value, max: Number(max) }));
+
+    const record = (source, raw) => {
+        const turn = normalizeUsage(raw);
+        if (!turn) return null;
+        session = addUsage(session, turn);
+        turns += 1;
+        const snapshot = { ...session };
+        const count = turns;
+
+        const update = pending.then(async () => {
+            const previous = cost;
+            let pricingError = null;
+            try {
+                const value = await price(snapshot);
+                cost = value === null || value === undefined ? null : Number(value);
+            } catch (error) {
+                pricingError = error;
+            }
+            const turnCost = pricingError || cost === null ? null : cost - (previous ?? 0);
+            const over = exceeded(snapshot, pricingError ? null : cost);
+
+            return {
+                source,
+                turn,
+                session: snapshot,
+                turns: count,
+                cost: { turn: turnCost, session: pricingError ? null : cost },
+                pricingError,
+                budget: over.length ? { exceeded: over, action: budget?.action || 'warn' } : null,
+            };
+        });
+        pending = update.catch(() => {});
+        return update;
+    };
+
+    return {
+        record,
+        // Resolves once every recorded report has been priced and checked against the budget.
+        settled: () => pending,
+        getUsage: () => ({ session: { ...session }, turns, cost }),
+        reset() {
+            session = emptyUsage();
+            turns = 0;
+            cost = null;
+        },
+    };
+}
+
 export function createAssistantClient(options = {}) {
     const listeners = new Map();
-    let stream = null;
-    let controller = null;
-    let cancelUrl = null;
+    const runs = new Map();
+    const pendingInputs = new Map();
+    let runSequence = 0;
+    let inputSequence = 0;
+    let sessionId = options.sessionId || null;
     let assistantText = '';
     const consumedRealtimeEvents = new Set();
     const completedResponses = new Set();
     const partialTranscripts = new Map();
     const completedTranscripts = new Set();
+    const setTimer = options.setTimeout || globalThis.setTimeout?.bind(globalThis);
+    const clearTimer = options.clearTimeout || globalThis.clearTimeout?.bind(globalThis);
+    const reconnect = backoffPolicy(options.reconnect);
+    const retry = backoffPolicy(options.retry, { maxAttempts: 3 });
+    const outbox = [];
+    let outboxSequence = 0;
+    let paused = false;
+    const runsEndpoint = options.agentRunsEndpoint || '/api/v1/ai/agent-runs';
+    const usage = createUsageLedger({
+        pricing: options.pricing,
+        budget: options.budget,
+        fetch: options.fetch || globalThis.fetch?.bind(globalThis),
+        headers: options.headers || {},
+        withCredentials: options.withCredentials !== false,
+    });
+    let overBudget = false;
 
     const completedResponseText = (event, fallback = '') => {
         for (const output of event?.response?.output || []) {
@@ -46,69 +616,539 @@ export function createAssistantClient(options = {}) {
         return false;
     };
 
-    const emit = (name, payload = {}) => {
+    const addListener = (target, name, listener) => {
+        const current = target.get(name) || new Set();
+        current.add(listener);
+        target.set(name, current);
+        return () => current.delete(listener);
+    };
+
+    // Each run scope owns its stream, request controller, cancel URL, conversation
+    // store, and listeners, so concurrent runs never close or cancel each other.
+    const createScope = (id, conversation = createConversationStore()) => ({
+        id,
+        conversation,
+        listeners: new Map(),
+        runId: null,
+        stream: null,
+        streamUrl: null,
+        lastEventId: '',
+        settled: false,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        streamedEvents: new Set(),
+        usageRecorded: false,
+        controller: null,
+        cancelUrl: null,
+    });
+
+    const primary = createScope('primary', options.conversation || createConversationStore());
+    const conversation = primary.conversation;
+
+    const emitIn = (scope, name, payload = {}) => {
+        scope.conversation.consume(name, payload);
+        for (const listener of scope.listeners.get(name) || []) listener(payload);
+        for (const listener of scope.listeners.get('*') || []) listener({ name, payload });
         for (const listener of listeners.get(name) || []) listener(payload);
-        for (const listener of listeners.get('*') || []) listener({ name, payload });
+        for (const listener of listeners.get('*') || []) {
+            listener({ name, payload, run: scope.id, runId: scope.runId });
+        }
     };
 
-    const on = (name, listener) => {
-        const current = listeners.get(name) || new Set();
-        current.add(listener);
-        listeners.set(name, current);
-        return () => current.delete(listener);
+    const emit = (name, payload = {}) => emitIn(primary, name, payload);
+
+    const on = (name, listener) => addListener(listeners, name, listener);
+
+    // Resolved per call so an injected or later-patched fetch serves every request.
+    const fetchImpl = (...args) => (options.fetch || globalThis.fetch)(...args);
+
+    const closeStream = (scope) => {
+        clearTimer?.(scope.reconnectTimer);
+        scope.reconnectTimer = null;
+        scope.stream?.close();
+        scope.stream = null;
+    };
+
+    const resumeUrl = (scope) => {
+        const base = scope.streamUrl || `${runsEndpoint}/${encodeURIComponent(scope.runId)}/stream`;
+        if (!scope.lastEventId) return base;
+        return `${base}${base.includes('?') ? '&' : '?'}last_event_id=${encodeURIComponent(scope.lastEventId)}`;
     };
 
-    const connectStream = (url) => {
-        if (!url || typeof EventSource === 'undefined') return null;
-        if (stream) stream.close();
-        stream = new EventSource(url, { withCredentials: options.withCredentials !== false });
+    const scheduleReconnect = (scope, error) => {
+        // Closing stops the browser's own retry, which would resend the original URL
+        // and replay the run from its first event.
+        scope.stream?.close();
+        scope.stream = null;
+        const { lastEventId } = scope;
+        if (scope.reconnectAttempts >= reconnect.maxAttempts || !setTimer) {
+            emitIn(scope, 'transport.reconnect_failed', { attempts: scope.reconnectAttempts, lastEventId, error });
+            return;
+        }
+
+        scope.reconnectAttempts += 1;
+        const attempt = scope.reconnectAttempts;
+        const delayMs = backoffDelay(reconnect, attempt);
+        emitIn(scope, 'transport.reconnecting', { attempt, delayMs, lastEventId, error });
+        scope.reconnectTimer = setTimer(() => {
+            scope.reconnectTimer = null;
+            openStream(scope, resumeUrl(scope));
+        }, delayMs);
+    };
+
+    const streamTransport = () => {
+        const preferred = options.streamTransport || 'auto';
+        const hasFetch = Boolean(options.fetch || globalThis.fetch);
+        const hasEventSource = typeof EventSource !== 'undefined';
+        if (preferred === 'eventsource') return hasEventSource ? 'eventsource' : null;
+        if (preferred === 'fetch') return hasFetch ? 'fetch' : null;
+        // EventSource cannot send headers, so token-authenticated clients need fetch.
+        if (hasEventSource && !Object.keys(options.headers || {}).length) return 'eventsource';
+        return hasFetch ? 'fetch' : null;
+    };
+
+    const openStream = (scope, url) => {
+        const source = streamTransport() === 'fetch'
+            ? createFetchEventSource(url, {
+                fetch: fetchImpl,
+                headers: options.headers || {},
+                withCredentials: options.withCredentials !== false,
+                signal: options.signal || null,
+            })
+            : new EventSource(url, { withCredentials: options.withCredentials !== false });
+        scope.stream = source;
+        // EventSource repeats the previous lastEventId on frames without an id line, and
+        // only a frame that carries its own id can be a replay.
+        let sourceEventId = '';
+        const frameId = (event) => {
+            if ('id' in event) return event.id;
+            const carried = event.lastEventId !== sourceEventId;
+            sourceEventId = event.lastEventId;
+            return carried ? event.lastEventId : '';
+        };
         for (const name of options.events || DEFAULT_EVENTS) {
-            stream.addEventListener(name, (event) => {
+            source.addEventListener(name, (event) => {
+                const id = frameId(event);
+                if (id) {
+                    if (remember(scope.streamedEvents, id)) return;
+                    scope.lastEventId = id;
+                }
                 let payload = {};
                 try { payload = JSON.parse(event.data || '{}'); } catch { payload = { text: event.data }; }
-                emit(name, payload);
+                if (TERMINAL_RUN_EVENTS.includes(name)) scope.settled = true;
+                emitIn(scope, name, payload);
+                // A run reports the same usage on assistant.completed and run.completed.
+                const reported = eventData(payload).usage || eventData(payload).response?.metadata?.usage;
+                if (reported && !scope.usageRecorded) {
+                    scope.usageRecorded = true;
+                    recordUsage(scope, 'chat', reported);
+                }
             });
         }
-        stream.onerror = (error) => emit('transport.error', { error });
-        return stream;
+        source.onopen = () => {
+            if (scope.stream !== source || scope.reconnectAttempts === 0) return;
+            emitIn(scope, 'transport.reconnected', {
+                attempt: scope.reconnectAttempts,
+                lastEventId: scope.lastEventId,
+            });
+            scope.reconnectAttempts = 0;
+        };
+        source.onerror = (error) => {
+            if (scope.stream !== source) return;
+            // The server ends the response once the run is terminal; that is not a failure.
+            if (scope.settled || (error?.ended && !reconnect)) {
+                closeStream(scope);
+                if (scope !== primary) runs.delete(scope.id);
+                emitIn(scope, 'transport.closed', { lastEventId: scope.lastEventId, settled: scope.settled });
+                return;
+            }
+            emitIn(scope, 'transport.error', { error });
+            if (reconnect) scheduleReconnect(scope, error);
+        };
+        return source;
+    };
+
+    const connectScope = (scope, url, { runId = null } = {}) => {
+        if (!url || !streamTransport()) return null;
+        closeStream(scope);
+        scope.streamUrl = url;
+        scope.runId = runId
+            || decodeURIComponent(String(url).match(/\/agent-runs\/([^/?#]+)\/stream/)?.[1] || '')
+            || null;
+        scope.lastEventId = '';
+        scope.settled = false;
+        scope.usageRecorded = false;
+        scope.reconnectAttempts = 0;
+        scope.streamedEvents.clear();
+        return openStream(scope, url);
     };
 
-    const request = async (url, payload) => {
-        controller?.abort();
-        controller = new AbortController();
-        const response = await fetch(url, {
+    const connectStream = (url, streamOptions = {}) => connectScope(primary, url, streamOptions);
+
+    const request = async (scope, url, payload, headers = {}) => {
+        scope.controller?.abort();
+        scope.controller = new AbortController();
+        const response = await fetchImpl(url, {
             method: 'POST',
             credentials: options.withCredentials === false ? 'same-origin' : 'include',
-            headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...(options.headers || {}) },
+            headers: {
+                Accept: 'application/json',
+                'Content-Type': 'application/json',
+                ...(options.headers || {}),
+                ...headers,
+            },
             body: JSON.stringify(payload),
-            signal: controller.signal,
+            signal: scope.controller.signal,
         });
-        const body = await response.json();
+        const body = await response.json().catch(() => ({}));
         if (!response.ok) {
             const error = new Error(body?.message || `Assistant request failed (${response.status})`);
+            error.status = response.status;
             error.response = body;
             throw error;
         }
-        const streamUrl = body?.data?.stream_url || body?.stream_url;
-        if (streamUrl) connectStream(streamUrl);
         const runId = body?.data?.agent_run_id || body?.agent_run_id;
-        cancelUrl = body?.data?.cancel_url
+        if (runId) scope.runId = String(runId);
+        const nextStreamUrl = body?.data?.stream_url || body?.stream_url;
+        if (nextStreamUrl) connectScope(scope, nextStreamUrl, { runId });
+        scope.cancelUrl = body?.data?.cancel_url
             || body?.cancel_url
-            || (runId ? `/api/v1/ai/agent-runs/${encodeURIComponent(runId)}/cancel` : null);
+            || (runId ? `${runsEndpoint}/${encodeURIComponent(runId)}/cancel` : null);
         return body;
     };
 
+    const isOnline = () => (options.navigator || globalThis.navigator)?.onLine !== false;
+
+    const queueEntry = (entry) => ({
+        id: entry.id,
+        message: entry.message,
+        status: entry.status,
+        attempts: entry.attempts,
+        idempotencyKey: entry.idempotencyKey,
+        error: entry.error,
+    });
+
+    const emitQueue = (name, entry, payload = {}) => {
+        emitIn(entry.scope, name, { entry: queueEntry(entry), queue: outbox.map(queueEntry), ...payload });
+    };
+
+    const removeEntry = (entry) => {
+        const index = outbox.indexOf(entry);
+        if (index !== -1) outbox.splice(index, 1);
+    };
+
+    const chatResponse = (scope, payload, body) => {
+        // Synchronous chat answers arrive in the response body instead of a run stream.
+        const text = body?.data?.response;
+        const streamed = Boolean(body?.data?.stream_url || body?.stream_url);
+        if (!streamed && typeof text === 'string' && text) {
+            emitIn(scope, 'assistant.completed', { text, local: true, response: body });
+        }
+        // A streamed run reports its usage on the stream instead.
+        const reported = body?.data?.usage || body?.data?.metadata?.usage;
+        if (!streamed && reported) recordUsage(scope, 'chat', reported);
+        if (body?.data?.needs_user_input) {
+            inputSequence += 1;
+            const id = String(body.data.agent_run_id || `input-${inputSequence}`);
+            const prompt = {
+                call: { id, name: 'agent_chat' },
+                fields: requiredInputFields(body.data.required_inputs),
+                message: typeof text === 'string' ? text : '',
+            };
+            pendingInputs.set(id, { ...prompt, scope, payload });
+            emitIn(scope, 'tool.input_required', { ...prompt, response: body });
+        } else if (scope !== primary && !scope.stream) {
+            // A run answered in the response body has nothing left to follow.
+            runs.delete(scope.id);
+        }
+    };
+
+    const pause = (entry) => {
+        if (paused) return;
+        paused = true;
+        emitQueue('queue.paused', entry, { reason: 'offline' });
+    };
+
+    // Messages leave in order per run scope; a waiting or retrying message holds
+    // back the ones behind it so the conversation never arrives out of order.
+    const flush = () => {
+        if (!isOnline()) {
+            const waiting = outbox.find((entry) => entry.status === 'queued');
+            if (waiting) pause(waiting);
+            return;
+        }
+        const busy = new Set();
+        for (const entry of outbox) {
+            if (entry.status === 'failed') continue;
+            if (entry.status === 'queued' && !busy.has(entry.scope)) void deliver(entry);
+            busy.add(entry.scope);
+        }
+    };
+
+    const budgetError = () => {
+        const error = new Error('The assistant session is over its usage budget.');
+        error.code = 'budget_exceeded';
+        return error;
+    };
+
+    const deliver = async (entry) => {
+        entry.status = 'sending';
+        entry.attempts += 1;
+        entry.error = null;
+        // The last turn may still be pricing, and its total decides whether this message goes out.
+        if (options.budget?.action === 'disconnect') {
+            await usage.settled();
+            if (overBudget) {
+                settleFailure(entry, budgetError());
+                flush();
+                return;
+            }
+        }
+        emitQueue('queue.sending', entry);
+        let body;
+        try {
+            body = await request(entry.scope, options.chatEndpoint || '/api/v1/agent/chat', {
+                ...(sessionId ? { session_id: sessionId } : {}),
+                ...entry.payload,
+                message: entry.message,
+                idempotency_key: entry.idempotencyKey,
+            }, { 'Idempotency-Key': entry.idempotencyKey });
+        } catch (error) {
+            settleFailure(entry, error);
+            flush();
+            return;
+        }
+        removeEntry(entry);
+        entry.status = 'sent';
+        emitQueue('queue.sent', entry, { response: body });
+        chatResponse(entry.scope, entry.payload, body);
+        entry.resolve(body);
+        flush();
+    };
+
+    const settleFailure = (entry, error) => {
+        // An abort means a newer send or cancel() already owns the conversation state.
+        if (error?.name === 'AbortError') {
+            removeEntry(entry);
+            emitQueue('queue.cancelled', entry);
+            entry.reject(error);
+            return;
+        }
+        if (!isOnline() && retryableRequestError(error)) {
+            // Going offline does not spend an attempt; the message waits for the network.
+            entry.status = 'queued';
+            entry.attempts -= 1;
+            pause(entry);
+            return;
+        }
+        if (retry && setTimer && retryableRequestError(error) && entry.attempts < retry.maxAttempts) {
+            const delayMs = backoffDelay(retry, entry.attempts);
+            entry.status = 'retrying';
+            entry.error = error;
+            emitQueue('queue.retrying', entry, { attempt: entry.attempts, delayMs, error });
+            entry.timer = setTimer(() => {
+                entry.timer = null;
+                if (entry.status !== 'retrying') return;
+                entry.status = 'queued';
+                flush();
+            }, delayMs);
+            return;
+        }
+        entry.status = 'failed';
+        entry.error = error;
+        emitQueue('queue.failed', entry, { error });
+        emitIn(entry.scope, 'assistant.failed', { error, local: true });
+        entry.reject(error);
+    };
+
+    const enqueue = (entry) => {
+        entry.delivered = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        if (!outbox.includes(entry)) outbox.push(entry);
+        entry.status = 'queued';
+        emitQueue('queue.queued', entry);
+        flush();
+        return entry.delivered;
+    };
+
+    const sendIn = (scope, message, payload = {}) => {
+        if (overBudget) return Promise.reject(budgetError());
+        scope.cancelUrl = null;
+        emitIn(scope, 'assistant.acknowledged', { message, local: true });
+        const { idempotency_key: idempotencyKey, ...body } = payload;
+        outboxSequence += 1;
+        return enqueue({
+            id: `message-${outboxSequence}`,
+            scope,
+            message,
+            payload: body,
+            idempotencyKey: String(idempotencyKey || createIdempotencyKey()),
+            attempts: 0,
+            status: 'queued',
+            error: null,
+            timer: null,
+        });
+    };
+
+    const retryMessage = (id) => {
+        const entry = outbox.find((candidate) => candidate.id === id);
+        if (!entry || !['failed', 'retrying'].includes(entry.status)) {
+            return Promise.reject(new Error(`No queued assistant message [${id}] can be retried.`));
+        }
+        clearTimer?.(entry.timer);
+        entry.timer = null;
+        entry.attempts = 0;
+        if (entry.scope === primary) assistantText = '';
+        if (entry.status === 'retrying') {
+            // The original send() promise is still pending, so it settles with this attempt.
+            entry.status = 'queued';
+            emitQueue('queue.queued', entry);
+            flush();
+            return entry.delivered;
+        }
+        // The same idempotency key lets the server recognise a repeat of this message.
+        return enqueue(entry);
+    };
+
+    const discardMessage = (id) => {
+        const entry = outbox.find((candidate) => candidate.id === id);
+        if (!entry || entry.status === 'sending') return false;
+        clearTimer?.(entry.timer);
+        removeEntry(entry);
+        emitQueue('queue.discarded', entry);
+        if (entry.status !== 'failed') {
+            const error = new Error('The queued assistant message was discarded.');
+            error.name = 'AbortError';
+            entry.reject(error);
+        }
+        flush();
+        return true;
+    };
+
+    const onlineTarget = options.window ?? (typeof window === 'undefined' ? null : window);
+    const resume = () => {
+        if (!paused) return;
+        paused = false;
+        const waiting = outbox.find((entry) => entry.status === 'queued');
+        if (waiting) emitQueue('queue.resumed', waiting);
+        flush();
+    };
+    onlineTarget?.addEventListener?.('online', resume);
+
     const send = (message, payload = {}) => {
         assistantText = '';
-        cancelUrl = null;
-        emit('assistant.acknowledged', { message, local: true });
-        return request(options.chatEndpoint || '/api/v1/agent/chat', {
-            ...payload,
-            message,
+        return sendIn(primary, message, payload);
+    };
+
+    const cancelScope = async (scope, payload = {}) => {
+        scope.controller?.abort();
+        closeStream(scope);
+        scope.controller = null;
+        emitIn(scope, 'assistant.cancelled', {});
+        if (scope !== primary) runs.delete(scope.id);
+        if (!scope.cancelUrl) return null;
+
+        const url = scope.cancelUrl;
+        scope.cancelUrl = null;
+        try {
+            return await fetchImpl(url, {
+                method: 'POST',
+                credentials: options.withCredentials === false ? 'same-origin' : 'include',
+                headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...(options.headers || {}) },
+                body: JSON.stringify(payload),
+            });
+        } catch (error) {
+            emitIn(scope, 'transport.error', { error });
+            return null;
+        }
+    };
+
+    const cancel = (payload = {}) => cancelScope(primary, payload);
+
+    // Stops every stream, request, and retry timer and detaches from the window.
+    const close = () => {
+        onlineTarget?.removeEventListener?.('online', resume);
+        for (const entry of outbox.splice(0)) {
+            clearTimer?.(entry.timer);
+            entry.timer = null;
+            if (entry.status === 'failed') continue;
+            const error = new Error('The assistant client was closed.');
+            error.name = 'AbortError';
+            entry.reject(error);
+        }
+        for (const run of [...runs.values()]) run.close();
+        primary.controller?.abort();
+        primary.controller = null;
+        closeStream(primary);
+    };
+
+    // Realtime sessions are closed by the voice client. Usage arrives with a finished chat
+    // answer, so chat keeps that answer and refuses the next message instead.
+    const recordUsage = (scope, source, reported) => {
+        const update = usage.record(source, reported);
+        void update?.then((payload) => {
+            emitIn(scope, 'usage.updated', payload);
+            if (!payload.budget) return;
+            emitIn(scope, 'usage.budget_exceeded', { source, ...payload.budget, usage: payload.session, cost: payload.cost.session });
+            if (payload.budget.action === 'disconnect' && source === 'chat') overBudget = true;
+        });
+    };
+
+    const provideInput = (callId, values) => {
+        const pending = pendingInputs.get(String(callId));
+        if (!pending) {
+            return Promise.reject(new Error(`No assistant request [${callId}] is awaiting input.`));
+        }
+        pendingInputs.delete(String(callId));
+        const answers = inputValues(pending.fields, values);
+        emitIn(pending.scope, 'tool.input_provided', { call: pending.call, values: answers });
+        if (pending.scope === primary) assistantText = '';
+        return sendIn(pending.scope, inputAnswerText(pending.fields, answers), pending.payload);
+    };
+
+    const handle = (scope) => ({
+        id: scope.id,
+        conversation: scope.conversation,
+        getRunId: () => scope.runId,
+        isStreaming: () => scope.stream !== null,
+        on: (name, listener) => addListener(scope.listeners, name, listener),
+        cancel: (payload = {}) => cancelScope(scope, payload),
+        close: () => {
+            scope.controller?.abort();
+            closeStream(scope);
+            runs.delete(scope.id);
+        },
+    });
+
+    const createRun = () => {
+        runSequence += 1;
+        const scope = createScope(`run-${runSequence}`);
+        const runHandle = handle(scope);
+        runs.set(scope.id, runHandle);
+        return { scope, runHandle };
+    };
+
+    const startRun = (message, payload = {}) => {
+        const { scope, runHandle } = createRun();
+        runHandle.response = sendIn(scope, message, payload);
+        // Callers observe failures through the handle's response or its events.
+        runHandle.response.catch(() => {});
+        return runHandle;
+    };
+
+    const streamRun = (runId, { url = null } = {}) => {
+        const { scope, runHandle } = createRun();
+        scope.cancelUrl = `${runsEndpoint}/${encodeURIComponent(runId)}/cancel`;
+        connectScope(scope, url || `${runsEndpoint}/${encodeURIComponent(runId)}/stream`, {
+            runId: String(runId),
         });
+        return runHandle;
     };
 
     const createRealtimeSession = (payload = {}) => request(
+        primary,
         options.realtimeEndpoint || '/api/v1/ai/realtime/sessions',
         payload,
     );
@@ -139,11 +1179,13 @@ export function createAssistantClient(options = {}) {
                 emit('transcription.final', { text, itemId, event });
             }
         }
-        if (type.includes('audio_transcript.delta') || type === 'response.text.delta') {
+        if (type.includes('audio_transcript.delta') || ['response.text.delta', 'response.output_text.delta'].includes(type)) {
             assistantText += text;
             emit('assistant.delta', { text, transcript: assistantText, event });
         }
         if (type.includes('audio_transcript.done') && text) assistantText = text;
+        if (type === 'response.done' && event?.response?.usage) recordUsage(primary, 'realtime', event.response.usage);
+        if (type === 'gemini.usage') recordUsage(primary, 'realtime', event.usage);
         if (type === 'response.done') {
             const completion = completedResponseText(event, assistantText || text);
             const responseId = event?.response?.id || eventId || `anonymous:${completion}`;
@@ -153,28 +1195,30 @@ export function createAssistantClient(options = {}) {
         }
     };
 
-    const cancel = async (payload = {}) => {
-        controller?.abort();
-        stream?.close();
-        controller = null;
-        stream = null;
-        emit('assistant.cancelled', {});
-        if (!cancelUrl) return null;
-
-        const url = cancelUrl;
-        cancelUrl = null;
-        try {
-            return await fetch(url, {
-                method: 'POST',
-                credentials: options.withCredentials === false ? 'same-origin' : 'include',
-                headers: { Accept: 'application/json', 'Content-Type': 'application/json', ...(options.headers || {}) },
-                body: JSON.stringify(payload),
-            });
-        } catch (error) {
-            emit('transport.error', { error });
-            return null;
-        }
+    return {
+        on,
+        send,
+        connectStream,
+        createRealtimeSession,
+        consumeRealtimeEvent,
+        cancel,
+        close,
+        provideInput,
+        getPendingInputs: () => [...pendingInputs.values()].map(({ call, fields, message }) => ({ call, fields, message })),
+        retry: retryMessage,
+        discard: discardMessage,
+        getQueue: () => outbox.map(queueEntry),
+        startRun,
+        streamRun,
+        getRun: (id) => runs.get(id) || null,
+        getRuns: () => [...runs.values()],
+        conversation,
+        setSessionId: (value) => { sessionId = value || null; },
+        getSessionId: () => sessionId,
+        getUsage: usage.getUsage,
+        resetUsage: () => {
+            overBudget = false;
+            usage.reset();
+        },
     };
-
-    return { on, send, connectStream, createRealtimeSession, consumeRealtimeEvent, cancel };
 }
@@ -0,0 +1,124 @@
+function csrfToken() {
+    return typeof document === 'undefined'
+        ? ''
+        : document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+}
+
+export function conversationTurns(messages = []) {
+    return messages
+        .filter((message) => ['user', 'assistant'].includes(message?.role))
+        .map((message, index) => ({
+            id: message.id ? `message-${message.id}` : `history-${index + 1}`,
+            role: message.role,
+            text: String(message.content ?? message.text ?? ''),
+            status: 'completed',
+            createdAt: message.sent_at || message.created_at || undefined,
+            history: true,
+        }));
+}
+
+export function createConversationsClient(options = {}) {
+    const fetchImpl = options.fetch || globalThis.fetch?.bind(globalThis);
+    const endpoint = (options.endpoint || '/api/v1/agent/conversations').replace(/\/$/, '');
+
+    const headers = () => {
+        const token = options.csrfToken ?? csrfToken();
+        return {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            ...(token ? { 'X-CSRF-TOKEN': token } : {}),
+            ...(options.headers || {}),
+        };
+    };
+
+    const request = async (url, { method = 'GET', body } = {}) => {
+        const response = await fetchImpl(url, {
+            method,
+            credentials: options.withCredentials === false ? 'same-origin' : 'include',
+            headers: headers(),
+            ...(body ? { body: JSON.stringify(body) } : {}),
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok || payload?.success === false) {
+            const error = new Error(
+                payload?.message || payload?.error || `Conversations request failed (${response.status})`,
+            );
+            error.status = response.status;
+            error.response = payload;
+            throw error;
+        }
+        return payload?.data ?? payload;
+    };
+
+    const query = (params) => {
+        const search = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null && value !== '') search.set(key, String(value));
+        }
+        const encoded = search.toString();
+        return encoded ? `?${encoded}` : '';
+    };
+
+    const page = async (path, params, load) => {
+        const data = await request(`${endpoint}${path}${query(params)}`);
+        const pagination = data?.pagination || {};
+        const hasMore = Number(pagination.current_page || 1) < Number(pagination.last_page || 1);
+
+        return {
+            conversations: data?.conversations || [],
+            pagination,
+            hasMore,
+            nextPage: () => (hasMore ? load(Number(pagination.current_page || 1) + 1) : Promise.resolve(null)),
+        };
+    };
+
+    const list = ({ page: current = 1, limit = options.limit || 20, folderId = null } = {}) => page(
+        '',
+        { page: current, limit, folder_id: folderId },
+        (next) => list({ page: next, limit, folderId }),
+    );
+
+    const search = (term, { page: current = 1, limit = options.limit || 20, folderId = null } = {}) => page(
+        '/search',
+        { q: String(term || '').trim(), page: current, limit, folder_id: folderId },
+        (next) => search(term, { page: next, limit, folderId }),
+    );
+
+    const moveToFolder = (conversationId, folderId = null) => request(`${endpoint}/folder`, {
+        method: 'POST',
+        body: { conversation_id: String(conversationId), folder_id: folderId || null },
+    });
+
+    const loadMessages = async (conversation) => {
+        if (options.loadMessages) return options.loadMessages(conversation);
+        if (options.messagesEndpoint) {
+            const url = options.messagesEndpoint.replace(
+                '{conversation}',
+                encodeURIComponent(conversation.conversation_id),
+            );
+            const data = await request(url);
+            return data?.messages || (Array.isArray(data) ? data : []);
+        }
+
+        // The list endpoint only carries a truncated preview of the latest message,
+        // which must not be shown as history.
+        throw new Error('Opening a conversation needs messagesEndpoint or loadMessages to read its history.');
+    };
+
+    const open = async (conversation, { assistant = options.assistantClient, messages = null } = {}) => {
+        const record = typeof conversation === 'object' && conversation
+            ? conversation
+            : { conversation_id: String(conversation) };
+        const sessionId = options.resolveSessionId?.(record)
+            || record.settings?.session_id
+            || record.conversation_id;
+        const turns = conversationTurns(messages || await loadMessages(record));
+
+        assistant?.setSessionId(sessionId);
+        assistant?.conversation.reset(turns);
+
+        return { conversation: record, sessionId, turns };
+    };
+
+    return { list, search, moveToFolder, open };
+}
@@ -0,0 +1,258 @@
+const AUDIO_EVENTS = Object.freeze([
+    'response.output_audio.delta',
+    'response.audio.delta',
+    'output_audio_buffer.started',
+]);
+
+const TURN_ENDINGS = Object.freeze({
+    'assistant.completed': 'completed',
+    'assistant.failed': 'failed',
+    'assistant.cancelled': 'cancelled',
+    'run.failed': 'failed',
+    'run.cancelled': 'cancelled',
+    'run.expired': 'failed',
+});
+
+function elapsed(from, to) {
+    return from === null || to === null || to === undefined ? null : Math.max(0, Math.round(to - from));
+}
+
+export function turnTimings(turn, endedAt) {
+    const tools = [...turn.tools.values()].map(({ id, name, status, startedAt, endedAt: finishedAt }) => ({
+        id,
+        name,
+        status,
+        durationMs: elapsed(startedAt, finishedAt),
+    }));
+
+    return {
+        id: turn.id,
+        channel: turn.channel,
+        status: turn.status,
+        startedAt: turn.wallClock,
+        timeToAcknowledgeMs: elapsed(turn.startedAt, turn.acknowledgedAt),
+        timeToResponseMs: elapsed(turn.startedAt, turn.respondedAt),
+        timeToFirstTokenMs: elapsed(turn.startedAt, turn.firstTokenAt),
+        timeToFirstAudioMs: elapsed(turn.startedAt, turn.firstAudioAt),
+        toolMs: tools.reduce((total, tool) => total + (tool.durationMs || 0), 0),
+        totalMs: elapsed(turn.startedAt, endedAt),
+        tools,
+    };
+}
+
+// Listens to the '*' stream of an assistant or voice client and turns its raw
+// events into one timing record per turn. Timings use a monotonic clock.
+export function createTurnMetrics(client, {
+    endpoint = null,
+    batchSize = 10,
+    flushIntervalMs = 10000,
+    metadata = {},
+    now = () => globalThis.performance?.now?.() ?? Date.now(),
+    wallClock = () => new Date().toISOString(),
+    sendBeacon = globalThis.navigator?.sendBeacon?.bind(globalThis.navigator),
+    fetch: fetchImpl = globalThis.fetch?.bind(globalThis),
+    setTimeout: setTimer = globalThis.setTimeout?.bind(globalThis),
+    clearTimeout: clearTimer = globalThis.clearTimeout?.bind(globalThis),
+    document: documentRef = globalThis.document,
+} = {}) {
+    const listeners = new Map();
+    const pending = [];
+    let turn = null;
+    let sequence = 0;
+    let connection = null;
+    let recovering = false;
+    let flushTimer = null;
+
+    const emit = (name, payload = {}) => {
+        for (const listener of listeners.get(name) || []) listener(payload);
+        for (const listener of listeners.get('*') || []) listener({ name, payload });
+    };
+
+    const on = (name, listener) => {
+        const current = listeners.get(name) || new Set();
+        current.add(listener);
+        listeners.set(name, current);
+        return () => current.delete(listener);
+    };
+
+    // sendBeacon survives page unloads; fetch with keepalive covers browsers without it.
+    const flush = () => {
+        clearTimer?.(flushTimer);
+        flushTimer = null;
+        if (!endpoint || !pending.length) return false;
+        const records = pending.splice(0);
+        const body = JSON.stringify({ metadata, metrics: records });
+        const queued = sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }));
+        if (!queued && fetchImpl) {
+            void fetchImpl(endpoint, {
+                method: 'POST',
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' },
+                body,
+            }).catch(() => {});
+        }
+        emit('metrics.flushed', { count: records.length });
+        return true;
+    };
+
+    const report = (name, record) => {
+        emit(name, record);
+        if (!endpoint) return;
+        pending.push({ type: name, ...record });
+        if (pending.length >= batchSize) flush();
+        else if (!flushTimer && setTimer) flushTimer = setTimer(flush, flushIntervalMs);
+    };
+
+    const begin = (channel, at = now()) => {
+        if (turn) finish('interrupted');
+        sequence += 1;
+        turn = {
+            id: `turn-${sequence}`,
+            channel,
+            status: 'pending',
+            wallClock: wallClock(),
+            startedAt: at,
+            acknowledgedAt: null,
+            respondedAt: null,
+            firstTokenAt: null,
+            firstAudioAt: null,
+            tools: new Map(),
+        };
+        return turn;
+    };
+
+    const finish = (status) => {
+        if (!turn) return;
+        const current = turn;
+        turn = null;
+        current.status = status;
+        report('metrics.turn', turnTimings(current, now()));
+    };
+
+    const tool = ({ call }, status) => {
+        if (!turn) return;
+        const id = String(call?.id || call?.name || 'tool');
+        const entry = turn.tools.get(id) || { id, name: call?.name || '', status, startedAt: now(), endedAt: null };
+        if (status !== 'running') entry.endedAt = now();
+        entry.status = status;
+        turn.tools.set(id, entry);
+    };
+
+    const realtime = (event) => {
+        const at = now();
+        switch (event?.type) {
+            case 'input_audio_buffer.speech_stopped':
+                begin('voice', at);
+                return;
+            case 'response.created':
+                (turn || begin('voice', at)).respondedAt ??= at;
+                return;
+            case 'response.done':
+                if (['cancelled', 'failed'].includes(event.response?.status)) finish(event.response.status);
+                return;
+            default:
+                if (turn && AUDIO_EVENTS.includes(event?.type)) turn.firstAudioAt ??= at;
+        }
+    };
+
+    const phase = ({ phase: name, transport }) => {
+        const at = now();
+        connection ??= { startedAt: at, phases: [], transport: null };
+        connection.transport = transport || connection.transport || null;
+        connection.phases.push({ phase: name, at });
+    };
+
+    const connected = ({ transport, strategy }) => {
+        if (!connection) return;
+        const endedAt = now();
+        const { startedAt, phases } = connection;
+        const fallbackTransport = connection.transport;
+        connection = null;
+        report('metrics.connection', {
+            transport: transport || fallbackTransport,
+            recovery: strategy || null,
+            totalMs: elapsed(startedAt, endedAt),
+            phases: phases.map(({ phase: name, at }, index) => ({
+                phase: name,
+                durationMs: elapsed(at, phases[index + 1]?.at ?? endedAt),
+            })),
+        });
+    };
+
+    const consume = ({ name, payload = {} }) => {
+        switch (name) {
+            case 'queue.sending':
+                // Retries resend the same queued message, which is still one turn.
+                if (turn?.entryId && turn.entryId === payload.entry?.id) return;
+                begin('chat').entryId = payload.entry?.id || null;
+                return;
+            case 'voice.text_sent':
+                begin('voice');
+                return;
+            case 'voice.talking':
+                if (payload.committed) begin('voice');
+                return;
+            case 'voice.state':
+                // A failed attempt should not leak its phases into the next one.
+                if (['idle', 'failed'].includes(payload.state)) {
+                    connection = null;
+                    recovering = false;
+                }
+                else if (['requesting_microphone', 'connecting'].includes(payload.state)) {
+                    connection ??= { startedAt: now(), phases: [], transport: null };
+                }
+                return;
+            case 'voice.phase':
+                phase(payload);
+                return;
+            case 'voice.reconnecting':
+                recovering = true;
+                return;
+            case 'voice.connected':
+                // A reconnect connects a new session first; voice.recovered reports it with its strategy.
+                if (!recovering) connected(payload);
+                return;
+            case 'voice.recovered':
+                recovering = false;
+                connected(payload);
+                return;
+            case 'realtime.event':
+                realtime(payload.event);
+                return;
+            case 'assistant.acknowledged':
+                if (turn && !payload.local) turn.acknowledgedAt ??= now();
+                return;
+            case 'assistant.delta':
+                if (turn) turn.firstTokenAt ??= now();
+                return;
+            case 'tool.started':
+                tool(payload, 'running');
+                return;
+            case 'tool.completed':
+                tool(payload, 'completed');
+                return;
+            case 'tool.failed':
+                tool(payload, 'failed');
+                return;
+            default:
+                if (TURN_ENDINGS[name]) finish(TURN_ENDINGS[name]);
+        }
+    };
+
+    const unsubscribe = client.on('*', consume);
+    const onVisibility = () => {
+        if (documentRef?.visibilityState === 'hidden') flush();
+    };
+    documentRef?.addEventListener?.('visibilitychange', onVisibility);
+
+    return {
+        on,
+        flush,
+        getPending: () => [...pending],
+        stop() {
+            unsubscribe();
+            documentRef?.removeEventListener?.('visibilitychange', onVisibility);
+            return flush();
+        },
+    };
+}
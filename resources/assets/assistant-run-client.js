@@ -0,0 +1,154 @@
+import { createAssistantClient } from './assistant-client.js';
+
+const RUN_STATUS_EVENTS = Object.freeze({
+    'run.started': 'running',
+    'run.waiting_input': 'waiting_input',
+    'run.waiting_approval': 'waiting_approval',
+    'run.completed': 'completed',
+    'run.failed': 'failed',
+    'run.cancelled': 'cancelled',
+    'run.expired': 'expired',
+});
+
+const TERMINAL_RUN_STATUSES = Object.freeze(['completed', 'failed', 'cancelled', 'expired']);
+
+function csrfToken() {
+    return typeof document === 'undefined'
+        ? ''
+        : document.querySelector('meta[name="csrf-token"]')?.getAttribute('content') || '';
+}
+
+export function isTerminalRunStatus(status) {
+    return TERMINAL_RUN_STATUSES.includes(status);
+}
+
+export function createAgentRunClient(options = {}) {
+    const listeners = new Map();
+    const runs = new Map();
+    const assistant = options.assistantClient || createAssistantClient(options);
+    const fetchImpl = options.fetch || globalThis.fetch?.bind(globalThis);
+    const endpoint = (options.endpoint || '/api/v1/ai/agent-runs').replace(/\/$/, '');
+    const streams = new Map();
+
+    const emit = (name, payload = {}) => {
+        for (const listener of listeners.get(name) || []) listener(payload);
+        for (const listener of listeners.get('*') || []) listener({ name, payload });
+    };
+
+    const on = (name, listener) => {
+        const current = listeners.get(name) || new Set();
+        current.add(listener);
+        listeners.set(name, current);
+        return () => current.delete(listener);
+    };
+
+    const headers = () => {
+        const token = options.csrfToken ?? csrfToken();
+        return {
+            Accept: 'application/json',
+            'Content-Type': 'application/json',
+            ...(token ? { 'X-CSRF-TOKEN': token } : {}),
+            ...(options.headers || {}),
+        };
+    };
+
+    const request = async (path, { method = 'GET', body } = {}) => {
+        const response = await fetchImpl(`${endpoint}${path}`, {
+            method,
+            credentials: options.withCredentials === false ? 'same-origin' : 'include',
+            headers: headers(),
+            ...(body ? { body: JSON.stringify(body) } : {}),
+        });
+        const payload = await response.json().catch(() => ({}));
+        if (!response.ok || payload?.success === false) {
+            const error = new Error(payload?.message || `Agent run request failed (${response.status})`);
+            error.status = response.status;
+            error.response = payload;
+            throw error;
+        }
+        return payload?.data ?? payload;
+    };
+
+    const runPath = (runId) => `/${encodeURIComponent(String(runId))}`;
+
+    const track = (runId, patch = {}) => {
+        const key = String(runId || patch.uuid || patch.id || '');
+        if (!key) return null;
+        const previous = runs.get(key) || { id: key, status: 'pending' };
+        const run = { ...previous, ...patch, id: key };
+        runs.set(key, run);
+        if (run.status !== previous.status) {
+            emit('run.status', { runId: key, status: run.status, previous: previous.status, run });
+        }
+        emit('run.updated', { runId: key, run });
+        return run;
+    };
+
+    const trackRecord = (record, runId = null) => (record ? track(runId || record.uuid || record.id, record) : null);
+
+    assistant.on('*', ({ name, payload, runId: scopedRunId }) => {
+        const status = RUN_STATUS_EVENTS[name];
+        const runId = payload?.run_id || scopedRunId;
+        if (!status || !runId) return;
+        track(runId, { status, lastEvent: name });
+        if (isTerminalRunStatus(status)) streams.delete(String(runId));
+    });
+
+    const list = async (filters = {}) => {
+        const query = new URLSearchParams();
+        for (const [key, value] of Object.entries(filters)) {
+            if (value !== undefined && value !== null && value !== '') query.set(key, String(value));
+        }
+        const encoded = query.toString();
+        const page = await request(encoded ? `?${encoded}` : '');
+        for (const record of page?.data || []) trackRecord(record);
+        return page;
+    };
+
+    const show = async (runId) => {
+        const detail = await request(runPath(runId));
+        trackRecord(detail?.run, runId);
+        return detail;
+    };
+
+    const resume = async (runId, input = {}) => {
+        const body = typeof input === 'string' ? { message: input } : { ...input };
+        const result = await request(`${runPath(runId)}/resume`, { method: 'POST', body });
+        if (result?.run) trackRecord(result.run, runId);
+        else track(runId, { status: 'running' });
+        emit('run.resumed', { runId: String(runId), result });
+        return result;
+    };
+
+    const cancel = async (runId, payload = {}) => {
+        const result = await request(`${runPath(runId)}/cancel`, { method: 'POST', body: payload });
+        streams.get(String(runId))?.close();
+        streams.delete(String(runId));
+        track(runId, { ...(result?.run || {}), status: 'cancelled' });
+        return result;
+    };
+
+    const stream = (runId) => {
+        const key = String(runId);
+        streams.get(key)?.close();
+        track(key);
+        const handle = assistant.streamRun(key, { url: `${endpoint}${runPath(key)}/stream` });
+        streams.set(key, handle);
+        return handle;
+    };
+
+    return {
+        assistant,
+        on,
+        list,
+        show,
+        trace: (runId) => request(`${runPath(runId)}/trace`),
+        capabilities: () => request('/capabilities'),
+        resume,
+        cancel,
+        stream,
+        getRun: (runId) => runs.get(String(runId)) || null,
+        getRuns: () => [...runs.values()],
+        isWaiting: (runId) => ['waiting_input', 'waiting_approval'].includes(runs.get(String(runId))?.status),
+    };
+}
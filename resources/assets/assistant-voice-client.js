@@ -1,4 +1,9 @@
-import { createAssistantClient } from './assistant-client.js';
+import { createAssistantClient, inputValues, requiredInputFields } from './assistant-client.js';
+import {
+    createAudioLevelMeter,
+    createGeminiLiveTransport,
+    createRealtimeWebSocketTransport,
+} from './assistant-voice-transports.js';
 
 const VOICE_STATES = Object.freeze([
     'idle',
@@ -12,6 +17,8 @@ const VOICE_STATES = Object.freeze([
     'failed',
 ]);
 
+const SILENT_LEVEL = Object.freeze({ rms: 0, peak: 0 });
+
 export class RealtimeVoiceError extends Error {
     constructor(message, { code = 'voice_failed', status = 0, response = null } = {}) {
         super(message);
@@ -34,7 +41,6 @@ export function normalizeRealtimeSdp(sdp) {
 export function realtimeVoiceState(event) {
     switch (event?.type) {
         case 'session.created':
-        case 'session.updated':
         case 'input_audio_buffer.speech_started':
         case 'output_audio_buffer.stopped':
             return 'listening';
@@ -82,6 +88,82 @@ export function createSemanticVad({
     };
 }
 
+function isEditableTarget(target) {
+    return Boolean(target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName));
+}
+
+export function bindPushToTalk(client, {
+    key = ' ',
+    target = globalThis.window,
+    ignoreEditable = true,
+} = {}) {
+    const matches = (event) => event.key === key || event.code === key;
+    const attempt = (action) => {
+        try {
+            action();
+        } catch {
+            // Key presses before the session is connected are ignored.
+        }
+    };
+    const keydown = (event) => {
+        if (event.key === 'Escape' && client.isTalking()) {
+            attempt(() => client.cancelTalking());
+            return;
+        }
+        if (!matches(event) || event.repeat || (ignoreEditable && isEditableTarget(event.target))) return;
+        event.preventDefault?.();
+        attempt(() => client.startTalking());
+    };
+    const keyup = (event) => {
+        if (!matches(event) || !client.isTalking()) return;
+        event.preventDefault?.();
+        attempt(() => client.stopTalking());
+    };
+    // Releasing the key in another window never fires keyup here.
+    const blur = () => {
+        if (client.isTalking()) attempt(() => client.cancelTalking());
+    };
+
+    target?.addEventListener('keydown', keydown);
+    target?.addEventListener('keyup', keyup);
+    target?.addEventListener('blur', blur);
+    return () => {
+        target?.removeEventListener('keydown', keydown);
+        target?.removeEventListener('keyup', keyup);
+        target?.removeEventListener('blur', blur);
+    };
+}
+
+function withoutAudio(event) {
+    if (typeof event?.delta === 'string' && /audio\.delta$/.test(event.type || '')) return { ...event, delta: '' };
+    if (event?.type === 'input_audio_buffer.append') return { ...event, audio: '' };
+    return event;
+}
+
+// Records both directions of the provider event stream so a user's session can be
+// replayed later. Audio payloads are blanked unless includeAudio is set.
+export function createRealtimeEventLog(client, { now = () => Date.now(), includeAudio = false } = {}) {
+    const entries = [];
+    const startedAt = now();
+    const record = (direction) => ({ event }) => {
+        const snapshot = JSON.parse(JSON.stringify(includeAudio ? event : withoutAudio(event)));
+        entries.push({ t: now() - startedAt, direction, event: snapshot });
+    };
+    const unsubscribe = [
+        client.on('realtime.event', record('in')),
+        client.on('realtime.sent', record('out')),
+    ];
+
+    return {
+        entries,
+        stop() {
+            for (const stop of unsubscribe.splice(0)) stop();
+            return entries;
+        },
+        toJsonl: () => entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''),
+    };
+}
+
 export function realtimeToolCalls(event) {
     if (event?.type === 'response.function_call_arguments.done') {
         return [{
@@ -132,6 +214,16 @@ function responseText(result) {
     ).trim();
 }
 
+function approvalKeyFrom(result) {
+    const data = result?.data?.result || {};
+    return data.approval_key || data.output?.approval_key || data.output?.metadata?.approval_key || null;
+}
+
+function requiredInputsFrom(result) {
+    const data = result?.data?.result || {};
+    return data.required_inputs || data.output?.required_inputs || data.output?.metadata?.required_inputs || [];
+}
+
 function safeArguments(argumentsValue) {
     if (argumentsValue && typeof argumentsValue === 'object') return argumentsValue;
     try {
@@ -142,6 +234,51 @@ function safeArguments(argumentsValue) {
     }
 }
 
+function localToolDefinition(name, schema = {}) {
+    const parameters = schema.parameters
+        || (schema.type === 'object' ? schema : { type: 'object', properties: {} });
+
+    return {
+        type: 'function',
+        name,
+        description: String(schema.description || ''),
+        parameters,
+    };
+}
+
+const ICE_CONNECTION_STATES = Object.freeze({ checking: 'connecting', completed: 'connected' });
+
+// Older engines only expose iceConnectionState, so fold it into connectionState's vocabulary.
+function peerConnectionState(peer) {
+    if (peer?.connectionState) return peer.connectionState;
+    const ice = peer?.iceConnectionState || 'new';
+    return ICE_CONNECTION_STATES[ice] || ice;
+}
+
+export function realtimeQualityFromStats(report, previous = null) {
+    const stats = typeof report?.values === 'function' ? [...report.values()] : [...(report || [])];
+    const pairs = stats.filter((entry) => entry.type === 'candidate-pair' && entry.state === 'succeeded');
+    const pair = pairs.find((entry) => entry.nominated || entry.selected) || pairs[0];
+    const inbound = stats.find((entry) => entry.type === 'inbound-rtp' && (entry.kind || entry.mediaType) === 'audio');
+    const source = stats.find((entry) => entry.type === 'media-source' && entry.kind === 'audio');
+    const packetsReceived = Number(inbound?.packetsReceived || 0);
+    const packetsLost = Number(inbound?.packetsLost || 0);
+    // Loss is reported for the interval since the previous sample, not the whole call.
+    const lost = Math.max(0, packetsLost - (previous?.packetsLost || 0));
+    const received = Math.max(0, packetsReceived - (previous?.packetsReceived || 0));
+    const milliseconds = (seconds) => (seconds === undefined || seconds === null ? null : Math.round(seconds * 1000));
+
+    return {
+        rttMs: milliseconds(pair?.currentRoundTripTime),
+        jitterMs: milliseconds(inbound?.jitter),
+        packetLoss: lost + received > 0 ? lost / (lost + received) : 0,
+        inputLevel: source?.audioLevel ?? null,
+        outputLevel: inbound?.audioLevel ?? null,
+        packetsReceived,
+        packetsLost,
+    };
+}
+
 function addListener(target, name, listener) {
     if (typeof target?.addEventListener === 'function') {
         target.addEventListener(name, listener, { once: true });
@@ -156,13 +293,244 @@ function addListener(target, name, listener) {
     };
 }
 
+export function createWebRtcTransport(context) {
+    const { options } = context;
+    const PeerConnection = options.RTCPeerConnection || globalThis.RTCPeerConnection;
+    const createAudio = options.createAudio || (() => new globalThis.Audio());
+    const controller = new AbortController();
+    let peer = null;
+    let channel = null;
+    let microphone = null;
+    let remoteAudio = null;
+    let reportedState = null;
+    const stateWaiters = new Set();
+
+    const reportState = () => {
+        const value = peerConnectionState(peer);
+        if (value === reportedState) return;
+        reportedState = value;
+        for (const waiter of [...stateWaiters]) waiter(value);
+        context.connectionState(value);
+    };
+
+    const waitForConnection = () => new Promise((resolve, reject) => {
+        if (peerConnectionState(peer) === 'connected') {
+            resolve();
+            return;
+        }
+        let timer = null;
+        const finish = (callback) => {
+            stateWaiters.delete(waiter);
+            context.clearTimer(timer);
+            callback();
+        };
+        const fail = () => finish(() => reject(
+            context.error('Realtime connection did not recover after an ICE restart.', { code: 'ice_restart_failed' }),
+        ));
+        const waiter = (value) => {
+            if (value === 'connected') finish(resolve);
+            else if (['failed', 'closed'].includes(value)) fail();
+        };
+        stateWaiters.add(waiter);
+        timer = context.setTimer(fail, context.connectTimeoutMs);
+    });
+
+    const waitForChannel = () => {
+        if (channel?.readyState === 'open') return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            let removeOpen = () => {};
+            let removeClose = () => {};
+            let removeError = () => {};
+            const finish = (callback) => {
+                if (settled) return;
+                settled = true;
+                context.clearTimer(timer);
+                removeOpen();
+                removeClose();
+                removeError();
+                callback();
+            };
+            removeOpen = addListener(channel, 'open', () => finish(resolve));
+            removeClose = addListener(channel, 'close', () => finish(() => reject(
+                context.error('Realtime data channel closed before connecting.', { code: 'channel_closed' }),
+            )));
+            removeError = addListener(channel, 'error', () => finish(() => reject(
+                context.error('Realtime data channel failed to connect.', { code: 'channel_failed' }),
+            )));
+            timer = context.setTimer(() => finish(() => reject(
+                context.error('Realtime connection timed out.', { code: 'connection_timeout' }),
+            )), context.connectTimeoutMs);
+        });
+    };
+
+    const requestAnswer = async (session, sdp) => {
+        const { response, body } = await context.post(
+            options.sdpEndpoint || '/api/v1/ai/realtime/sdp',
+            { ...session, transport: 'webrtc', sdp },
+            { signal: controller.signal, timeoutMessage: 'Realtime SDP exchange timed out.' },
+        );
+        const answer = body?.data?.session?.sdp?.answer
+            || body?.data?.answer_sdp
+            || body?.answer_sdp;
+        if (!response.ok || !answer) {
+            throw context.error(
+                body?.message || `Realtime SDP exchange failed (${response.status}).`,
+                { code: 'sdp_exchange_failed', status: response.status, response: body },
+            );
+        }
+        return { answer, descriptor: body?.data?.session || body?.data || body };
+    };
+
+    const resumeAudio = async () => {
+        if (!remoteAudio?.play) return false;
+        try {
+            await remoteAudio.play();
+            context.emit('voice.audio_resumed', { audio: remoteAudio });
+            return true;
+        } catch (error) {
+            context.emit('voice.audio_blocked', { error, audio: remoteAudio });
+            return false;
+        }
+    };
+
+    return {
+        name: 'webrtc',
+        capabilities: { sessionUpdate: true, outOfBandResponses: true, manualTurns: true },
+        supported: () => Boolean(PeerConnection && (context.textOnly || context.mediaDevices?.getUserMedia)),
+        async connect(session, { isCurrent }) {
+            const acquired = await context.requestMicrophone();
+            if (!isCurrent()) {
+                for (const track of acquired?.getTracks?.() || []) track.stop();
+                return null;
+            }
+            microphone = acquired;
+            context.transition('connecting');
+            context.phase('creating_connection', { transport: 'webrtc' });
+            peer = new PeerConnection(options.rtcConfiguration);
+            channel = peer.createDataChannel(options.dataChannelLabel || 'oai-events');
+            if (context.audioOutput) {
+                remoteAudio = createAudio();
+                remoteAudio.autoplay = true;
+                remoteAudio.playsInline = true;
+                if (context.outputDeviceId && remoteAudio.setSinkId) {
+                    remoteAudio.setSinkId(context.outputDeviceId).catch((error) => context.emit('transport.error', { error }));
+                }
+            }
+            // The offer still needs an audio section when there is no microphone track.
+            if (microphone) for (const track of microphone.getTracks()) peer.addTrack(track, microphone);
+            else peer.addTransceiver?.('audio', { direction: 'recvonly' });
+            peer.ontrack = (event) => {
+                if (!remoteAudio) return;
+                remoteAudio.srcObject = event.streams?.[0] || null;
+                context.remoteStream(remoteAudio.srcObject);
+                void resumeAudio();
+            };
+            peer.onconnectionstatechange = reportState;
+            peer.oniceconnectionstatechange = reportState;
+            channel.onmessage = (message) => context.receive(message.data, message);
+            channel.onclose = () => context.closed();
+            channel.onerror = (error) => context.emit('transport.error', { error });
+
+            const offer = await peer.createOffer();
+            if (!isCurrent()) return null;
+            await peer.setLocalDescription(offer);
+            if (!isCurrent()) return null;
+            context.phase('negotiating', { transport: 'webrtc' });
+            const result = await requestAnswer(session, peer.localDescription?.sdp || offer.sdp);
+            if (!isCurrent()) return null;
+            context.phase('securing', { transport: 'webrtc' });
+            await peer.setRemoteDescription({ type: 'answer', sdp: normalizeRealtimeSdp(result.answer) });
+            if (!isCurrent()) return null;
+            await waitForChannel();
+            return result.descriptor;
+        },
+        // The data channel survives an ICE restart, so only the transport path is renegotiated.
+        async restartIce(session, { isCurrent }) {
+            peer.restartIce?.();
+            const offer = await peer.createOffer({ iceRestart: true });
+            if (!isCurrent()) return null;
+            await peer.setLocalDescription(offer);
+            if (!isCurrent()) return null;
+            context.phase('negotiating', { transport: 'webrtc', iceRestart: true });
+            const result = await requestAnswer(
+                { ...session, ice_restart: true },
+                peer.localDescription?.sdp || offer.sdp,
+            );
+            if (!isCurrent()) return null;
+            await peer.setRemoteDescription({ type: 'answer', sdp: normalizeRealtimeSdp(result.answer) });
+            await waitForConnection();
+            return result.descriptor;
+        },
+        getStats: () => (typeof peer?.getStats === 'function' ? peer.getStats() : null),
+        // replaceTrack swaps the outgoing audio without another offer/answer round.
+        async replaceMicrophone(stream) {
+            const track = stream.getAudioTracks?.()[0] || stream.getTracks()[0];
+            const sender = peer?.getSenders?.().find((candidate) => candidate.track?.kind === 'audio');
+            if (!sender?.replaceTrack) {
+                throw context.error('This connection cannot switch microphones.', { code: 'input_device_unsupported' });
+            }
+            await sender.replaceTrack(track);
+            const previous = microphone;
+            microphone = stream;
+            for (const old of previous?.getTracks?.() || []) if (old !== track) old.stop();
+        },
+        async setSinkId(deviceId) {
+            if (!remoteAudio) return true;
+            if (typeof remoteAudio.setSinkId !== 'function') return false;
+            await remoteAudio.setSinkId(deviceId || '');
+            return true;
+        },
+        isOpen: () => channel?.readyState === 'open',
+        send: (event) => channel.send(JSON.stringify(event)),
+        setMuted(muted) {
+            for (const track of microphone?.getAudioTracks?.() || microphone?.getTracks?.() || []) {
+                track.enabled = !muted;
+            }
+        },
+        resumeAudio,
+        getMicrophone: () => microphone,
+        getPeerConnection: () => peer,
+        close({ keepMicrophone = false } = {}) {
+            controller.abort();
+            stateWaiters.clear();
+            // A replaced transport must not report its late close events to the client.
+            if (channel) channel.onclose = null;
+            if (peer) {
+                peer.onconnectionstatechange = null;
+                peer.oniceconnectionstatechange = null;
+            }
+            channel?.close?.();
+            peer?.close?.();
+            if (!keepMicrophone) for (const track of microphone?.getTracks?.() || []) track.stop();
+            if (remoteAudio) {
+                remoteAudio.pause?.();
+                remoteAudio.srcObject = null;
+            }
+            channel = null;
+            peer = null;
+            microphone = null;
+            remoteAudio = null;
+        },
+    };
+}
+
+const TRANSPORTS = Object.freeze({
+    webrtc: createWebRtcTransport,
+    websocket: createRealtimeWebSocketTransport,
+    gemini: createGeminiLiveTransport,
+});
+
 export function createRealtimeVoiceClient(options = {}) {
     const listeners = new Map();
     const assistant = options.assistantClient || createAssistantClient(options);
     const fetchImpl = options.fetch || globalThis.fetch?.bind(globalThis);
     const mediaDevices = options.mediaDevices || globalThis.navigator?.mediaDevices;
-    const PeerConnection = options.RTCPeerConnection || globalThis.RTCPeerConnection;
-    const createAudio = options.createAudio || (() => new globalThis.Audio());
+    const textOnly = options.textOnly === true;
+    const pushToTalk = options.pushToTalk === true;
+    const audioOutput = options.audioOutput ?? !textOnly;
     const setTimer = options.setTimeout || globalThis.setTimeout?.bind(globalThis);
     const clearTimer = options.clearTimeout || globalThis.clearTimeout?.bind(globalThis);
     const connectTimeoutMs = Math.max(1000, Number(options.connectTimeoutMs || 20000));
@@ -170,18 +538,43 @@ export function createRealtimeVoiceClient(options = {}) {
         1000,
         Number(options.negotiationTimeoutMs || connectTimeoutMs),
     );
+    const sessionUpdateTimeoutMs = Math.max(1000, Number(options.sessionUpdateTimeoutMs || 10000));
+    const qualityIntervalMs = options.qualityIntervalMs === false
+        ? 0
+        : Math.max(250, Number(options.qualityIntervalMs || 2000));
+    const disconnectGraceMs = Math.max(0, Number(options.disconnectGraceMs ?? 3000));
+    const levels = options.levels === true;
+    const levelIntervalMs = Math.max(16, Number(options.levelIntervalMs || 100));
     const handledToolCalls = new Set();
+    const pendingApprovals = new Map();
+    const pendingInputs = new Map();
+    const localTools = new Map();
+    const sessionUpdates = [];
     let state = 'idle';
-    let peer = null;
-    let channel = null;
-    let microphone = null;
-    let remoteAudio = null;
-    let connectController = null;
+    let transport = null;
     let connectPromise = null;
     let descriptor = null;
+    let lastSession = {};
+    let sessionTools = null;
+    let updateSequence = 0;
     let muted = false;
+    let talking = false;
     let responseActive = false;
     let disconnectedEmitted = true;
+    let recovering = false;
+    // Set once the SDP endpoint says it cannot renegotiate an existing call.
+    let iceRestartRefused = false;
+    let healthTimer = null;
+    let qualityTimer = null;
+    let lastQuality = null;
+    let meter = null;
+    let levelTimer = null;
+    let remoteStream = null;
+    let inputDeviceId = options.inputDeviceId || null;
+    let outputDeviceId = options.outputDeviceId || null;
+    let watchingDevices = false;
+    let deviceChanges = Promise.resolve();
+    let unwatchTrack = () => {};
     let lifecycle = 0;
 
     const emit = (name, payload = {}) => {
@@ -197,6 +590,13 @@ export function createRealtimeVoiceClient(options = {}) {
     };
 
     assistant.on('*', ({ name, payload }) => emit(name, payload));
+    assistant.on('usage.budget_exceeded', ({ source, action }) => {
+        if (source !== 'realtime' || action !== 'disconnect' || !isOpen()) return;
+        emit('voice.error', {
+            error: new RealtimeVoiceError('The voice session went over its usage budget.', { code: 'budget_exceeded' }),
+        });
+        void disconnect();
+    });
 
     const transition = (next, payload = {}) => {
         if (!VOICE_STATES.includes(next) || state === next) return;
@@ -205,6 +605,13 @@ export function createRealtimeVoiceClient(options = {}) {
         emit('voice.state', { state: next, previous, ...payload });
     };
 
+    // Voice tool events originate here rather than in the assistant client, so they
+    // are applied to its conversation store explicitly.
+    const emitTool = (name, payload) => {
+        assistant.conversation?.consume(name, payload);
+        emit(name, payload);
+    };
+
     const phase = (name, payload = {}) => emit('voice.phase', { phase: name, ...payload });
 
     const emitDisconnected = () => {
@@ -223,57 +630,93 @@ export function createRealtimeVoiceClient(options = {}) {
         };
     };
 
-    const waitForChannel = () => {
-        if (channel?.readyState === 'open') return Promise.resolve();
+    const isOpen = () => Boolean(transport?.isOpen());
 
-        return new Promise((resolve, reject) => {
-            let settled = false;
-            let timer = null;
-            let removeOpen = () => {};
-            let removeClose = () => {};
-            let removeError = () => {};
-            const finish = (callback) => {
-                if (settled) return;
-                settled = true;
-                clearTimer?.(timer);
-                removeOpen();
-                removeClose();
-                removeError();
-                callback();
-            };
-            removeOpen = addListener(channel, 'open', () => finish(resolve));
-            removeClose = addListener(channel, 'close', () => finish(() => reject(
-                new RealtimeVoiceError('Realtime data channel closed before connecting.', {
-                    code: 'channel_closed',
-                }),
-            )));
-            removeError = addListener(channel, 'error', () => finish(() => reject(
-                new RealtimeVoiceError('Realtime data channel failed to connect.', {
-                    code: 'channel_failed',
-                }),
-            )));
-            timer = setTimer?.(() => finish(() => reject(
-                new RealtimeVoiceError('Realtime connection timed out.', {
-                    code: 'connection_timeout',
-                }),
-            )), connectTimeoutMs);
-        });
-    };
-
-    const sendEvent = (event) => {
-        if (channel?.readyState !== 'open') {
+    const sendEvent = (event, update = null) => {
+        if (!isOpen()) {
             throw new RealtimeVoiceError('Realtime data channel is not open.', {
                 code: 'channel_not_open',
             });
         }
-        channel.send(JSON.stringify(event));
+        transport.send(event);
+        // Providers acknowledge updates in order, so untracked ones still hold a place in the queue.
+        if (event?.type === 'session.update' && transport.capabilities?.sessionUpdate !== false) {
+            sessionUpdates.push(update || { id: event.event_id || null });
+        }
         emit('realtime.sent', { event });
         return event;
     };
 
+    const settleSessionUpdate = (event) => {
+        if (event?.type === 'session.updated') {
+            const update = sessionUpdates.shift();
+            clearTimer(update?.timer);
+            update?.resolve?.(event.session || {});
+            return false;
+        }
+        const index = event?.type === 'error' && event?.error?.event_id
+            ? sessionUpdates.findIndex(({ id }) => id === event.error.event_id)
+            : -1;
+        if (index === -1) return false;
+        const [update] = sessionUpdates.splice(index, 1);
+        clearTimer(update.timer);
+        update.reject?.(new RealtimeVoiceError(
+            event.error.message || 'Realtime session update failed.',
+            { code: event.error.code || 'session_update_failed', response: event },
+        ));
+        return Boolean(update.reject);
+    };
+
+    const rejectSessionUpdates = (error) => {
+        for (const update of sessionUpdates.splice(0)) {
+            clearTimer(update.timer);
+            update.reject?.(error);
+        }
+    };
+
+    const updateSession = (changes = {}) => {
+        if (transport?.capabilities?.sessionUpdate === false) {
+            return Promise.reject(new RealtimeVoiceError(
+                `The ${transport.name} transport cannot update a live session.`,
+                { code: 'session_update_unsupported' },
+            ));
+        }
+        updateSequence += 1;
+        const event = {
+            type: 'session.update',
+            event_id: `session_update_${updateSequence}`,
+            session: { type: 'realtime', ...changes },
+        };
+
+        return new Promise((resolve, reject) => {
+            const update = { id: event.event_id, resolve, reject, timer: null };
+            sendEvent(event, update);
+            update.timer = setTimer(() => {
+                const index = sessionUpdates.indexOf(update);
+                if (index !== -1) sessionUpdates.splice(index, 1);
+                reject(new RealtimeVoiceError('Realtime session update was not acknowledged.', {
+                    code: 'session_update_timeout',
+                }));
+            }, sessionUpdateTimeoutMs);
+        }).then((session) => {
+            emit('voice.session_updated', { session, changes });
+            return session;
+        });
+    };
+
+    const sendToolOutput = (callId, output) => sendEvent({
+        type: 'conversation.item.create',
+        item: {
+            type: 'function_call_output',
+            call_id: callId,
+            output: JSON.stringify(output),
+        },
+    });
+
     const speak = (text, payload = {}) => {
         const speech = String(text || '').trim();
-        if (!speech) return false;
+        // Providers without out-of-band responses voice tool results through the model's own turn.
+        if (!speech || !audioOutput || transport?.capabilities?.outOfBandResponses === false) return false;
         const literal = JSON.stringify(speech);
         sendEvent({
             type: 'response.create',
@@ -294,8 +737,8 @@ export function createRealtimeVoiceClient(options = {}) {
         return true;
     };
 
-    const dispatchTool = async (call) => {
-        emit('tool.started', { call });
+    const dispatchTool = async (call, { approved = false } = {}) => {
+        emitTool('tool.started', { call });
         const response = await fetchImpl(
             options.toolEndpoint || '/api/v1/ai/realtime/tools/dispatch',
             {
@@ -313,7 +756,7 @@ export function createRealtimeVoiceClient(options = {}) {
                     user_id: options.trustClientIdentity === true
                         ? options.userId || null
                         : null,
-                    approved: false,
+                    approved,
                     metadata: options.metadata || {},
                 }),
             },
@@ -327,36 +770,240 @@ export function createRealtimeVoiceClient(options = {}) {
             );
         }
 
-        if (call.id) {
-            sendEvent({
-                type: 'conversation.item.create',
-                item: {
-                    type: 'function_call_output',
-                    call_id: call.id,
-                    output: JSON.stringify(result?.data?.result || result),
-                },
-            });
+        const text = responseText(result);
+        if (status === 'approval_required' && call.id && options.approvalFlow !== false) {
+            // The provider call stays open until approve() or reject() answers it.
+            const approval = {
+                call,
+                result,
+                reason: text,
+                approvalKey: approvalKeyFrom(result),
+            };
+            pendingApprovals.set(call.id, approval);
+            emitTool('tool.approval_required', approval);
+            if (text && options.speakToolResults !== false) speak(text);
+            return result;
         }
 
-        const text = responseText(result);
-        emit('tool.completed', { call, result, text, status });
+        if (status === 'needs_user_input' && call.id && options.inputFlow !== false) {
+            // Like approvals, the provider call waits for provideInput() to resubmit it.
+            const request = {
+                call,
+                result,
+                message: text,
+                fields: requiredInputFields(requiredInputsFrom(result)),
+            };
+            pendingInputs.set(call.id, request);
+            emitTool('tool.input_required', request);
+            if (text && options.speakToolResults !== false) speak(text);
+            return result;
+        }
+
+        if (call.id) sendToolOutput(call.id, result?.data?.result || result);
+
+        emitTool('tool.completed', { call, result, text, status });
         if (text && options.speakToolResults !== false) speak(text);
         return result;
     };
 
+    const resolveApproval = async (action, approval, payload) => {
+        if (!approval.approvalKey) return null;
+        const endpoint = options.approvalsEndpoint || '/api/v1/ai/provider-tools/approvals';
+        const response = await fetchImpl(
+            `${endpoint}/${encodeURIComponent(approval.approvalKey)}/${action}`,
+            {
+                method: 'POST',
+                credentials: options.withCredentials === false ? 'same-origin' : 'include',
+                headers: headers(),
+                body: JSON.stringify({
+                    reason: payload.reason || null,
+                    metadata: { session_id: options.sessionId || null, call_id: approval.call.id },
+                }),
+            },
+        );
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new RealtimeVoiceError(
+                body?.message || `Realtime tool ${action} failed (${response.status}).`,
+                { code: `tool_${action}_failed`, status: response.status, response: body },
+            );
+        }
+        return body;
+    };
+
+    const takeApproval = (callId) => {
+        const approval = pendingApprovals.get(String(callId));
+        if (!approval) {
+            throw new RealtimeVoiceError(`No realtime tool call [${callId}] is awaiting approval.`, {
+                code: 'approval_not_found',
+            });
+        }
+        pendingApprovals.delete(String(callId));
+        return approval;
+    };
+
+    const settleApproval = async (action, approval, payload) => {
+        try {
+            return await resolveApproval(action, approval, payload);
+        } catch (error) {
+            // Keep the call answerable so the user can retry the decision.
+            pendingApprovals.set(approval.call.id, approval);
+            throw error;
+        }
+    };
+
+    const approve = async (callId, payload = {}) => {
+        const approval = takeApproval(callId);
+        await settleApproval('approve', approval, payload);
+        emitTool('tool.approved', { call: approval.call, approvalKey: approval.approvalKey });
+        transition('processing', { call: approval.call });
+        try {
+            return await dispatchTool(approval.call, { approved: true });
+        } catch (error) {
+            emitTool('tool.failed', { call: approval.call, error });
+            emit('voice.error', { error });
+            throw error;
+        }
+    };
+
+    const reject = async (callId, payload = {}) => {
+        const approval = takeApproval(callId);
+        const reason = String(payload.reason || 'The user declined this action.');
+        await settleApproval('reject', approval, payload);
+        sendToolOutput(approval.call.id, {
+            success: false,
+            status: 'rejected',
+            tool_call_id: approval.call.id,
+            tool_name: approval.call.name,
+            message: reason,
+        });
+        sendEvent({ type: 'response.create' });
+        emitTool('tool.rejected', { call: approval.call, reason, approvalKey: approval.approvalKey });
+        return true;
+    };
+
+    const toolList = (tools = null) => {
+        const local = [...localTools.values()].map(({ definition }) => definition);
+        const names = new Set(local.map(({ name }) => name));
+        // session.update replaces the tool list, so keep the server-issued tools alongside local ones.
+        const serverTools = (tools || sessionTools || descriptor?.session?.tools || descriptor?.payload?.tools || [])
+            .filter((tool) => !names.has(tool?.name));
+        return [...serverTools, ...local];
+    };
+
+    const publishTools = (tools = null) => sendEvent({
+        type: 'session.update',
+        session: { type: 'realtime', tools: toolList(tools) },
+    });
+
+    const setTools = (tools = []) => {
+        sessionTools = [...tools];
+        return updateSession({ tools: toolList() });
+    };
+
+    const setTranscriptionModel = (model) => {
+        let transcription = null;
+        if (model && typeof model === 'object') transcription = model;
+        else if (model) transcription = { model: String(model) };
+        return updateSession({ audio: { input: { transcription } } });
+    };
+
+    const republishTools = () => {
+        if (options.publishTools !== false && isOpen() && transport.capabilities?.sessionUpdate !== false) {
+            publishTools();
+        }
+    };
+
+    // Gemini Live reads tools only from its setup message, so the list is fixed once connected.
+    const assertToolsMutable = () => {
+        if (isOpen() && transport.capabilities?.sessionUpdate === false) {
+            throw new RealtimeVoiceError(
+                `The ${transport.name} transport cannot change tools on a live session. Register them before connect().`,
+                { code: 'session_update_unsupported' },
+            );
+        }
+    };
+
+    const unregisterTool = (name) => {
+        if (localTools.has(String(name))) assertToolsMutable();
+        const removed = localTools.delete(String(name));
+        if (removed) republishTools();
+        return removed;
+    };
+
+    const registerTool = (name, schema, handler) => {
+        const toolName = String(name || '');
+        const run = typeof schema === 'function' ? schema : handler;
+        if (!toolName || typeof run !== 'function') {
+            throw new RealtimeVoiceError('Local realtime tools need a name and a handler.', {
+                code: 'invalid_tool',
+            });
+        }
+        assertToolsMutable();
+        const definition = localToolDefinition(toolName, typeof schema === 'function' ? {} : schema || {});
+        localTools.set(toolName, { definition, handler: run, respond: schema?.respond !== false });
+        republishTools();
+        return () => unregisterTool(toolName);
+    };
+
+    const runLocalTool = async (call, tool) => {
+        emitTool('tool.started', { call, local: true });
+        let result;
+        try {
+            result = await tool.handler(safeArguments(call.arguments), { call });
+        } catch (error) {
+            // The provider still needs an answer for the call before it can continue.
+            if (call.id) {
+                sendToolOutput(call.id, { success: false, status: 'failed', message: error?.message || 'Tool failed.' });
+                sendEvent({ type: 'response.create' });
+            }
+            throw error;
+        }
+        if (call.id) sendToolOutput(call.id, result ?? { success: true });
+        if (tool.respond) sendEvent({ type: 'response.create' });
+        emitTool('tool.completed', { call, result, text: '', status: 'completed', local: true });
+        return result;
+    };
+
+    const provideInput = async (callId, values) => {
+        const request = pendingInputs.get(String(callId));
+        if (!request) {
+            throw new RealtimeVoiceError(`No realtime tool call [${callId}] is awaiting input.`, {
+                code: 'input_not_found',
+            });
+        }
+        pendingInputs.delete(String(callId));
+        const answers = inputValues(request.fields, values);
+        const call = { ...request.call, arguments: { ...safeArguments(request.call.arguments), ...answers } };
+        emitTool('tool.input_provided', { call, values: answers });
+        transition('processing', { call });
+        try {
+            return await dispatchTool(call);
+        } catch (error) {
+            emitTool('tool.failed', { call, error });
+            emit('voice.error', { error });
+            throw error;
+        }
+    };
+
     const handleToolCall = async (call) => {
         const key = call.id || `${call.name}:${String(call.arguments)}`;
         if (handledToolCalls.has(key)) return;
         handledToolCalls.add(key);
         if (handledToolCalls.size > 500) handledToolCalls.delete(handledToolCalls.values().next().value);
         emit('tool.call', { call });
+        // The model asked again on its own, so an older prompt for the same tool is stale.
+        for (const [id, request] of pendingInputs) {
+            if (request.call.name === call.name) pendingInputs.delete(id);
+        }
 
-        if (options.autoDispatchTools === false) return;
+        const localTool = localTools.get(call.name);
+        if (!localTool && options.autoDispatchTools === false) return;
         transition('processing', { call });
         try {
-            await dispatchTool(call);
+            await (localTool ? runLocalTool(call, localTool) : dispatchTool(call));
         } catch (error) {
-            emit('tool.failed', { call, error });
+            emitTool('tool.failed', { call, error });
             emit('voice.error', { error });
         }
     };
@@ -364,12 +1011,16 @@ export function createRealtimeVoiceClient(options = {}) {
     const consumeRealtimeEvent = (event) => {
         assistant.consumeRealtimeEvent(event);
         emit('realtime.event', { event });
+        // A rejected update is answered through its promise; the session itself is still healthy.
+        if (settleSessionUpdate(event)) return;
 
         const previousState = state;
         if (event?.type === 'response.created') responseActive = true;
         if (event?.type === 'response.done') responseActive = false;
         const nextState = realtimeVoiceState(event);
         if (nextState) transition(nextState, { event });
+        // Text responses never produce an output audio buffer to report the end of the turn.
+        if (event?.type === 'response.done' && !audioOutput) transition(muted ? 'muted' : 'listening', { event });
         if (
             event?.type === 'input_audio_buffer.speech_started'
             && options.interruptOnSpeech !== false
@@ -393,163 +1044,469 @@ export function createRealtimeVoiceClient(options = {}) {
         }
     };
 
-    const installChannelHandlers = () => {
-        channel.onmessage = (message) => {
-            try {
-                consumeRealtimeEvent(JSON.parse(message.data));
-            } catch (error) {
-                emit('transport.error', { error, message });
-            }
-        };
-        channel.onclose = () => {
-            if (state !== 'disconnecting' && state !== 'idle') transition('idle');
-            emitDisconnected();
-        };
-        channel.onerror = (error) => emit('transport.error', { error });
+    const receive = (data, message = null) => {
+        try {
+            consumeRealtimeEvent(typeof data === 'string' ? JSON.parse(data) : data);
+        } catch (error) {
+            emit('transport.error', { error, message });
+        }
     };
 
-    const requestAnswer = async (session, sdp) => {
-        connectController = new AbortController();
+    const closed = () => {
+        // The transport being replaced may still report its own shutdown.
+        if (recovering) return;
+        rejectSessionUpdates(new RealtimeVoiceError('Realtime session closed before the update was acknowledged.', {
+            code: 'channel_closed',
+        }));
+        if (state !== 'disconnecting' && state !== 'idle') transition('idle');
+        emitDisconnected();
+    };
+
+    const post = async (url, payload, { signal = null, timeoutMessage = 'Realtime negotiation timed out.' } = {}) => {
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        signal?.addEventListener?.('abort', abort, { once: true });
         let timedOut = false;
-        const timer = setTimer?.(() => {
+        const timer = setTimer(() => {
             timedOut = true;
-            connectController?.abort();
+            controller.abort();
         }, negotiationTimeoutMs);
 
         try {
-            const response = await fetchImpl(
-                options.sdpEndpoint || '/api/v1/ai/realtime/sdp',
-                {
-                    method: 'POST',
-                    credentials: options.withCredentials === false ? 'same-origin' : 'include',
-                    headers: headers(),
-                    signal: connectController.signal,
-                    body: JSON.stringify({ ...session, transport: 'webrtc', sdp }),
-                },
-            );
-            const body = await response.json().catch(() => ({}));
-            const answer = body?.data?.session?.sdp?.answer
-                || body?.data?.answer_sdp
-                || body?.answer_sdp;
-            if (!response.ok || !answer) {
-                throw new RealtimeVoiceError(
-                    body?.message || `Realtime SDP exchange failed (${response.status}).`,
-                    { code: 'sdp_exchange_failed', status: response.status, response: body },
-                );
-            }
-            return { answer, descriptor: body?.data?.session || body?.data || body };
+            const response = await fetchImpl(url, {
+                method: 'POST',
+                credentials: options.withCredentials === false ? 'same-origin' : 'include',
+                headers: headers(),
+                signal: controller.signal,
+                body: JSON.stringify(payload),
+            });
+            return { response, body: await response.json().catch(() => ({})) };
         } catch (error) {
-            if (timedOut) {
-                throw new RealtimeVoiceError('Realtime SDP exchange timed out.', {
-                    code: 'negotiation_timeout',
-                });
-            }
+            if (timedOut) throw new RealtimeVoiceError(timeoutMessage, { code: 'negotiation_timeout' });
             throw error;
         } finally {
-            clearTimer?.(timer);
+            clearTimer(timer);
+            signal?.removeEventListener?.('abort', abort);
         }
     };
 
-    const resumeAudio = async () => {
-        if (!remoteAudio?.play) return false;
+    const getMicrophone = (deviceId) => mediaDevices.getUserMedia({
+        audio: {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true,
+            ...(options.audioConstraints || {}),
+            ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+        },
+    });
+
+    // An unplugged preferred device should not stop a session from starting.
+    const openMicrophone = async () => {
         try {
-            await remoteAudio.play();
-            emit('voice.audio_resumed', { audio: remoteAudio });
-            return true;
+            return await getMicrophone(inputDeviceId);
+        } catch (error) {
+            if (!inputDeviceId || !['OverconstrainedError', 'NotFoundError'].includes(error?.name)) throw error;
+            return getMicrophone(null);
+        }
+    };
+
+    const transportContext = () => ({
+        options,
+        mediaDevices,
+        textOnly,
+        audioOutput,
+        outputDeviceId,
+        levels,
+        connectTimeoutMs,
+        setTimer,
+        clearTimer,
+        emit,
+        phase,
+        transition,
+        receive,
+        closed,
+        connectionState: (value) => handleConnectionState(value),
+        remoteStream: (stream) => {
+            remoteStream = stream;
+            emit('voice.remote_stream', { stream });
+        },
+        post,
+        error: (message, details) => new RealtimeVoiceError(message, details),
+        requestMicrophone: async () => {
+            if (textOnly) return null;
+            transition('requesting_microphone');
+            return openMicrophone();
+        },
+        toolDeclarations: () => [...localTools.values()].map(({ definition }) => definition),
+    });
+
+    const createTransport = (session) => {
+        const choice = options.transport || (session.provider === 'gemini' ? 'gemini' : 'webrtc');
+        const factory = typeof choice === 'function' ? choice : TRANSPORTS[choice];
+        if (!factory) {
+            throw new RealtimeVoiceError(`Unknown realtime transport [${choice}].`, { code: 'voice_unsupported' });
+        }
+        return factory(transportContext());
+    };
+
+    // A WebRTC data channel that never opens usually means UDP is blocked, which a
+    // WebSocket over TCP can still get through.
+    const connectTransport = async (candidate, session, isCurrent) => {
+        try {
+            return await candidate.connect(session, { isCurrent });
         } catch (error) {
-            emit('voice.audio_blocked', { error, audio: remoteAudio });
+            if (
+                candidate.name !== 'webrtc'
+                || error?.code !== 'connection_timeout'
+                || options.websocketFallback === false
+                || !isCurrent()
+            ) {
+                throw error;
+            }
+            const microphone = candidate.getMicrophone();
+            const fallback = TRANSPORTS.websocket({
+                ...transportContext(),
+                ...(microphone ? { requestMicrophone: async () => microphone } : {}),
+            });
+            if (!fallback.supported()) throw error;
+            candidate.close({ keepMicrophone: true });
+            transport = fallback;
+            phase('falling_back', { transport: fallback.name, from: candidate.name, error });
+            return fallback.connect(session, { isCurrent });
+        }
+    };
+
+    const resumeAudio = async () => (transport?.resumeAudio ? transport.resumeAudio() : false);
+
+    const listDevices = async (kind) => {
+        if (!mediaDevices?.enumerateDevices) return [];
+        return (await mediaDevices.enumerateDevices()).filter((device) => device.kind === kind);
+    };
+
+    const microphoneTrack = () => {
+        const stream = transport?.getMicrophone?.();
+        return stream?.getAudioTracks?.()[0] || stream?.getTracks?.()[0] || null;
+    };
+
+    const switchMicrophone = async (deviceId) => {
+        if (!transport?.replaceMicrophone) {
+            throw new RealtimeVoiceError(`The ${transport?.name || 'current'} transport cannot switch microphones.`, {
+                code: 'input_device_unsupported',
+            });
+        }
+        const generation = lifecycle;
+        const stream = await getMicrophone(deviceId);
+        if (generation !== lifecycle || !transport) {
+            for (const track of stream.getTracks?.() || []) track.stop();
+            return null;
+        }
+        try {
+            await transport.replaceMicrophone(stream);
+        } catch (error) {
+            for (const track of stream.getTracks?.() || []) track.stop();
+            throw error;
+        }
+        applyMicrophone();
+        watchTrack();
+        const track = microphoneTrack();
+        emit('voice.input_device', { deviceId: track?.getSettings?.().deviceId || deviceId, label: track?.label || '' });
+        return stream;
+    };
+
+    const setInputDevice = async (deviceId = null) => {
+        const next = deviceId ? String(deviceId) : null;
+        if (!isOpen() || !transport?.getMicrophone?.()) {
+            inputDeviceId = next;
+            return null;
+        }
+        const stream = await switchMicrophone(next);
+        inputDeviceId = next;
+        return stream;
+    };
+
+    const setOutputDevice = async (deviceId = null) => {
+        const next = deviceId ? String(deviceId) : null;
+        if (transport?.setSinkId && !(await transport.setSinkId(next))) {
+            throw new RealtimeVoiceError('This browser cannot choose an audio output device.', {
+                code: 'output_device_unsupported',
+            });
+        }
+        outputDeviceId = next;
+        emit('voice.output_device', { deviceId: next });
+        return next;
+    };
+
+    // Unplugging the active headset ends its track. The session moves to the default
+    // microphone and returns to the chosen one when it is plugged back in.
+    const handleDeviceChange = async () => {
+        const generation = lifecycle;
+        const devices = await mediaDevices?.enumerateDevices?.() || [];
+        if (generation !== lifecycle) return;
+        const inputs = devices.filter((device) => device.kind === 'audioinput');
+        const outputs = devices.filter((device) => device.kind === 'audiooutput');
+        emit('voice.devices_changed', { inputs, outputs });
+
+        const track = microphoneTrack();
+        if (track && isOpen()) {
+            const available = (id) => inputs.some((device) => device.deviceId === id);
+            const current = track.getSettings?.().deviceId || null;
+            const preferred = inputDeviceId && available(inputDeviceId) ? inputDeviceId : null;
+            const lost = track.readyState === 'ended' || Boolean(current && inputs.length && !available(current));
+            if (lost || (preferred && current !== preferred)) {
+                try {
+                    await switchMicrophone(preferred);
+                } catch (error) {
+                    emit('voice.error', { error });
+                }
+            }
+        }
+        if (outputDeviceId && transport?.setSinkId) {
+            const present = outputs.some((device) => device.deviceId === outputDeviceId);
+            await transport.setSinkId(present ? outputDeviceId : null).catch((error) => emit('transport.error', { error }));
+        }
+    };
+
+    const onDeviceChange = () => {
+        deviceChanges = deviceChanges.then(handleDeviceChange).catch((error) => emit('transport.error', { error }));
+        return deviceChanges;
+    };
+
+    const watchTrack = () => {
+        unwatchTrack();
+        const track = microphoneTrack();
+        unwatchTrack = track ? addListener(track, 'ended', () => void onDeviceChange()) : () => {};
+    };
+
+    const watchDevices = () => {
+        watchTrack();
+        if (watchingDevices) return;
+        watchingDevices = true;
+        mediaDevices?.addEventListener?.('devicechange', onDeviceChange);
+    };
+
+    const unwatchDevices = () => {
+        unwatchTrack();
+        unwatchTrack = () => {};
+        watchingDevices = false;
+        mediaDevices?.removeEventListener?.('devicechange', onDeviceChange);
+    };
+
+    const stopMonitoring = () => {
+        clearTimer(healthTimer);
+        clearTimer(qualityTimer);
+        clearTimer(levelTimer);
+        healthTimer = null;
+        qualityTimer = null;
+        levelTimer = null;
+        lastQuality = null;
+        meter?.close();
+        meter = null;
+        remoteStream = null;
+    };
+
+    // Streams are re-tapped on each tick so a swapped microphone or a late remote
+    // track is picked up without extra bookkeeping.
+    const readLevels = () => {
+        const microphone = transport?.getMicrophone?.();
+        if (microphone && !meter.has('input', microphone)) meter.attach('input', microphone);
+        if (remoteStream && !meter.has('output', remoteStream)) meter.attach('output', remoteStream);
+        let input = null;
+        if (microphone) input = muted || (pushToTalk && !talking) ? SILENT_LEVEL : meter.read('input');
+        return { input, output: meter.read('output') ?? transport?.outputLevel?.() ?? null };
+    };
+
+    const meterLevels = (generation) => {
+        const AudioContextImpl = options.AudioContext || globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!levels || !AudioContextImpl) return;
+        meter ??= createAudioLevelMeter({ AudioContext: AudioContextImpl });
+        levelTimer = setTimer(() => {
+            levelTimer = null;
+            if (generation !== lifecycle || !meter) return;
+            try {
+                emit('voice.level', readLevels());
+            } catch (error) {
+                emit('transport.error', { error });
+                return;
+            }
+            meterLevels(generation);
+        }, levelIntervalMs);
+    };
+
+    const sampleQuality = (generation, delay = qualityIntervalMs) => {
+        if (!qualityIntervalMs || !transport?.getStats) return;
+        qualityTimer = setTimer(async () => {
+            qualityTimer = null;
+            let report = null;
+            try {
+                report = await transport?.getStats();
+            } catch (error) {
+                emit('transport.error', { error });
+            }
+            // Transports without stats stop sampling after the first attempt.
+            if (generation !== lifecycle || !report) return;
+            lastQuality = realtimeQualityFromStats(report, lastQuality);
+            emit('voice.quality', { ...lastQuality, transport: transport?.name || null });
+            sampleQuality(generation);
+        }, delay);
+    };
+
+    const contextItems = () => {
+        const limit = Math.max(0, Number(options.reconnectContextTurns ?? 20));
+        const turns = (assistant.conversation?.getTurns() || []).filter((turn) => (
+            ['user', 'assistant'].includes(turn.role) && turn.status === 'completed' && turn.text
+        ));
+
+        return (limit ? turns.slice(-limit) : []).map((turn) => ({
+            type: 'conversation.item.create',
+            item: {
+                type: 'message',
+                role: turn.role,
+                content: [{ type: turn.role === 'user' ? 'input_text' : 'output_text', text: turn.text }],
+            },
+        }));
+    };
+
+    // A fresh provider session knows nothing of the call so far, so the finished
+    // turns are replayed into it before the user speaks again.
+    const reconnect = async (reason) => {
+        const history = contextItems();
+        phase('reconnecting', { transport: transport?.name || null, reason });
+        lifecycle += 1;
+        stopMonitoring();
+        transport?.close();
+        transport = null;
+        descriptor = null;
+        rejectSessionUpdates(new RealtimeVoiceError('Realtime session closed before the update was acknowledged.', {
+            code: 'channel_closed',
+        }));
+        talking = false;
+        responseActive = false;
+        pendingApprovals.clear();
+        pendingInputs.clear();
+        try {
+            if (!await connect(lastSession)) return false;
+        } catch {
+            // connect() already reported the failure and left the client idle.
             return false;
         }
+        for (const item of history) sendEvent(item);
+        emit('voice.recovered', { strategy: 'reconnect', reason, restoredTurns: history.length });
+        return true;
+    };
+
+    const recover = async (reason) => {
+        if (recovering || !descriptor) return false;
+        recovering = true;
+        const generation = lifecycle;
+        const isCurrent = () => generation === lifecycle;
+        emit('voice.reconnecting', { reason, transport: transport?.name || null });
+        try {
+            if (transport?.restartIce && options.iceRestart !== false && !iceRestartRefused) {
+                phase('restarting_ice', { transport: transport.name, reason });
+                try {
+                    await transport.restartIce(lastSession, { isCurrent });
+                    if (!isCurrent()) return false;
+                    emit('voice.recovered', { strategy: 'ice_restart', reason });
+                    return true;
+                } catch (error) {
+                    if (!isCurrent()) return false;
+                    if (error?.response?.error?.code === 'ice_restart_unsupported') iceRestartRefused = true;
+                    emit('transport.error', { error });
+                }
+            }
+            if (options.reconnect === false) {
+                await disconnect();
+                return false;
+            }
+            return await reconnect(reason);
+        } finally {
+            recovering = false;
+        }
+    };
+
+    // Brief disconnects often heal on their own, so only a failure restarts immediately.
+    const handleConnectionState = (value) => {
+        emit('voice.connection', { state: value, transport: transport?.name || null });
+        if (value === 'connected') {
+            clearTimer(healthTimer);
+            healthTimer = null;
+            return;
+        }
+        if (!['disconnected', 'failed'].includes(value) || recovering || !descriptor || healthTimer) return;
+        healthTimer = setTimer(() => {
+            healthTimer = null;
+            void recover(value);
+        }, value === 'failed' ? 0 : disconnectGraceMs);
     };
 
     const disconnect = async ({ cancelAssistant = false } = {}) => {
         lifecycle += 1;
+        stopMonitoring();
+        unwatchDevices();
         if (state !== 'idle') transition('disconnecting');
-        connectController?.abort();
-        connectController = null;
-        channel?.close?.();
-        peer?.close?.();
-        for (const track of microphone?.getTracks?.() || []) track.stop();
-        if (remoteAudio) {
-            remoteAudio.pause?.();
-            remoteAudio.srcObject = null;
-        }
-        channel = null;
-        peer = null;
-        microphone = null;
-        remoteAudio = null;
+        transport?.close();
+        transport = null;
         descriptor = null;
+        sessionTools = null;
+        rejectSessionUpdates(new RealtimeVoiceError('Realtime session closed before the update was acknowledged.', {
+            code: 'channel_closed',
+        }));
         muted = false;
+        talking = false;
         responseActive = false;
+        pendingApprovals.clear();
+        pendingInputs.clear();
         if (cancelAssistant) await assistant.cancel();
         transition('idle');
         emitDisconnected();
     };
 
+    // Ends the session and releases the assistant client this voice client built.
+    const close = async () => {
+        await disconnect();
+        if (!options.assistantClient) assistant.close?.();
+    };
+
     const connect = async (session = {}) => {
         if (connectPromise) return connectPromise;
-        if (channel?.readyState === 'open') return descriptor;
-        if (!fetchImpl || !mediaDevices?.getUserMedia || !PeerConnection || !setTimer || !clearTimer) {
+        if (isOpen()) return descriptor;
+        const candidate = fetchImpl && setTimer && clearTimer ? createTransport(session) : null;
+        if (!candidate?.supported()) {
             throw new RealtimeVoiceError(
                 'This browser does not support the required realtime voice APIs.',
                 { code: 'voice_unsupported' },
             );
         }
+        if (pushToTalk && candidate.capabilities?.manualTurns === false) {
+            throw new RealtimeVoiceError(
+                `The ${candidate.name} transport does not support push-to-talk.`,
+                { code: 'push_to_talk_unsupported' },
+            );
+        }
 
         const generation = lifecycle + 1;
         lifecycle = generation;
+        transport = candidate;
+        lastSession = session;
+        const request = textOnly && !session.modalities
+            ? { ...session, modalities: audioOutput ? ['audio'] : ['text'] }
+            : session;
         const pending = (async () => {
             try {
                 disconnectedEmitted = false;
-                transition('requesting_microphone');
-                const acquiredMicrophone = await mediaDevices.getUserMedia({
-                    audio: {
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true,
-                        ...(options.audioConstraints || {}),
-                    },
-                });
-                if (generation !== lifecycle) {
-                    for (const track of acquiredMicrophone.getTracks?.() || []) track.stop();
-                    return null;
-                }
-                microphone = acquiredMicrophone;
-                transition('connecting');
-                phase('creating_connection');
-                peer = new PeerConnection(options.rtcConfiguration);
-                channel = peer.createDataChannel(options.dataChannelLabel || 'oai-events');
-                remoteAudio = createAudio();
-                remoteAudio.autoplay = true;
-                remoteAudio.playsInline = true;
-                for (const track of microphone.getTracks()) peer.addTrack(track, microphone);
-                peer.ontrack = (event) => {
-                    remoteAudio.srcObject = event.streams?.[0] || null;
-                    void resumeAudio();
-                };
-                installChannelHandlers();
-
-                const offer = await peer.createOffer();
-                if (generation !== lifecycle) return null;
-                await peer.setLocalDescription(offer);
-                if (generation !== lifecycle) return null;
-                phase('negotiating');
-                const result = await requestAnswer(
-                    session,
-                    peer.localDescription?.sdp || offer.sdp,
-                );
-                if (generation !== lifecycle) return null;
-                descriptor = result.descriptor;
-                phase('securing');
-                await peer.setRemoteDescription({
-                    type: 'answer',
-                    sdp: normalizeRealtimeSdp(result.answer),
-                });
-                if (generation !== lifecycle) return null;
-                await waitForChannel();
-                if (generation !== lifecycle) return null;
+                const connected = await connectTransport(candidate, request, () => generation === lifecycle);
+                if (generation !== lifecycle || !connected) return null;
+                descriptor = connected;
                 transition('listening');
-                emit('voice.connected', { descriptor });
+                if (pushToTalk) {
+                    applyMicrophone();
+                    sendEvent({ type: 'session.update', session: { type: 'realtime', audio: { input: { turn_detection: null } } } });
+                }
+                if (localTools.size) republishTools();
+                sampleQuality(generation, 0);
+                meterLevels(generation);
+                watchDevices();
+                emit('voice.connected', { descriptor, transport: transport.name });
                 return descriptor;
             } catch (error) {
                 if (generation !== lifecycle) return null;
@@ -571,16 +1528,68 @@ export function createRealtimeVoiceClient(options = {}) {
         return pending;
     };
 
+    // In push-to-talk the microphone track stays disabled unless a turn is being recorded.
+    const applyMicrophone = () => transport?.setMuted(muted || (pushToTalk && !talking));
+
     const setMuted = (value) => {
         muted = Boolean(value);
-        for (const track of microphone?.getAudioTracks?.() || microphone?.getTracks?.() || []) {
-            track.enabled = !muted;
-        }
+        applyMicrophone();
         transition(muted ? 'muted' : 'listening');
         emit('voice.muted', { muted });
         return muted;
     };
 
+    const startTalking = () => {
+        if (talking) return false;
+        if (responseActive) sendEvent({ type: 'response.cancel' });
+        if (responseActive || state === 'speaking') sendEvent({ type: 'output_audio_buffer.clear' });
+        // Without turn detection the provider keeps buffering, so drop anything heard between turns.
+        sendEvent({ type: 'input_audio_buffer.clear' });
+        talking = true;
+        applyMicrophone();
+        transition(muted ? 'muted' : 'listening');
+        emit('voice.talking', { talking: true });
+        return true;
+    };
+
+    const stopTalking = ({ respond = true } = {}) => {
+        if (!talking) return false;
+        talking = false;
+        applyMicrophone();
+        sendEvent({ type: 'input_audio_buffer.commit' });
+        if (respond) sendEvent({ type: 'response.create' });
+        transition('processing');
+        emit('voice.talking', { talking: false, committed: true });
+        return true;
+    };
+
+    const cancelTalking = () => {
+        if (!talking) return false;
+        talking = false;
+        applyMicrophone();
+        sendEvent({ type: 'input_audio_buffer.clear' });
+        transition(muted ? 'muted' : 'listening');
+        emit('voice.talking', { talking: false, cancelled: true });
+        return true;
+    };
+
+    const sendText = (text, payload = {}) => {
+        const message = String(text || '').trim();
+        if (!message) return false;
+        sendEvent({
+            type: 'conversation.item.create',
+            item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: message }] },
+        });
+        assistant.conversation?.consume('assistant.acknowledged', { local: true, message });
+        emit('voice.text_sent', { text: message });
+        sendEvent({
+            type: 'response.create',
+            response: { output_modalities: audioOutput ? ['audio'] : ['text'], ...(payload.response || {}) },
+        });
+        transition('processing');
+        return true;
+    };
+
     const interrupt = () => {
         sendEvent({ type: 'response.cancel' });
         sendEvent({ type: 'output_audio_buffer.clear' });
@@ -592,16 +1601,51 @@ export function createRealtimeVoiceClient(options = {}) {
         on,
         connect,
         disconnect,
+        close,
         consumeRealtimeEvent,
-        sendEvent,
+        sendEvent: (event) => sendEvent(event),
+        updateSession,
+        setInstructions: (instructions) => updateSession({ instructions: String(instructions ?? '') }),
+        setVoice: (voice) => updateSession({ audio: { output: { voice: String(voice) } } }),
+        setTurnDetection: (turnDetection) => updateSession({ audio: { input: { turn_detection: turnDetection ?? null } } }),
+        setTools,
+        setTranscriptionModel,
         speak,
+        sendText,
+        startTalking,
+        stopTalking,
+        cancelTalking,
+        isTalking: () => talking,
         resumeAudio,
         interrupt,
+        approve,
+        reject,
+        getPendingApprovals: () => [...pendingApprovals.values()],
+        provideInput,
+        getPendingInputs: () => [...pendingInputs.values()],
+        registerTool,
+        unregisterTool,
+        publishTools,
+        getRegisteredTools: () => [...localTools.values()].map(({ definition }) => definition),
         mute: () => setMuted(true),
         unmute: () => setMuted(false),
         setMuted,
         isMuted: () => muted,
-        isConnected: () => channel?.readyState === 'open',
+        isTextOnly: () => textOnly,
+        isConnected: isOpen,
+        isRecovering: () => recovering,
+        listInputDevices: () => listDevices('audioinput'),
+        listOutputDevices: () => listDevices('audiooutput'),
+        setInputDevice,
+        setOutputDevice,
+        getMicrophoneStream: () => transport?.getMicrophone?.() || null,
+        getRemoteStream: () => remoteStream,
+        getInputDevice: () => inputDeviceId,
+        getOutputDevice: () => outputDeviceId,
+        getQuality: () => lastQuality,
+        getUsage: () => assistant.getUsage?.() || null,
+        resetUsage: () => assistant.resetUsage?.(),
+        getTransport: () => transport?.name || null,
         getState: () => state,
         getDescriptor: () => descriptor,
     };
@@ -0,0 +1,312 @@
+import { createRealtimeVoiceClient } from './assistant-voice-client.js';
+
+const CLIENT_ATTRIBUTES = Object.freeze([
+    'sdp-endpoint',
+    'tool-endpoint',
+    'session-id',
+    'headers',
+    'with-credentials',
+]);
+
+const SESSION_ATTRIBUTES = Object.freeze({
+    provider: 'provider',
+    model: 'model',
+    voice: 'voice',
+});
+
+const STATE_LABELS = Object.freeze({
+    idle: 'Start voice',
+    requesting_microphone: 'Waiting for microphone…',
+    connecting: 'Connecting…',
+    listening: 'Listening',
+    processing: 'Thinking…',
+    speaking: 'Speaking',
+    muted: 'Muted',
+    disconnecting: 'Ending…',
+    failed: 'Voice unavailable',
+});
+
+const PHASE_LABELS = Object.freeze({
+    creating_connection: 'Connecting…',
+    negotiating: 'Negotiating audio…',
+    securing: 'Securing connection…',
+    falling_back: 'Trying another connection…',
+    restarting_ice: 'Reconnecting…',
+    reconnecting: 'Reconnecting…',
+});
+
+const ERROR_MESSAGES = Object.freeze({
+    voice_unsupported: 'This browser does not support voice conversations.',
+    connection_timeout: 'The voice connection took too long. Check your network and try again.',
+    negotiation_timeout: 'The voice service did not answer in time. Try again.',
+    sdp_exchange_failed: 'The voice service could not start a session.',
+    session_request_failed: 'The voice service could not start a session.',
+    channel_closed: 'The voice connection closed unexpectedly.',
+    channel_failed: 'The voice connection failed.',
+    ice_restart_failed: 'The voice connection dropped and could not be restored.',
+    channel_not_open: 'Voice is not connected yet.',
+    tool_dispatch_failed: 'The assistant could not complete that action.',
+    input_device_unsupported: 'This connection cannot switch microphones.',
+    output_device_unsupported: 'This browser cannot choose a speaker.',
+    budget_exceeded: 'This conversation reached its usage limit.',
+    NotAllowedError: 'Microphone access was blocked. Allow it in the browser settings and try again.',
+    NotFoundError: 'No microphone was found.',
+    NotReadableError: 'The microphone is being used by another application.',
+    OverconstrainedError: 'The selected microphone is not available.',
+    AbortError: 'Microphone access was interrupted.',
+});
+
+const STYLES = `
+:host {
+    display: inline-flex;
+    align-items: center;
+    gap: 0.5rem;
+    color: var(--ai-voice-color, #101828);
+    font: var(--ai-voice-font, inherit);
+}
+button {
+    border: 0;
+    border-radius: var(--ai-voice-radius, 999px);
+    padding: 0.5rem 0.875rem;
+    background: var(--ai-voice-control-background, #f2f4f7);
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+}
+button[hidden],
+.error[hidden] {
+    display: none;
+}
+.toggle {
+    background: var(--ai-voice-accent-color, #1570ef);
+    color: var(--ai-voice-accent-contrast, #fff);
+}
+:host([state="listening"]) .toggle,
+:host([state="processing"]) .toggle,
+:host([state="speaking"]) .toggle {
+    background: var(--ai-voice-active-color, #d92d20);
+}
+:host([state="speaking"]) .status {
+    color: var(--ai-voice-accent-color, #1570ef);
+}
+.status {
+    font-size: 0.875em;
+    color: var(--ai-voice-muted-color, #667085);
+}
+.error {
+    font-size: 0.875em;
+    color: var(--ai-voice-error-color, #d92d20);
+}
+`;
+
+const BaseElement = globalThis.HTMLElement || class {};
+
+export function voiceErrorMessage(error) {
+    return ERROR_MESSAGES[error?.code]
+        || ERROR_MESSAGES[error?.name]
+        || error?.message
+        || 'Something went wrong with voice. Try again.';
+}
+
+export function voiceButtonOptions(element) {
+    const options = {};
+    const sdpEndpoint = element.getAttribute('sdp-endpoint');
+    const toolEndpoint = element.getAttribute('tool-endpoint');
+    const sessionId = element.getAttribute('session-id');
+    const headers = element.getAttribute('headers');
+    const withCredentials = element.getAttribute('with-credentials');
+
+    if (sdpEndpoint) options.sdpEndpoint = sdpEndpoint;
+    if (toolEndpoint) options.toolEndpoint = toolEndpoint;
+    if (sessionId) options.sessionId = sessionId;
+    if (headers) {
+        try {
+            const decoded = JSON.parse(headers);
+            if (decoded && typeof decoded === 'object') options.headers = decoded;
+        } catch {
+            // Invalid JSON leaves the default headers in place.
+        }
+    }
+    if (withCredentials !== null) options.withCredentials = withCredentials !== 'false';
+
+    return options;
+}
+
+export function voiceButtonSession(element, session = {}) {
+    const attributes = {};
+    for (const [attribute, key] of Object.entries(SESSION_ATTRIBUTES)) {
+        const value = element.getAttribute(attribute);
+        if (value) attributes[key] = value;
+    }
+    return { ...attributes, ...session };
+}
+
+export class VoiceButtonElement extends BaseElement {
+    static get observedAttributes() {
+        return [...CLIENT_ATTRIBUTES];
+    }
+
+    constructor() {
+        super();
+        this.session = {};
+        this.voice = null;
+        this.ownsClient = false;
+        this.unsubscribe = [];
+        this.root = null;
+    }
+
+    get client() {
+        if (!this.voice) {
+            this.voice = createRealtimeVoiceClient(voiceButtonOptions(this));
+            this.ownsClient = true;
+        }
+        return this.voice;
+    }
+
+    set client(value) {
+        this.release();
+        this.voice = value || null;
+        this.ownsClient = false;
+        if (this.isConnected && this.voice) this.bind();
+    }
+
+    connectedCallback() {
+        this.render();
+        this.bind();
+    }
+
+    disconnectedCallback() {
+        this.release();
+    }
+
+    attributeChangedCallback(_name, previous, value) {
+        if (previous === value || !this.ownsClient || this.voice?.getState() !== 'idle') return;
+        this.release();
+        if (this.isConnected) this.bind();
+    }
+
+    async start() {
+        this.showError(null);
+        try {
+            return await this.client.connect(voiceButtonSession(this, this.session));
+        } catch {
+            // voice.error already carries the failure to the UI.
+            return null;
+        }
+    }
+
+    stop() {
+        return this.voice?.disconnect() ?? Promise.resolve();
+    }
+
+    toggle() {
+        const state = this.voice?.getState() || 'idle';
+        return ['idle', 'failed'].includes(state) ? this.start() : this.stop();
+    }
+
+    render() {
+        if (this.root) return;
+        this.root = this.attachShadow({ mode: 'open' });
+        this.root.innerHTML = `
+            <style>${STYLES}</style>
+            <button class="toggle" part="button" type="button" aria-pressed="false">${STATE_LABELS.idle}</button>
+            <button class="mute" part="mute" type="button" aria-pressed="false" hidden>Mute</button>
+            <button class="interrupt" part="interrupt" type="button" hidden>Stop speaking</button>
+            <button class="resume" part="resume" type="button" hidden>Tap to hear the assistant</button>
+            <span class="status" part="status" role="status" aria-live="polite"></span>
+            <span class="error" part="error" role="alert" hidden></span>
+        `;
+        this.root.querySelector('.toggle').addEventListener('click', () => void this.toggle());
+        this.root.querySelector('.mute').addEventListener('click', () => {
+            if (this.voice) this.voice.setMuted(!this.voice.isMuted());
+        });
+        this.root.querySelector('.interrupt').addEventListener('click', () => {
+            try {
+                this.voice?.interrupt();
+            } catch (error) {
+                this.showError(error);
+            }
+        });
+        this.root.querySelector('.resume').addEventListener('click', () => void this.voice?.resumeAudio());
+    }
+
+    bind() {
+        if (!this.root || this.unsubscribe.length) return;
+        const voice = this.client;
+        this.unsubscribe = [
+            voice.on('voice.state', ({ state }) => this.renderState(state)),
+            voice.on('voice.phase', ({ phase }) => {
+                this.setAttribute('phase', phase);
+                this.setStatus(PHASE_LABELS[phase] || '');
+            }),
+            voice.on('voice.muted', () => this.renderState(voice.getState())),
+            voice.on('voice.error', ({ error }) => this.showError(error)),
+            voice.on('voice.audio_blocked', () => {
+                this.root.querySelector('.resume').hidden = false;
+            }),
+            voice.on('voice.audio_resumed', () => {
+                this.root.querySelector('.resume').hidden = true;
+            }),
+            voice.on('voice.disconnected', () => {
+                this.root.querySelector('.resume').hidden = true;
+            }),
+        ];
+        this.renderState(voice.getState());
+    }
+
+    release() {
+        for (const unsubscribe of this.unsubscribe) unsubscribe();
+        this.unsubscribe = [];
+        // An element-owned session should not keep the microphone or its listeners after removal.
+        if (this.ownsClient && this.voice) {
+            void this.voice.close();
+            this.voice = null;
+            this.ownsClient = false;
+        }
+    }
+
+    renderState(state) {
+        const active = !['idle', 'failed'].includes(state);
+        const toggle = this.root.querySelector('.toggle');
+        const mute = this.root.querySelector('.mute');
+        this.setAttribute('state', state);
+        if (state !== 'connecting') this.removeAttribute('phase');
+        toggle.textContent = active ? 'End voice' : STATE_LABELS.idle;
+        toggle.setAttribute('aria-pressed', String(active));
+        mute.hidden = !['listening', 'processing', 'speaking', 'muted'].includes(state);
+        mute.textContent = state === 'muted' ? 'Unmute' : 'Mute';
+        mute.setAttribute('aria-pressed', String(state === 'muted'));
+        this.root.querySelector('.interrupt').hidden = state !== 'speaking';
+        this.setStatus(active || state === 'failed' ? STATE_LABELS[state] || '' : '');
+        this.dispatchEvent(new CustomEvent('ai-voice-state', {
+            bubbles: true,
+            composed: true,
+            detail: { state },
+        }));
+    }
+
+    setStatus(text) {
+        this.root.querySelector('.status').textContent = text;
+    }
+
+    showError(error) {
+        const node = this.root?.querySelector('.error');
+        if (!node) return;
+        node.hidden = !error;
+        node.textContent = error ? voiceErrorMessage(error) : '';
+        if (error) {
+            this.dispatchEvent(new CustomEvent('ai-voice-error', {
+                bubbles: true,
+                composed: true,
+                detail: { error, message: node.textContent },
+            }));
+        }
+    }
+}
+
+export function defineVoiceButtonElement(name = 'ai-voice-button', registry = globalThis.customElements) {
+    if (registry && !registry.get(name)) registry.define(name, class extends VoiceButtonElement {});
+    return registry?.get(name) || null;
+}
+
+defineVoiceButtonElement();
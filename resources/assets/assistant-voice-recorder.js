@@ -0,0 +1,251 @@
+const SPEAKERS = Object.freeze({ user: 'User', assistant: 'Assistant' });
+
+function parsedArguments(value) {
+    if (typeof value !== 'string') return value ?? {};
+    try {
+        return JSON.parse(value || '{}');
+    } catch {
+        return value;
+    }
+}
+
+function timeline(entries) {
+    return [...entries].sort((left, right) => left.startMs - right.startMs);
+}
+
+function clock(ms) {
+    const total = Math.max(0, Math.round(ms));
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(total % 1000, 3)}`;
+}
+
+function entryText(entry) {
+    if (entry.kind === 'tool_call') return `${entry.name}(${JSON.stringify(entry.arguments ?? {})})`;
+    if (entry.kind === 'tool_result') return [`${entry.name}: ${entry.status}`, entry.text].filter(Boolean).join('. ');
+    return entry.text;
+}
+
+function speaker(entry) {
+    return entry.kind === 'speech' ? SPEAKERS[entry.role] || entry.role : 'Tool';
+}
+
+function escapeVtt(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Each entry is one line, so only inline Markdown and HTML in spoken text need escaping.
+function escapeMarkdown(text) {
+    return String(text).replace(/\s*\n\s*/g, ' ').replace(/[\\`*_[\]<>~|&]/g, '\\$&');
+}
+
+// A code span must be fenced by a backtick run longer than any run inside it.
+function inlineCode(text) {
+    const value = String(text);
+    const longest = Math.max(0, ...(value.match(/`+/g) || []).map((run) => run.length));
+    const fence = '`'.repeat(longest + 1);
+    const padding = /^`|`$/.test(value) ? ' ' : '';
+    return `${fence}${padding}${value}${padding}${fence}`;
+}
+
+export function transcriptToJson(entries, meta = {}) {
+    return JSON.stringify({ ...meta, entries: timeline(entries) }, null, 2);
+}
+
+export function transcriptToWebVtt(entries) {
+    const cues = timeline(entries).map((entry, index) => [
+        String(index + 1),
+        // Cues need a positive duration, so instant events get a short one.
+        `${clock(entry.startMs)} --> ${clock(Math.max(entry.endMs, entry.startMs + 500))}`,
+        `<v ${speaker(entry)}>${escapeVtt(entryText(entry))}`,
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+export function transcriptToMarkdown(entries, meta = {}) {
+    const lines = timeline(entries).map((entry) => {
+        const at = clock(entry.startMs).slice(0, 8);
+        if (entry.kind === 'tool_call') {
+            return `**[${at}] Tool call:** ${inlineCode(entry.name)} ${inlineCode(JSON.stringify(entry.arguments ?? {}))}`;
+        }
+        if (entry.kind === 'tool_result') {
+            return `**[${at}] Tool result:** ${inlineCode(entry.name)} ${entry.status}${entry.text ? ` — ${escapeMarkdown(entry.text)}` : ''}`;
+        }
+        return `**[${at}] ${speaker(entry)}:** ${escapeMarkdown(entry.text)}`;
+    });
+    const header = meta.startedAt
+        ? [`Started ${meta.startedAt}, lasted ${clock(meta.durationMs || 0).slice(0, 8)}.`]
+        : [];
+
+    return ['# Voice session transcript', ...header, ...lines].join('\n\n') + '\n';
+}
+
+// Mixes the microphone and the assistant's audio into one MediaRecorder track, so
+// swapped devices and reconnects only move a source node instead of restarting the file.
+export function createVoiceRecorder(client, {
+    audio = true,
+    mimeType = null,
+    timesliceMs = 1000,
+    MediaRecorder: RecorderImpl = globalThis.MediaRecorder,
+    AudioContext: AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext,
+    now = () => Date.now(),
+} = {}) {
+    const entries = [];
+    const chunks = [];
+    const taps = new Map();
+    let unsubscribe = [];
+    let startedAt = null;
+    let endedAt = null;
+    let context = null;
+    let destination = null;
+    let recorder = null;
+    let userStartMs = null;
+    let assistantStartMs = null;
+
+    const offset = () => now() - startedAt;
+
+    const record = (entry) => {
+        const endMs = offset();
+        const next = { startMs: endMs, ...entry, endMs, at: new Date(startedAt + endMs).toISOString() };
+        entries.push(next);
+        return next;
+    };
+
+    const tap = (name, stream) => {
+        if (!destination || !stream || taps.get(name)?.stream === stream) return;
+        taps.get(name)?.source.disconnect?.();
+        const source = context.createMediaStreamSource(stream);
+        source.connect(destination);
+        taps.set(name, { stream, source });
+    };
+
+    const tapStreams = () => {
+        tap('input', client.getMicrophoneStream?.());
+        tap('output', client.getRemoteStream?.());
+    };
+
+    const startAudio = () => {
+        if (!audio || !RecorderImpl || !AudioContextImpl) return;
+        context = new AudioContextImpl();
+        destination = context.createMediaStreamDestination();
+        recorder = new RecorderImpl(destination.stream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (event) => {
+            if (event.data?.size) chunks.push(event.data);
+        };
+        recorder.start(timesliceMs);
+        tapStreams();
+    };
+
+    const stopAudio = () => new Promise((resolve) => {
+        if (!recorder || recorder.state === 'inactive') {
+            resolve();
+            return;
+        }
+        recorder.onstop = () => resolve();
+        recorder.stop();
+    }).then(() => {
+        for (const { source } of taps.values()) source.disconnect?.();
+        taps.clear();
+        void context?.close?.();
+        context = null;
+        destination = null;
+    });
+
+    const toolEntry = (kind, { call }, details) => record({
+        kind,
+        callId: call?.id || null,
+        name: call?.name || '',
+        ...details,
+    });
+
+    const listen = () => [
+        client.on('realtime.event', ({ event }) => {
+            if (event?.type === 'input_audio_buffer.speech_started') userStartMs ??= offset();
+            if (event?.type === 'response.created') assistantStartMs ??= offset();
+        }),
+        client.on('transcription.final', ({ text, itemId }) => {
+            record({ kind: 'speech', role: 'user', text, itemId: itemId || null, startMs: userStartMs ?? offset() });
+            userStartMs = null;
+        }),
+        client.on('voice.text_sent', ({ text }) => record({ kind: 'speech', role: 'user', text, source: 'text' })),
+        client.on('assistant.completed', ({ text }) => {
+            record({ kind: 'speech', role: 'assistant', text, startMs: assistantStartMs ?? offset() });
+            assistantStartMs = null;
+        }),
+        client.on('tool.call', (payload) => toolEntry('tool_call', payload, {
+            arguments: parsedArguments(payload.call?.arguments),
+        })),
+        client.on('tool.completed', (payload) => toolEntry('tool_result', payload, {
+            status: payload.status || 'completed',
+            text: payload.text || '',
+            result: payload.result ?? null,
+        })),
+        client.on('tool.failed', (payload) => toolEntry('tool_result', payload, {
+            status: 'failed',
+            text: payload.error?.message || '',
+        })),
+        client.on('tool.approval_required', (payload) => toolEntry('tool_result', payload, {
+            status: 'approval_required',
+            text: payload.reason || '',
+        })),
+        client.on('tool.rejected', (payload) => toolEntry('tool_result', payload, {
+            status: 'rejected',
+            text: payload.reason || '',
+        })),
+        client.on('voice.connected', tapStreams),
+        client.on('voice.input_device', tapStreams),
+        client.on('voice.remote_stream', tapStreams),
+    ];
+
+    const isRecording = () => startedAt !== null && endedAt === null;
+
+    const exportBundle = () => {
+        const finishedAt = endedAt ?? now();
+        const meta = {
+            startedAt: startedAt === null ? null : new Date(startedAt).toISOString(),
+            endedAt: startedAt === null ? null : new Date(finishedAt).toISOString(),
+            durationMs: startedAt === null ? 0 : finishedAt - startedAt,
+        };
+        const type = recorder?.mimeType || mimeType || 'audio/webm';
+
+        return {
+            ...meta,
+            audio: chunks.length ? new Blob(chunks, { type }) : null,
+            entries: timeline(entries),
+            transcript: {
+                json: transcriptToJson(entries, meta),
+                vtt: transcriptToWebVtt(entries),
+                markdown: transcriptToMarkdown(entries, meta),
+            },
+        };
+    };
+
+    return {
+        start() {
+            if (isRecording()) return false;
+            entries.length = 0;
+            chunks.length = 0;
+            startedAt = now();
+            endedAt = null;
+            userStartMs = null;
+            assistantStartMs = null;
+            unsubscribe = listen();
+            startAudio();
+            return true;
+        },
+        async stop() {
+            if (!isRecording()) return exportBundle();
+            endedAt = now();
+            for (const stop of unsubscribe) stop();
+            unsubscribe = [];
+            await stopAudio();
+            return exportBundle();
+        },
+        exportBundle,
+        isRecording,
+        getEntries: () => timeline(entries),
+    };
+}
@@ -0,0 +1,404 @@
+// Browser API fakes for running the voice client in Node, plus a replayer for
+// logs recorded with createRealtimeEventLog(). Nothing here talks to a provider.
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+export function parseRealtimeEventLog(jsonl) {
+    return String(jsonl || '')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+}
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Inbound events go through consumeRealtimeEvent() in order; outbound ones are the
+// reference for what the client should send back.
+export async function replayRealtimeEventLog(client, log, {
+    timing = false,
+    delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    settle = nextTask,
+} = {}) {
+    const entries = typeof log === 'string' ? parseRealtimeEventLog(log) : [...log];
+    const sent = [];
+    const stop = client.on('realtime.sent', ({ event }) => sent.push(event));
+    let previous = 0;
+
+    try {
+        for (const entry of entries) {
+            if (entry.direction !== 'in') continue;
+            if (timing && entry.t > previous) await delay(entry.t - previous);
+            previous = entry.t;
+            client.consumeRealtimeEvent(entry.event);
+            // Tool dispatch and other follow-ups finish on later ticks.
+            await settle();
+        }
+        await settle();
+    } finally {
+        stop();
+    }
+
+    return {
+        sent,
+        expected: entries.filter((entry) => entry.direction === 'out').map((entry) => entry.event),
+    };
+}
+
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: JSON_HEADERS });
+}
+
+function createFakeTrack(deviceId = 'default') {
+    return {
+        kind: 'audio',
+        label: deviceId,
+        enabled: true,
+        readyState: 'live',
+        stopped: false,
+        onended: null,
+        stop() {
+            this.stopped = true;
+            this.readyState = 'ended';
+        },
+        getSettings: () => ({ deviceId }),
+    };
+}
+
+function createFakeStream(tracks) {
+    return {
+        id: `stream-${Math.random().toString(36).slice(2, 8)}`,
+        getTracks: () => [...tracks],
+        getAudioTracks: () => tracks.filter((track) => track.kind === 'audio'),
+    };
+}
+
+export class FakeDataChannel {
+    constructor(label) {
+        this.label = label;
+        this.readyState = 'connecting';
+        this.sent = [];
+        this.listeners = new Map();
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.onopen = null;
+    }
+
+    addEventListener(name, listener) {
+        const listeners = this.listeners.get(name) || new Set();
+        listeners.add(listener);
+        this.listeners.set(name, listeners);
+    }
+
+    removeEventListener(name, listener) {
+        this.listeners.get(name)?.delete(listener);
+    }
+
+    dispatch(name, payload = {}) {
+        for (const listener of [...(this.listeners.get(name) || [])]) listener(payload);
+        this[`on${name}`]?.(payload);
+    }
+
+    open() {
+        this.readyState = 'open';
+        this.dispatch('open');
+    }
+
+    receive(event) {
+        this.dispatch('message', { data: JSON.stringify(event) });
+    }
+
+    send(payload) {
+        this.sent.push(JSON.parse(payload));
+    }
+
+    close() {
+        this.readyState = 'closed';
+    }
+}
+
+export class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 48000;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = {};
+        this.sources = [];
+        this.audioWorklet = { addModule: async () => {} };
+    }
+
+    createMediaStreamSource(stream) {
+        return { stream, connect() {}, disconnect() {} };
+    }
+
+    createMediaStreamDestination() {
+        return { stream: createFakeStream([createFakeTrack('recording')]), connect() {}, disconnect() {} };
+    }
+
+    createAnalyser() {
+        return { fftSize: 1024, connect() {}, disconnect() {}, getFloatTimeDomainData: (buffer) => buffer.fill(0) };
+    }
+
+    createBuffer(_channels, length, sampleRate) {
+        return { duration: length / sampleRate, copyToChannel() {} };
+    }
+
+    createBufferSource() {
+        const source = { connect() {}, start() {}, stop() { this.stopped = true; }, onended: null, stopped: false };
+        this.sources.push(source);
+        return source;
+    }
+
+    async setSinkId(sinkId) {
+        this.sinkId = sinkId;
+    }
+
+    async resume() {
+        this.state = 'running';
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+export class FakeAudioWorkletNode {
+    constructor(context) {
+        this.context = context;
+        this.port = { onmessage: null };
+    }
+
+    connect() {}
+
+    disconnect() {}
+}
+
+// Each kit owns its fakes and their instance lists, so parallel tests never share state.
+export function createVoiceTestKit({
+    provider = 'openai',
+    answerSdp = 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\n',
+    descriptor = null,
+    respond = null,
+    toolResult = () => ({ success: true, data: { result: { success: true, status: 'completed', message: 'Done.' } } }),
+    autoConnect = true,
+} = {}) {
+    const requests = [];
+    const peers = [];
+    const sockets = [];
+    const tracks = [];
+    const worklets = [];
+    const audioContexts = [];
+    const devices = [
+        { kind: 'audioinput', deviceId: 'default', label: 'Default microphone' },
+        { kind: 'audiooutput', deviceId: 'default', label: 'Default speakers' },
+    ];
+
+    const sessionDescriptor = (body) => {
+        const name = body.provider || provider;
+        if (descriptor) return typeof descriptor === 'function' ? descriptor(body) : descriptor;
+        if (name === 'gemini') {
+            return {
+                provider: 'gemini',
+                connect: { websocket: { endpoint: 'wss://realtime.test/gemini', token: 'test-token' } },
+                payload: { model: body.model || 'gemini-live-2.5-flash', responseModalities: body.modalities || ['audio'] },
+            };
+        }
+        return {
+            provider: name,
+            connect: { websocket: { endpoint: 'wss://realtime.test/openai' } },
+            client_secret: { response: { value: 'test-secret' } },
+            session: { tools: [] },
+        };
+    };
+
+    const fetch = async (url, request = {}) => {
+        const body = request.body ? JSON.parse(request.body) : {};
+        requests.push({ url: String(url), body, request });
+        const custom = await respond?.(String(url), body);
+        if (custom instanceof Response) return custom;
+        if (custom !== undefined && custom !== null) return jsonResponse(custom);
+        if (typeof body.sdp === 'string') {
+            return jsonResponse({ success: true, data: { session: { provider: body.provider || provider, sdp: { answer: answerSdp } } } });
+        }
+        if (String(url).includes('/realtime/sessions')) {
+            return jsonResponse({ success: true, data: { session: sessionDescriptor(body) } });
+        }
+        return jsonResponse(toolResult(body, String(url)));
+    };
+
+    const mediaDevices = {
+        listeners: new Set(),
+        async getUserMedia({ audio } = {}) {
+            const track = createFakeTrack(audio?.deviceId?.exact || 'default');
+            tracks.push(track);
+            return createFakeStream([track]);
+        },
+        enumerateDevices: async () => devices.map((device) => ({ ...device })),
+        addEventListener(_name, listener) {
+            this.listeners.add(listener);
+        },
+        removeEventListener(_name, listener) {
+            this.listeners.delete(listener);
+        },
+    };
+
+    class KitPeerConnection {
+        constructor(configuration) {
+            this.configuration = configuration;
+            this.connectionState = 'new';
+            this.iceConnectionState = 'new';
+            this.localDescription = null;
+            this.remoteDescription = null;
+            this.senders = [];
+            this.transceivers = [];
+            this.channel = null;
+            this.closed = false;
+            peers.push(this);
+        }
+
+        createDataChannel(label) {
+            this.channel = new FakeDataChannel(label);
+            return this.channel;
+        }
+
+        addTrack(track) {
+            const sender = { track, replaceTrack: async (next) => { sender.track = next; } };
+            this.senders.push(sender);
+            return sender;
+        }
+
+        addTransceiver(kind, init = {}) {
+            this.transceivers.push({ kind, ...init });
+        }
+
+        getSenders() {
+            return [...this.senders];
+        }
+
+        async createOffer(init = {}) {
+            return { type: 'offer', sdp: init.iceRestart ? 'v=0\r\na=ice-restart\r\n' : 'v=0\r\n' };
+        }
+
+        async setLocalDescription(description) {
+            this.localDescription = description;
+        }
+
+        async setRemoteDescription(description) {
+            this.remoteDescription = description;
+            if (!autoConnect) return;
+            queueMicrotask(() => {
+                if (this.closed) return;
+                this.setConnectionState('connected');
+                this.ontrack?.({ streams: [createFakeStream([createFakeTrack('remote')])] });
+                if (this.channel?.readyState === 'connecting') this.channel.open();
+            });
+        }
+
+        setConnectionState(state) {
+            this.connectionState = state;
+            this.iceConnectionState = state;
+            this.onconnectionstatechange?.();
+        }
+
+        restartIce() {
+            this.iceRestarted = true;
+        }
+
+        async getStats() {
+            return new Map([
+                ['pair', { type: 'candidate-pair', state: 'succeeded', nominated: true, currentRoundTripTime: 0.05 }],
+                ['inbound', { type: 'inbound-rtp', kind: 'audio', jitter: 0.002, packetsReceived: 100, packetsLost: 0 }],
+            ]);
+        }
+
+        close() {
+            this.closed = true;
+            this.connectionState = 'closed';
+        }
+    }
+
+    class KitWebSocket {
+        constructor(url, protocols) {
+            this.url = url;
+            this.protocols = protocols;
+            this.readyState = 0;
+            this.sent = [];
+            sockets.push(this);
+            queueMicrotask(() => {
+                if (this.readyState !== 0) return;
+                this.readyState = 1;
+                this.onopen?.();
+                if (autoConnect && !String(url).includes('gemini')) this.receive({ type: 'session.created', session: {} });
+            });
+        }
+
+        send(payload) {
+            const message = JSON.parse(payload);
+            this.sent.push(message);
+            if (autoConnect && message.setup) queueMicrotask(() => this.receive({ setupComplete: {} }));
+        }
+
+        receive(message) {
+            this.onmessage?.({ data: JSON.stringify(message) });
+        }
+
+        close() {
+            this.readyState = 3;
+        }
+    }
+
+    class KitAudioContext extends FakeAudioContext {
+        constructor() {
+            super();
+            audioContexts.push(this);
+        }
+    }
+
+    class KitAudioWorkletNode extends FakeAudioWorkletNode {
+        constructor(context) {
+            super(context);
+            worklets.push(this);
+        }
+    }
+
+    const socket = () => sockets.at(-1) || null;
+    const channel = () => peers.at(-1)?.channel || null;
+    const liveChannel = () => (channel()?.readyState === 'open' ? channel() : null);
+
+    return {
+        options: {
+            fetch,
+            mediaDevices,
+            RTCPeerConnection: KitPeerConnection,
+            WebSocket: KitWebSocket,
+            AudioContext: KitAudioContext,
+            AudioWorkletNode: KitAudioWorkletNode,
+            createAudio: () => ({ play: async () => {}, pause() {}, setSinkId: async () => {}, srcObject: null }),
+            csrfToken: '',
+        },
+        requests,
+        peers,
+        sockets,
+        tracks,
+        worklets,
+        audioContexts,
+        devices,
+        channel,
+        socket,
+        // Delivers a provider message to whichever transport is live.
+        receive(message) {
+            const target = liveChannel() || socket();
+            if (!target) throw new Error('No fake realtime transport is connected.');
+            target.receive(message);
+        },
+        sent: () => (liveChannel() || socket())?.sent || [],
+        capture(samples = new Float32Array(4800)) {
+            worklets.at(-1)?.port.onmessage?.({ data: samples });
+        },
+        changeDevices(next) {
+            devices.splice(0, devices.length, ...next);
+            for (const listener of mediaDevices.listeners) listener();
+        },
+        settle: nextTask,
+    };
+}
@@ -0,0 +1,698 @@
+const PCM_CAPTURE_PROCESSOR = 'ai-engine-pcm-capture';
+
+const PCM_CAPTURE_WORKLET = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        if (channel && channel.length) this.port.postMessage(channel.slice(0));
+        return true;
+    }
+}
+registerProcessor('${PCM_CAPTURE_PROCESSOR}', PcmCaptureProcessor);
+`;
+
+const SOCKET_OPEN = 1;
+
+let translatorCount = 0;
+
+export function encodePcm16(samples) {
+    const bytes = new Uint8Array(samples.length * 2);
+    const view = new DataView(bytes.buffer);
+    for (let index = 0; index < samples.length; index += 1) {
+        const sample = Math.max(-1, Math.min(1, samples[index]));
+        view.setInt16(index * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    }
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export function decodePcm16(base64) {
+    const binary = atob(String(base64 || ''));
+    const samples = new Float32Array(Math.floor(binary.length / 2));
+    for (let index = 0; index < samples.length; index += 1) {
+        let value = binary.charCodeAt(index * 2) | (binary.charCodeAt(index * 2 + 1) << 8);
+        if (value >= 0x8000) value -= 0x10000;
+        samples[index] = value / (value < 0 ? 0x8000 : 0x7fff);
+    }
+    return samples;
+}
+
+export function resamplePcm(samples, fromRate, toRate) {
+    if (!samples.length || fromRate === toRate) return samples;
+    const ratio = fromRate / toRate;
+    const resampled = new Float32Array(Math.floor(samples.length / ratio));
+    for (let index = 0; index < resampled.length; index += 1) {
+        const position = index * ratio;
+        const base = Math.floor(position);
+        const next = samples[Math.min(base + 1, samples.length - 1)];
+        resampled[index] = samples[base] + (next - samples[base]) * (position - base);
+    }
+    return resampled;
+}
+
+// Captures microphone audio through an AudioWorklet and hands out base64 PCM16
+// chunks at the provider's sample rate. The context runs at the device rate and
+// audio is resampled here, because some browsers refuse to connect a microphone
+// to a context with a different rate.
+export async function createPcmCapture({
+    stream,
+    sampleRate = 16000,
+    chunkMs = 100,
+    onChunk,
+    AudioContext: AudioContextImpl = globalThis.AudioContext,
+    AudioWorkletNode: WorkletNode = globalThis.AudioWorkletNode,
+} = {}) {
+    const context = new AudioContextImpl();
+    const moduleUrl = URL.createObjectURL(new Blob([PCM_CAPTURE_WORKLET], { type: 'text/javascript' }));
+    try {
+        await context.audioWorklet.addModule(moduleUrl);
+    } finally {
+        URL.revokeObjectURL(moduleUrl);
+    }
+
+    const source = context.createMediaStreamSource(stream);
+    const node = new WorkletNode(context, PCM_CAPTURE_PROCESSOR);
+    const frameSize = Math.max(1, Math.round((context.sampleRate * chunkMs) / 1000));
+    let frames = [];
+    let buffered = 0;
+
+    node.port.onmessage = ({ data }) => {
+        frames.push(data);
+        buffered += data.length;
+        if (buffered < frameSize) return;
+        const merged = new Float32Array(buffered);
+        let offset = 0;
+        for (const frame of frames) {
+            merged.set(frame, offset);
+            offset += frame.length;
+        }
+        frames = [];
+        buffered = 0;
+        onChunk?.(encodePcm16(resamplePcm(merged, context.sampleRate, sampleRate)));
+    };
+    source.connect(node);
+    // The processor writes silence; the connection only keeps the graph pulling audio.
+    node.connect(context.destination);
+
+    return {
+        context,
+        close() {
+            node.port.onmessage = null;
+            source.disconnect?.();
+            node.disconnect?.();
+            void context.close?.();
+        },
+    };
+}
+
+export function audioLevel(samples) {
+    let sum = 0;
+    let peak = 0;
+    for (const sample of samples) {
+        sum += sample * sample;
+        peak = Math.max(peak, Math.abs(sample));
+    }
+    return { rms: samples.length ? Math.sqrt(sum / samples.length) : 0, peak };
+}
+
+function readAnalyser(analyser, buffer) {
+    analyser.getFloatTimeDomainData(buffer);
+    return audioLevel(buffer);
+}
+
+// Taps MediaStreams with AnalyserNodes that never reach the speakers, so metering
+// does not change what the user hears.
+export function createAudioLevelMeter({
+    AudioContext: AudioContextImpl = globalThis.AudioContext,
+    fftSize = 1024,
+} = {}) {
+    const taps = new Map();
+    let context = null;
+
+    const detach = (name) => {
+        const tap = taps.get(name);
+        if (!tap) return;
+        tap.source.disconnect?.();
+        tap.analyser.disconnect?.();
+        taps.delete(name);
+    };
+
+    return {
+        attach(name, stream) {
+            detach(name);
+            if (!stream) return;
+            context ??= new AudioContextImpl();
+            const source = context.createMediaStreamSource(stream);
+            const analyser = context.createAnalyser();
+            analyser.fftSize = fftSize;
+            source.connect(analyser);
+            taps.set(name, { stream, source, analyser, buffer: new Float32Array(analyser.fftSize) });
+        },
+        detach,
+        has: (name, stream) => taps.get(name)?.stream === stream,
+        read(name) {
+            const tap = taps.get(name);
+            return tap ? readAnalyser(tap.analyser, tap.buffer) : null;
+        },
+        close() {
+            for (const name of [...taps.keys()]) detach(name);
+            void context?.close?.();
+            context = null;
+        },
+    };
+}
+
+export function createPcmPlayer({
+    sampleRate = 24000,
+    AudioContext: AudioContextImpl = globalThis.AudioContext,
+    sinkId = null,
+    metered = false,
+    onDrained = () => {},
+} = {}) {
+    const sources = new Set();
+    let context = null;
+    let output = null;
+    let analyser = null;
+    let frame = null;
+    let recording = null;
+    let playhead = 0;
+    let sink = sinkId;
+
+    const ensureContext = () => {
+        if (!context) {
+            context = new AudioContextImpl();
+            output = context.destination;
+            if (metered) {
+                analyser = context.createAnalyser();
+                analyser.fftSize = 1024;
+                frame = new Float32Array(analyser.fftSize);
+                analyser.connect(context.destination);
+                output = analyser;
+            }
+            // Playback is also mirrored to a MediaStream so recorders can capture the assistant.
+            recording = context.createMediaStreamDestination?.() || null;
+            // A sink that has since been unplugged leaves playback on the default device.
+            if (sink && context.setSinkId) context.setSinkId(sink).catch(() => {});
+        }
+        return context;
+    };
+
+    return {
+        enqueue(base64) {
+            const samples = decodePcm16(base64);
+            if (!samples.length) return;
+            const audio = ensureContext();
+            const buffer = audio.createBuffer(1, samples.length, sampleRate);
+            buffer.copyToChannel(samples, 0);
+            const node = audio.createBufferSource();
+            node.buffer = buffer;
+            node.connect(output);
+            if (recording) node.connect(recording);
+            const startAt = Math.max(audio.currentTime, playhead);
+            node.onended = () => {
+                sources.delete(node);
+                if (!sources.size) onDrained();
+            };
+            sources.add(node);
+            node.start(startAt);
+            playhead = startAt + buffer.duration;
+        },
+        clear() {
+            for (const node of sources) {
+                node.onended = null;
+                try {
+                    node.stop();
+                } catch {
+                    // Sources that never started cannot be stopped.
+                }
+            }
+            sources.clear();
+            playhead = 0;
+        },
+        isPlaying: () => sources.size > 0,
+        stream: () => recording?.stream || null,
+        level: () => (analyser ? readAnalyser(analyser, frame) : null),
+        isSuspended: () => context?.state === 'suspended',
+        // AudioContext.setSinkId is newer than HTMLMediaElement.setSinkId, so report support.
+        async setSinkId(deviceId) {
+            if (typeof AudioContextImpl?.prototype?.setSinkId !== 'function') return false;
+            sink = deviceId || null;
+            await context?.setSinkId(deviceId || '');
+            return true;
+        },
+        async resume() {
+            await ensureContext().resume?.();
+            return context.state !== 'suspended';
+        },
+        close() {
+            this.clear();
+            void context?.close?.();
+            context = null;
+            output = null;
+            analyser = null;
+            recording = null;
+        },
+    };
+}
+
+async function socketMessageData(data) {
+    if (typeof data === 'string') return JSON.parse(data);
+    if (typeof data?.text === 'function') return JSON.parse(await data.text());
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+export function geminiSetupMessage(descriptor, { tools = [], voice = null } = {}) {
+    const {
+        model = '',
+        responseModalities = ['AUDIO'],
+        systemInstruction,
+        tools: serverTools = [],
+        realtimeInputConfig,
+        generationConfig = {},
+        speechConfig,
+    } = descriptor?.payload || {};
+    const modalities = responseModalities.map((modality) => String(modality).toUpperCase());
+    // Function tools arrive in the flat realtime shape; Gemini-native entries pass through untouched.
+    const functions = new Map([...serverTools, ...tools]
+        .filter((tool) => tool?.type === 'function')
+        .map(({ name, description, parameters }) => [name, { name, description, parameters }]));
+    const declarations = [...functions.values()];
+    const voiceConfig = speechConfig
+        || (voice ? { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } } : null);
+    const allTools = [
+        ...serverTools.filter((tool) => tool?.type !== 'function'),
+        ...(declarations.length ? [{ functionDeclarations: declarations }] : []),
+    ];
+    // turn_detection is forwarded in the OpenAI shape, which the Live API rejects.
+    const { turnDetection, ...inputConfig } = realtimeInputConfig || {};
+
+    return {
+        setup: {
+            model: String(model).startsWith('models/') ? model : `models/${model}`,
+            generationConfig: {
+                ...generationConfig,
+                responseModalities: modalities,
+                ...(voiceConfig ? { speechConfig: voiceConfig } : {}),
+            },
+            ...(systemInstruction ? { systemInstruction } : {}),
+            ...(allTools.length ? { tools: allTools } : {}),
+            ...(Object.keys(inputConfig).length ? { realtimeInputConfig: inputConfig } : {}),
+            inputAudioTranscription: {},
+            ...(modalities.includes('AUDIO') ? { outputAudioTranscription: {} } : {}),
+        },
+    };
+}
+
+// Gemini Live server messages are mapped onto the OpenAI realtime event names
+// the voice and assistant clients already understand.
+export function createGeminiEventTranslator() {
+    // Response ids must stay unique across reconnects, since the assistant client dedupes completions by id.
+    translatorCount += 1;
+    const prefix = `gemini-${translatorCount}`;
+    let sequence = 0;
+    let inputs = 0;
+    let responseId = null;
+    let outputText = '';
+    let inputItemId = null;
+    let inputText = '';
+
+    const completeInput = (events) => {
+        if (!inputItemId) return;
+        events.push({
+            type: 'conversation.item.input_audio_transcription.completed',
+            item_id: inputItemId,
+            transcript: inputText,
+        });
+        inputItemId = null;
+        inputText = '';
+    };
+
+    const startResponse = (events) => {
+        if (responseId) return;
+        completeInput(events);
+        sequence += 1;
+        responseId = `${prefix}-response-${sequence}`;
+        outputText = '';
+        events.push({ type: 'response.created', response: { id: responseId } });
+    };
+
+    const finishResponse = (events, status) => {
+        completeInput(events);
+        if (!responseId) return;
+        events.push({
+            type: 'response.done',
+            response: {
+                id: responseId,
+                status,
+                output: outputText
+                    ? [{ type: 'message', role: 'assistant', content: [{ type: 'output_audio', transcript: outputText }] }]
+                    : [],
+            },
+        });
+        responseId = null;
+    };
+
+    return {
+        translate(message) {
+            const events = [];
+            const content = message?.serverContent;
+            if (message?.setupComplete) events.push({ type: 'session.created', session: message.setupComplete });
+            if (content?.inputTranscription?.text) {
+                if (!inputItemId) {
+                    inputs += 1;
+                    inputItemId = `${prefix}-input-${inputs}`;
+                }
+                inputText += content.inputTranscription.text;
+                events.push({
+                    type: 'conversation.item.input_audio_transcription.delta',
+                    item_id: inputItemId,
+                    delta: content.inputTranscription.text,
+                });
+            }
+            if (content?.interrupted) {
+                events.push({ type: 'input_audio_buffer.speech_started' });
+                finishResponse(events, 'cancelled');
+            }
+            for (const part of content?.modelTurn?.parts || []) {
+                if (part?.thought) continue;
+                if (part?.inlineData?.data && String(part.inlineData.mimeType || '').startsWith('audio/')) {
+                    startResponse(events);
+                    events.push({ type: 'response.output_audio.delta', response_id: responseId, delta: part.inlineData.data });
+                }
+                if (typeof part?.text === 'string' && part.text) {
+                    startResponse(events);
+                    outputText += part.text;
+                    events.push({ type: 'response.text.delta', response_id: responseId, delta: part.text });
+                }
+            }
+            if (content?.outputTranscription?.text) {
+                startResponse(events);
+                outputText += content.outputTranscription.text;
+                events.push({
+                    type: 'response.output_audio_transcript.delta',
+                    response_id: responseId,
+                    delta: content.outputTranscription.text,
+                });
+            }
+            if (content?.turnComplete) finishResponse(events, 'completed');
+            if (message?.toolCall) {
+                startResponse(events);
+                events.push({ type: 'gemini.tool_call', toolCall: message.toolCall });
+            }
+            if (message?.toolCallCancellation) {
+                events.push({ type: 'gemini.tool_call_cancellation', ids: message.toolCallCancellation.ids || [] });
+            }
+            if (message?.usageMetadata) events.push({ type: 'gemini.usage', usage: message.usageMetadata });
+            if (message?.goAway) events.push({ type: 'gemini.go_away', goAway: message.goAway });
+            return events;
+        },
+    };
+}
+
+export function geminiClientMessage(event, callNames = new Map()) {
+    if (event?.setup || event?.realtimeInput || event?.clientContent || event?.toolResponse) return event;
+    const item = event?.item;
+    if (event?.type !== 'conversation.item.create' || !item) return null;
+
+    if (item.type === 'function_call_output') {
+        let response;
+        try {
+            response = JSON.parse(item.output);
+        } catch {
+            response = item.output;
+        }
+        return {
+            toolResponse: {
+                functionResponses: [{
+                    id: item.call_id,
+                    name: callNames.get(String(item.call_id)) || '',
+                    response: response && typeof response === 'object' && !Array.isArray(response)
+                        ? response
+                        : { output: response },
+                }],
+            },
+        };
+    }
+
+    if (item.type === 'message') {
+        const text = (item.content || []).map((part) => part?.text || part?.transcript || '').join('');
+        return {
+            clientContent: {
+                turns: [{ role: item.role === 'assistant' ? 'model' : 'user', parts: [{ text }] }],
+                turnComplete: item.role !== 'assistant',
+            },
+        };
+    }
+
+    return null;
+}
+
+function socketTarget(resolved) {
+    return typeof resolved === 'string' ? { url: resolved, protocols: undefined } : resolved;
+}
+
+// Shared WebSocket plumbing: descriptor request, socket handshake, AudioWorklet
+// capture, and local playback. Each protocol only describes its wire format.
+function createPcmSocketTransport(context, protocol) {
+    const { options } = context;
+    const WebSocketImpl = options.WebSocket || globalThis.WebSocket;
+    const AudioContextImpl = options.AudioContext || globalThis.AudioContext || globalThis.webkitAudioContext;
+    const inputSampleRate = Number(options.inputSampleRate || protocol.inputSampleRate);
+    const controller = new AbortController();
+    let socket = null;
+    let microphone = null;
+    let capture = null;
+    let player = null;
+    let muted = false;
+    let responding = false;
+    let inbox = Promise.resolve();
+
+    const deliver = (message) => {
+        for (const event of protocol.translate(message)) {
+            if (event?.type === 'response.created') responding = true;
+            if (player && ['response.output_audio.delta', 'response.audio.delta'].includes(event?.type)) {
+                player.enqueue(event.delta);
+            }
+            context.receive(event);
+            if (event?.type === 'response.done') {
+                responding = false;
+                // Audio that already finished playing will not report drain again.
+                if (!player?.isPlaying()) context.receive({ type: 'output_audio_buffer.stopped' });
+            }
+        }
+    };
+
+    const startCapture = (stream) => createPcmCapture({
+        stream,
+        sampleRate: inputSampleRate,
+        AudioContext: AudioContextImpl,
+        AudioWorkletNode: options.AudioWorkletNode || globalThis.AudioWorkletNode,
+        onChunk: (data) => {
+            if (muted || socket?.readyState !== SOCKET_OPEN) return;
+            socket.send(JSON.stringify(protocol.audio(data, inputSampleRate)));
+        },
+    });
+
+    const openSocket = ({ url, protocols }, setup) => new Promise((resolve, reject) => {
+        let ready = false;
+        const timer = context.setTimer(() => fail('Realtime connection timed out.', 'connection_timeout'), context.connectTimeoutMs);
+        const fail = (message, code) => {
+            if (ready) return;
+            ready = true;
+            context.clearTimer(timer);
+            reject(context.error(message, { code }));
+        };
+
+        socket = protocols ? new WebSocketImpl(url, protocols) : new WebSocketImpl(url);
+        socket.onopen = () => {
+            for (const message of setup) socket.send(JSON.stringify(message));
+        };
+        socket.onmessage = (message) => {
+            // Blob frames decode asynchronously, so keep provider messages in order.
+            inbox = inbox.then(() => socketMessageData(message.data)).then((data) => {
+                if (!ready && protocol.isReady(data)) {
+                    ready = true;
+                    context.clearTimer(timer);
+                    resolve();
+                }
+                deliver(data);
+            }).catch((error) => context.emit('transport.error', { error, message }));
+        };
+        socket.onclose = (event) => {
+            if (!ready) fail(event?.reason || 'Realtime WebSocket closed before connecting.', 'channel_closed');
+            else context.closed();
+        };
+        socket.onerror = (error) => {
+            if (!ready) fail('Realtime WebSocket failed to connect.', 'channel_failed');
+            else context.emit('transport.error', { error });
+        };
+    });
+
+    return {
+        name: protocol.name,
+        capabilities: protocol.capabilities,
+        supported: () => Boolean(
+            WebSocketImpl
+            && (context.textOnly || context.mediaDevices?.getUserMedia)
+            && (AudioContextImpl || (context.textOnly && !context.audioOutput)),
+        ),
+        async connect(session, { isCurrent }) {
+            const acquired = await context.requestMicrophone();
+            if (!isCurrent()) {
+                for (const track of acquired?.getTracks?.() || []) track.stop();
+                return null;
+            }
+            microphone = acquired;
+            context.transition('connecting');
+            context.phase('creating_connection', { transport: protocol.name });
+            const { response, body } = await context.post(
+                options.sessionEndpoint || '/api/v1/ai/realtime/sessions',
+                protocol.sessionPayload(session),
+                { signal: controller.signal, timeoutMessage: 'Realtime session request timed out.' },
+            );
+            const descriptor = body?.data?.session;
+            if (!response.ok || !descriptor) {
+                throw context.error(body?.message || `Realtime session request failed (${response.status}).`, {
+                    code: 'session_request_failed',
+                    status: response.status,
+                    response: body,
+                });
+            }
+            if (!isCurrent()) return null;
+
+            context.phase('negotiating', { transport: protocol.name });
+            const target = socketTarget(options.resolveSocketUrl
+                ? await options.resolveSocketUrl(descriptor, { transport: protocol.name })
+                : protocol.socket(descriptor));
+            if (!isCurrent()) return null;
+            player = context.audioOutput ? createPcmPlayer({
+                sampleRate: Number(options.outputSampleRate || 24000),
+                AudioContext: AudioContextImpl,
+                sinkId: context.outputDeviceId,
+                metered: context.levels,
+                onDrained: () => {
+                    if (!responding) context.receive({ type: 'output_audio_buffer.stopped' });
+                },
+            }) : null;
+            context.phase('securing', { transport: protocol.name });
+            await openSocket(target, protocol.setup(descriptor, session));
+            if (!isCurrent()) return null;
+
+            capture = microphone ? await startCapture(microphone) : null;
+            if (player && !(await player.resume())) context.emit('voice.audio_blocked', { error: null, audio: null });
+            if (player?.stream()) context.remoteStream(player.stream());
+            return descriptor;
+        },
+        isOpen: () => socket?.readyState === SOCKET_OPEN,
+        send(event) {
+            if (event?.type === 'output_audio_buffer.clear') player?.clear();
+            const message = protocol.encode(event);
+            if (message) socket.send(JSON.stringify(message));
+        },
+        setMuted(value) {
+            muted = Boolean(value);
+            for (const track of microphone?.getAudioTracks?.() || microphone?.getTracks?.() || []) {
+                track.enabled = !muted;
+            }
+        },
+        async resumeAudio() {
+            return player ? player.resume() : false;
+        },
+        // The socket carries PCM chunks, so a new device only needs a new capture graph.
+        async replaceMicrophone(stream) {
+            const next = await startCapture(stream);
+            const previous = microphone;
+            capture?.close();
+            capture = next;
+            microphone = stream;
+            this.setMuted(muted);
+            for (const track of previous?.getTracks?.() || []) track.stop();
+        },
+        setSinkId: async (deviceId) => (player ? player.setSinkId(deviceId) : true),
+        outputLevel: () => player?.level() ?? null,
+        getMicrophone: () => microphone,
+        close({ keepMicrophone = false } = {}) {
+            controller.abort();
+            capture?.close();
+            player?.close();
+            if (socket) {
+                socket.onclose = null;
+                socket.onmessage = null;
+                socket.close?.();
+            }
+            if (!keepMicrophone) for (const track of microphone?.getTracks?.() || []) track.stop();
+            socket = null;
+            capture = null;
+            player = null;
+            microphone = null;
+        },
+    };
+}
+
+export function createGeminiLiveTransport(context) {
+    const translator = createGeminiEventTranslator();
+    const callNames = new Map();
+
+    return createPcmSocketTransport(context, {
+        name: 'gemini',
+        capabilities: { sessionUpdate: false, outOfBandResponses: false, manualTurns: false },
+        inputSampleRate: 16000,
+        sessionPayload: (session) => ({ ...session, provider: 'gemini', transport: 'websocket' }),
+        socket(descriptor) {
+            const websocket = descriptor?.connect?.websocket || {};
+            const url = new URL(websocket.url || websocket.endpoint || descriptor?.endpoint);
+            const token = websocket.token || descriptor?.client_secret?.value || descriptor?.token;
+            if (!token) {
+                throw context.error(
+                    'Gemini Live sessions carry no browser token. Pass resolveSocketUrl to supply an authenticated URL.',
+                    { code: 'socket_url_required' },
+                );
+            }
+            url.searchParams.set('access_token', token);
+            return { url: url.toString() };
+        },
+        setup: (descriptor, session) => [geminiSetupMessage(descriptor, {
+            tools: context.toolDeclarations(),
+            voice: session.voice || null,
+        })],
+        isReady: (message) => Boolean(message?.setupComplete),
+        translate(message) {
+            for (const call of message?.toolCall?.functionCalls || []) callNames.set(String(call.id), call.name);
+            return translator.translate(message);
+        },
+        encode: (event) => geminiClientMessage(event, callNames),
+        audio: (data, rate) => ({ realtimeInput: { audio: { data, mimeType: `audio/pcm;rate=${rate}` } } }),
+    });
+}
+
+export function openAiSocketToken(descriptor) {
+    const minted = descriptor?.client_secret?.response;
+    return minted?.value || minted?.client_secret?.value || descriptor?.client_secret?.value || null;
+}
+
+// OpenAI realtime over a WebSocket, used when UDP is blocked and WebRTC cannot
+// connect. Provider events are already in the realtime shape.
+export function createRealtimeWebSocketTransport(context) {
+    return createPcmSocketTransport(context, {
+        name: 'websocket',
+        capabilities: { sessionUpdate: true, outOfBandResponses: true, manualTurns: true },
+        inputSampleRate: 24000,
+        sessionPayload: (session) => ({ ...session, transport: 'websocket', mint_client_secret: true }),
+        socket(descriptor) {
+            const token = openAiSocketToken(descriptor);
+            return {
+                url: descriptor?.connect?.websocket?.endpoint || descriptor?.endpoint,
+                protocols: ['realtime', ...(token ? [`openai-insecure-api-key.${token}`] : [])],
+            };
+        },
+        setup: () => [],
+        isReady: (message) => message?.type === 'session.created',
+        translate: (message) => [message],
+        // Only WebRTC sessions have a server-side output buffer; playback is cleared locally instead.
+        encode: (event) => (event?.type === 'output_audio_buffer.clear' ? null : event),
+        audio: (data) => ({ type: 'input_audio_buffer.append', audio: data }),
+    });
+}
@@ -1,7 +1,7 @@
 (function () {
     function readValue(field) {
         if (field.type === 'checkbox') {
-            return field.checked;
+            return field.name.endsWith('[]') ? field.value : field.checked;
         }
 
         if (field.tagName === 'SELECT' && field.multiple) {
@@ -18,7 +18,7 @@
         var fields = form.querySelectorAll('input[name], select[name], textarea[name]');
 
         fields.forEach(function (field) {
-            var name = field.name.replace(/\[\]$/, '');
+            var name = fieldName(field);
             var value = readValue(field);
 
             if (field.name.endsWith('[]')) {
@@ -41,6 +41,105 @@
         return data;
     }
 
+    function fieldName(field) {
+        return field.name.replace(/\[\]$/, '');
+    }
+
+    function isChecked(value) {
+        return value === true || value === 1 || ['1', 'true', 'yes', 'on'].indexOf(String(value).toLowerCase()) !== -1;
+    }
+
+    function textValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    function listValue(value) {
+        return (Array.isArray(value) ? value : [value]).map(textValue);
+    }
+
+    function writeValue(field, value) {
+        if (field.type === 'file') {
+            return;
+        }
+
+        if (field.type === 'checkbox') {
+            field.checked = field.name.endsWith('[]')
+                ? listValue(value).indexOf(field.value) !== -1
+                : isChecked(value);
+            return;
+        }
+
+        if (field.type === 'radio') {
+            field.checked = textValue(value) === field.value;
+            return;
+        }
+
+        if (field.tagName === 'SELECT' && field.multiple) {
+            var selected = listValue(value);
+            Array.from(field.options).forEach(function (option) {
+                option.selected = selected.indexOf(option.value) !== -1;
+            });
+            return;
+        }
+
+        field.value = textValue(value);
+    }
+
+    function editing(form) {
+        var active = document.activeElement;
+
+        // A focused radio or checkbox holds its whole group, not just the one input.
+        return active && form.contains(active) && active.name ? fieldName(active) : null;
+    }
+
+    function apply(form, data, options) {
+        var settings = options || {};
+        var values = data || {};
+        var focused = editing(form);
+        var applied = [];
+        var skipped = [];
+        var fields = form.querySelectorAll('input[name], select[name], textarea[name]');
+
+        fields.forEach(function (field) {
+            var name = fieldName(field);
+            var wrapper = field.closest('.ai-collection-field') || field;
+
+            if (Array.isArray(settings.missingFields)) {
+                if (settings.missingFields.indexOf(name) !== -1) {
+                    wrapper.setAttribute('data-ai-missing', 'true');
+                } else {
+                    wrapper.removeAttribute('data-ai-missing');
+                }
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(values, name)) {
+                return;
+            }
+
+            if (name === focused) {
+                if (skipped.indexOf(name) === -1) {
+                    skipped.push(name);
+                }
+                return;
+            }
+
+            writeValue(field, values[name]);
+            if (applied.indexOf(name) === -1) {
+                applied.push(name);
+            }
+        });
+
+        if (settings.status !== undefined && settings.status !== null) {
+            form.setAttribute('data-ai-status', String(settings.status));
+        }
+
+        return { applied: applied, skipped: skipped };
+    }
+
     document.addEventListener('input', function (event) {
         var form = event.target.closest('[data-ai-collection]');
         if (!form) {
@@ -58,5 +157,6 @@
 
     window.AIEngineStructuredCollection = {
         collect: collect,
+        apply: apply,
     };
 })();
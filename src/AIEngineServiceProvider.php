@@ -194,6 +194,14 @@ class AIEngineServiceProvider extends ServiceProvider
             $this->publishes([
                 __DIR__.'/../resources/assets/assistant-client.js' => public_path('vendor/ai-engine/assistant-client.js'),
                 __DIR__.'/../resources/assets/assistant-voice-client.js' => public_path('vendor/ai-engine/assistant-voice-client.js'),
+                __DIR__.'/../resources/assets/assistant-voice-transports.js' => public_path('vendor/ai-engine/assistant-voice-transports.js'),
+                __DIR__.'/../resources/assets/assistant-voice-recorder.js' => public_path('vendor/ai-engine/assistant-voice-recorder.js'),
+                __DIR__.'/../resources/assets/assistant-metrics.js' => public_path('vendor/ai-engine/assistant-metrics.js'),
+                __DIR__.'/../resources/assets/assistant-voice-testing.js' => public_path('vendor/ai-engine/assistant-voice-testing.js'),
+                __DIR__.'/../resources/assets/assistant-conversations-client.js' => public_path('vendor/ai-engine/assistant-conversations-client.js'),
+                __DIR__.'/../resources/assets/assistant-run-client.js' => public_path('vendor/ai-engine/assistant-run-client.js'),
+                __DIR__.'/../resources/assets/assistant-chat-element.js' => public_path('vendor/ai-engine/assistant-chat-element.js'),
+                __DIR__.'/../resources/assets/assistant-voice-element.js' => public_path('vendor/ai-engine/assistant-voice-element.js'),
             ], 'ai-engine-assistant-client');
 
             $this->publishes([
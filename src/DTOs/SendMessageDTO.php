@@ -28,7 +28,8 @@ class SendMessageDTO
         public readonly ?int $responseSuggestionLimit = null,
         public readonly ?array $collection = null,
         public readonly ?string $executionMode = null,
-        public readonly ?string $highlightContext = null
+        public readonly ?string $highlightContext = null,
+        public readonly ?string $idempotencyKey = null
     ) {}
 
     /**
@@ -71,6 +72,7 @@ class SendMessageDTO
             'response_suggestion_limit' => $this->responseSuggestionLimit,
             'collection' => $this->collection,
             'execution_mode' => $this->executionMode,
+            'idempotency_key' => $this->idempotencyKey,
         ];
     }
 
@@ -86,6 +88,7 @@ class SendMessageDTO
             'response_suggestion_limit' => $this->responseSuggestionLimit,
             'collection' => $this->collection,
             'execution_mode' => $this->executionMode,
+            'idempotency_key' => $this->idempotencyKey,
         ], static fn ($value) => $value !== null && $value !== false && $value !== []);
 
         if ($this->responseSuggestions !== null) {
@@ -0,0 +1,19 @@
+<?php
+
+declare(strict_types=1);
+
+namespace LaravelAIEngine\Exceptions;
+
+/**
+ * Thrown when a WebRTC client asks to renegotiate ICE on its existing realtime call but the
+ * provider can only answer offers for new calls. Answering with a fresh call would hand the
+ * peer another session's DTLS fingerprint, so the HTTP boundary renders this as 409 and the
+ * client falls back to a full reconnect.
+ */
+class RealtimeIceRestartUnsupportedException extends \RuntimeException
+{
+    public function __construct(public readonly string $provider)
+    {
+        parent::__construct("Realtime provider [{$provider}] cannot renegotiate an existing call.");
+    }
+}
@@ -7,6 +7,7 @@ namespace LaravelAIEngine\Http\Controllers\Api;
 use Illuminate\Http\JsonResponse;
 use Illuminate\Routing\Controller;
 use LaravelAIEngine\DTOs\RealtimeSessionConfig;
+use LaravelAIEngine\Exceptions\RealtimeIceRestartUnsupportedException;
 use LaravelAIEngine\Exceptions\RealtimeRoomNotAllowedException;
 use LaravelAIEngine\Http\Requests\CreateRealtimeSessionRequest;
 use LaravelAIEngine\Http\Requests\RealtimeSdpExchangeRequest;
@@ -47,12 +48,13 @@ class RealtimeController extends Controller
         $validated = $request->validated();
 
         try {
-            $descriptor = $this->sessions->exchangeWebRtcSdp(
-                $this->config($validated),
-                (string) $validated['sdp']
-            );
+            $descriptor = (bool) ($validated['ice_restart'] ?? false)
+                ? $this->sessions->restartWebRtcIce($this->config($validated), (string) $validated['sdp'])
+                : $this->sessions->exchangeWebRtcSdp($this->config($validated), (string) $validated['sdp']);
         } catch (RealtimeRoomNotAllowedException $e) {
             return $this->roomNotAllowed($e);
+        } catch (RealtimeIceRestartUnsupportedException $e) {
+            return $this->iceRestartUnsupported($e);
         }
 
         return response()->json([
@@ -77,6 +79,17 @@ class RealtimeController extends Controller
         ], 422);
     }
 
+    protected function iceRestartUnsupported(RealtimeIceRestartUnsupportedException $e): JsonResponse
+    {
+        return response()->json([
+            'success' => false,
+            'message' => $e->getMessage(),
+            'data' => null,
+            'error' => ['message' => $e->getMessage(), 'code' => 'ice_restart_unsupported', 'provider' => $e->provider],
+            'meta' => ['schema' => 'ai-engine.v1'],
+        ], 409);
+    }
+
     protected function config(array $validated): RealtimeSessionConfig
     {
         $provider = (string) ($validated['provider'] ?? config('ai-engine.realtime.default_provider', 'openai'));
@@ -10,6 +10,7 @@ class RealtimeSdpExchangeRequest extends CreateRealtimeSessionRequest
     {
         return array_merge(parent::rules(), [
             'sdp' => ['required', 'string'],
+            'ice_restart' => ['sometimes', 'boolean'],
         ]);
     }
 }
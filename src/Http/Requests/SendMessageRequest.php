@@ -42,6 +42,7 @@ class SendMessageRequest extends FormRequest
             'search_instructions' => 'sometimes|string|max:500',
             'highlight_context' => 'sometimes|nullable|string|max:4000',
             'execution_mode' => 'sometimes|string|in:sync,async,auto',
+            'idempotency_key' => 'sometimes|nullable|string|max:160',
             'auto_select_model' => 'sometimes|boolean',
             'task_type' => 'sometimes|string|in:vision,coding,reasoning,fast,cheap,quality,default',
             'agent_goal' => 'sometimes|boolean',
@@ -134,6 +135,18 @@ class SendMessageRequest extends FormRequest
         return true;
     }
 
+    /**
+     * Resolve the client's retry key from the body, falling back to the
+     * Idempotency-Key header.
+     */
+    public function idempotencyKey(): ?string
+    {
+        $key = $this->validated()['idempotency_key'] ?? $this->header('Idempotency-Key');
+        $key = is_string($key) ? trim($key) : '';
+
+        return $key === '' ? null : mb_substr($key, 0, 160);
+    }
+
     /**
      * Convert validated data to DTO
      */
@@ -165,7 +178,8 @@ class SendMessageRequest extends FormRequest
             responseSuggestionLimit: $validated['response_suggestion_limit'] ?? null,
             collection: $validated['collection'] ?? null,
             executionMode: $executionMode,
-            highlightContext: $validated['highlight_context'] ?? null
+            highlightContext: $validated['highlight_context'] ?? null,
+            idempotencyKey: $this->idempotencyKey()
         );
     }
 }
@@ -75,6 +75,16 @@ class AgentRunRepository
             ->first();
     }
 
+    public function findByIdempotencyKey(string $key, string $sessionId, ?string $userId = null): ?AIAgentRun
+    {
+        return AIAgentRun::query()
+            ->where('session_id', $sessionId)
+            ->where('user_id', $userId)
+            ->where('metadata->idempotency_key', $key)
+            ->latest()
+            ->first();
+    }
+
     public function update(AIAgentRun $run, array $attributes): AIAgentRun
     {
         $attributes = $this->schema()->normalizeRunAttributes(array_merge([
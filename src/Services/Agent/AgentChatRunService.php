@@ -39,6 +39,19 @@ class AgentChatRunService
         $options = array_merge($options, array_filter($scope, static fn (mixed $value): bool => $value !== null && $value !== ''));
         $options['_idempotency_key'] ??= (string) Str::uuid();
 
+        // A client retrying a send it never saw answered gets the run it already started.
+        $idempotencyKey = trim((string) ($options['idempotency_key'] ?? ''));
+        if ($idempotencyKey !== '') {
+            $existing = $this->runs->findByIdempotencyKey(
+                $idempotencyKey,
+                $sessionId,
+                $userId !== null ? (string) $userId : null
+            );
+            if ($existing !== null) {
+                return $this->startedPayload($existing);
+            }
+        }
+
         $run = $this->runs->create([
             'session_id' => $sessionId,
             'user_id' => $userId !== null ? (string) $userId : null,
@@ -56,11 +69,17 @@ class AgentChatRunService
                 'created_from' => 'agent_chat',
                 'estimated_tokens' => $options['estimated_tokens'] ?? null,
                 'estimated_cost' => $options['estimated_cost'] ?? null,
+                'idempotency_key' => $idempotencyKey !== '' ? $idempotencyKey : null,
             ], static fn (mixed $value): bool => $value !== null),
         ]);
 
         RunAgentJob::dispatch($run->id, $message, $sessionId, $userId, $options);
 
+        return $this->startedPayload($run);
+    }
+
+    private function startedPayload(AIAgentRun $run): array
+    {
         return [
             'queued' => true,
             'run' => $this->runPayload($run),
@@ -13,6 +13,16 @@ use LaravelAIEngine\Services\CreditManager;
 
 class PricingInspectionService
 {
+    private const USAGE_TOKEN_UNITS = [
+        'input_tokens',
+        'input_text_tokens',
+        'input_audio_tokens',
+        'cached_tokens',
+        'output_tokens',
+        'output_text_tokens',
+        'output_audio_tokens',
+    ];
+
     public function __construct(
         private readonly CreditManager $credits
     ) {}
@@ -76,13 +86,56 @@ class PricingInspectionService
             userId: $userId
         );
 
-        return array_merge($this->credits->calculateCreditBreakdown($request), [
+        return array_merge($this->withReportedUsage($this->credits->calculateCreditBreakdown($request), $request), [
             'prompt_preview' => mb_substr($prompt, 0, 120),
             'parameters' => $parameters,
             'has_user_id' => $userId !== null && $userId !== '',
         ]);
     }
 
+    /**
+     * Prices provider-reported token counts from `parameters.usage`. Only previews
+     * read them, so request parameters can never change a real charge.
+     *
+     * @param array<string, mixed> $breakdown
+     * @return array<string, mixed>
+     */
+    private function withReportedUsage(array $breakdown, AIRequest $request): array
+    {
+        $usage = $request->getParameters()['usage'] ?? null;
+        $policy = config("ai-engine.credits.additional_input_unit_rates.{$request->getEngine()->value}", []);
+
+        if (!is_array($usage) || !is_array($policy) || $policy === []) {
+            return $breakdown;
+        }
+
+        $rates = array_replace(
+            (array) ($policy['default'] ?? []),
+            (array) ($policy['models'][$request->getModel()->value] ?? [])
+        );
+        $usageCredits = 0.0;
+
+        foreach (self::USAGE_TOKEN_UNITS as $unit) {
+            $rate = $rates[$unit] ?? null;
+            $count = $usage[$unit] ?? null;
+
+            if (!is_numeric($rate) || (float) $rate <= 0 || !is_numeric($count)) {
+                continue;
+            }
+
+            $usageCredits += max(0.0, (float) $count) * (float) $rate;
+        }
+
+        $totalEngineCredits = (float) $breakdown['total_engine_credits'] + $usageCredits;
+
+        return array_merge($breakdown, [
+            'usage_engine_credits' => round($usageCredits, 8),
+            'additional_input_engine_credits' => round((float) $breakdown['additional_input_engine_credits'] + $usageCredits, 8),
+            'total_engine_credits' => round($totalEngineCredits, 8),
+            'final_credits' => round($totalEngineCredits * (float) $breakdown['engine_rate'], 8),
+        ]);
+    }
+
     /**
      * @return list<string>
      */
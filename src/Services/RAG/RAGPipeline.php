@@ -7,6 +7,7 @@ namespace LaravelAIEngine\Services\RAG;
 use LaravelAIEngine\Contracts\RAGPipelineContract;
 use LaravelAIEngine\DTOs\AIResponse;
 use LaravelAIEngine\DTOs\AgentResponse;
+use LaravelAIEngine\DTOs\RAGSource;
 use LaravelAIEngine\Services\Agent\AgentRunEventStreamService;
 
 class RAGPipeline implements RAGPipelineContract
@@ -29,6 +30,7 @@ class RAGPipeline implements RAGPipelineContract
         $this->emit(AgentRunEventStreamService::RAG_SOURCES_FOUND, $options, [
             'result_count' => count($sources),
             'source_types' => array_values(array_unique(array_map(static fn ($source): string => $source->type, $sources))),
+            'sources' => array_map(fn (RAGSource $source): array => $this->streamedSource($source), $sources),
         ]);
         $context = $this->contextBuilder->build($sources);
         $prompt = $this->promptBuilder->build($query, $context['context'], $options);
@@ -66,6 +68,19 @@ class RAGPipeline implements RAGPipelineContract
         return $response->toAIResponse();
     }
 
+    /**
+     * The label and link a client shows while the answer streams; content stays out of the event log.
+     */
+    private function streamedSource(RAGSource $source): array
+    {
+        return array_filter([
+            'id' => $source->id,
+            'type' => $source->type,
+            'title' => $source->title ?? $source->citations[0]?->title ?? null,
+            'url' => $source->citations[0]?->url ?? $source->metadata['url'] ?? null,
+        ], static fn (mixed $value): bool => $value !== null && $value !== '');
+    }
+
     private function emit(string $event, array $options, array $payload = []): void
     {
         app(AgentRunEventStreamService::class)->emit(
@@ -6,6 +6,7 @@ namespace LaravelAIEngine\Services\SDK;
 
 use Illuminate\Support\Facades\Http;
 use LaravelAIEngine\DTOs\RealtimeSessionConfig;
+use LaravelAIEngine\Exceptions\RealtimeIceRestartUnsupportedException;
 use LaravelAIEngine\Exceptions\RealtimeRoomNotAllowedException;
 
 class RealtimeSessionService
@@ -111,6 +112,20 @@ class RealtimeSessionService
         ]);
     }
 
+    /**
+     * Renegotiates ICE for a WebRTC call that is already running. None of the bundled
+     * providers accept a second offer for an existing call, so this refuses rather than
+     * minting a new one; extend the service to support a provider that can.
+     */
+    public function restartWebRtcIce(RealtimeSessionConfig|array $config, string $sdp): array
+    {
+        $provider = is_array($config)
+            ? (string) ($config['provider'] ?? config('ai-engine.realtime.default_provider', 'openai'))
+            : $config->provider;
+
+        throw new RealtimeIceRestartUnsupportedException($provider);
+    }
+
     protected function openAISession(RealtimeSessionConfig $config): array
     {
         $session = $this->openAISessionPayload($config);
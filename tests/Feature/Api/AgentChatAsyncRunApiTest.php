@@ -279,4 +279,61 @@ class AgentChatAsyncRunApiTest extends TestCase
             && ($job->options['workspace_id'] ?? null) === 'workspace-1'
         );
     }
+
+    public function test_synchronous_chat_send_forwards_the_idempotency_header_to_the_agent(): void
+    {
+        $chat = Mockery::mock(ChatService::class);
+        $chat->shouldReceive('processMessage')
+            ->once()
+            ->withAnyArgs()
+            ->andReturnUsing(function (...$args): AIResponse {
+                $this->assertSame('send-sync-1', end($args)['idempotency_key'] ?? null);
+
+                return AIResponse::success('Once.', 'openai', 'gpt-4o-mini');
+            });
+
+        $this->app->instance(ChatService::class, $chat);
+
+        $this->withHeaders(['Idempotency-Key' => 'send-sync-1'])
+            ->postJson('/api/v1/agent/chat', [
+                'message' => 'Hi',
+                'session_id' => 'idempotent-sync-chat-api',
+                'engine' => 'openai',
+                'model' => 'gpt-4o-mini',
+                'use_rag' => false,
+                'execution_mode' => 'sync',
+            ])
+            ->assertOk()
+            ->assertJsonPath('data.response', 'Once.');
+    }
+
+    public function test_repeated_chat_send_with_the_same_idempotency_key_returns_the_first_run(): void
+    {
+        Queue::fake();
+
+        $payload = [
+            'message' => 'Refund order 42',
+            'session_id' => 'idempotent-chat-api',
+            'user_id' => 'user-idempotent',
+            'engine' => 'openai',
+            'model' => 'gpt-4o-mini',
+            'use_rag' => false,
+            'execution_mode' => 'async',
+            'idempotency_key' => 'send-42',
+        ];
+
+        $first = $this->postJson('/api/v1/agent/chat', $payload)->assertAccepted();
+        $retry = $this->withHeaders(['Idempotency-Key' => 'send-42'])
+            ->postJson('/api/v1/agent/chat', array_diff_key($payload, ['idempotency_key' => true]))
+            ->assertAccepted();
+        $other = $this->postJson('/api/v1/agent/chat', array_merge($payload, ['idempotency_key' => 'send-43']))
+            ->assertAccepted();
+
+        $this->assertSame($first->json('data.agent_run_id'), $retry->json('data.agent_run_id'));
+        $this->assertNotSame($first->json('data.agent_run_id'), $other->json('data.agent_run_id'));
+        Queue::assertPushed(RunAgentJob::class, 2);
+        Queue::assertPushed(RunAgentJob::class, fn (RunAgentJob $job): bool =>
+            ($job->options['idempotency_key'] ?? null) === 'send-42'
+        );
+    }
 }
@@ -8,6 +8,7 @@ use Illuminate\Support\Facades\Http;
 use LaravelAIEngine\DTOs\AIResponse;
 use LaravelAIEngine\DTOs\AgentSkillDefinition;
 use LaravelAIEngine\DTOs\ActionResult;
+use LaravelAIEngine\DTOs\RealtimeSessionConfig;
 use LaravelAIEngine\DTOs\UnifiedActionContext;
 use LaravelAIEngine\Services\Agent\AgentSkillRegistry;
 use LaravelAIEngine\Services\Agent\Tools\SimpleAgentTool;
@@ -334,6 +335,60 @@ class McpRealtimeIntegrationApiTest extends TestCase
         $this->assertArrayNotHasKey('metadata', $service->sent['session']);
     }
 
+    public function test_realtime_sdp_api_refuses_ice_restart_without_minting_a_new_call(): void
+    {
+        config()->set('ai-engine.engines.openai.api_key', 'test-openai-key');
+
+        app()->instance(RealtimeSessionService::class, new class extends RealtimeSessionService {
+            public int $calls = 0;
+
+            protected function sendOpenAIRealtimeCall(string $url, string $apiKey, string $sdp, array $session): string
+            {
+                $this->calls++;
+
+                return 'answer-sdp';
+            }
+        });
+
+        $this->postJson('/api/v1/ai/realtime/sdp', [
+            'provider' => 'openai',
+            'model' => 'gpt-realtime',
+            'sdp' => 'restart-offer-sdp',
+            'ice_restart' => true,
+        ])
+            ->assertStatus(409)
+            ->assertJsonPath('success', false)
+            ->assertJsonPath('error.code', 'ice_restart_unsupported')
+            ->assertJsonPath('error.provider', 'openai');
+
+        $this->assertSame(0, app(RealtimeSessionService::class)->calls);
+    }
+
+    public function test_realtime_sdp_api_routes_ice_restart_offers_to_the_service(): void
+    {
+        app()->instance(RealtimeSessionService::class, new class extends RealtimeSessionService {
+            public ?string $restartOffer = null;
+
+            public function restartWebRtcIce(RealtimeSessionConfig|array $config, string $sdp): array
+            {
+                $this->restartOffer = $sdp;
+
+                return ['provider' => 'openai', 'sdp' => ['answer' => 'restart-answer-sdp']];
+            }
+        });
+
+        $this->postJson('/api/v1/ai/realtime/sdp', [
+            'provider' => 'openai',
+            'sdp' => 'restart-offer-sdp',
+            'ice_restart' => true,
+        ])
+            ->assertOk()
+            ->assertJsonPath('success', true)
+            ->assertJsonPath('data.session.sdp.answer', 'restart-answer-sdp');
+
+        $this->assertSame('restart-offer-sdp', app(RealtimeSessionService::class)->restartOffer);
+    }
+
     protected function registerEchoTool(): void
     {
         $registry = app(ToolRegistry::class);
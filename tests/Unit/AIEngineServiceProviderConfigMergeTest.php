@@ -58,7 +58,7 @@ class AIEngineServiceProviderConfigMergeTest extends UnitTestCase
         $this->assertNotEmpty($events->getListeners(AIRequestCompleted::class));
     }
 
-    public function test_assistant_client_publish_tag_includes_chat_and_voice_modules(): void
+    public function test_assistant_client_publish_tag_includes_browser_client_modules(): void
     {
         $paths = ServiceProvider::pathsToPublish(
             AIEngineServiceProvider::class,
@@ -77,6 +77,38 @@ class AIEngineServiceProviderConfigMergeTest extends UnitTestCase
             realpath(__DIR__ . '/../../resources/assets/assistant-voice-client.js'),
             $sources
         );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-conversations-client.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-run-client.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-chat-element.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-voice-element.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-voice-transports.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-voice-recorder.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-metrics.js'),
+            $sources
+        );
+        $this->assertContains(
+            realpath(__DIR__ . '/../../resources/assets/assistant-voice-testing.js'),
+            $sources
+        );
     }
 
     public function test_missing_optional_component_directory_is_not_registered(): void
@@ -102,4 +102,39 @@ class PricingCommandTest extends TestCase
         $this->assertSame(1.3, $payload['engine_rate']);
         $this->assertEqualsWithDelta(11.05, $payload['final_credits'], 0.0001);
     }
+
+    public function test_pricing_simulate_charges_reported_token_usage(): void
+    {
+        Config::set('ai-engine.credits.engine_rates.openai', 1.5);
+        Config::set('ai-engine.credits.additional_input_unit_rates.openai', [
+            'models' => [
+                'gpt-realtime' => [
+                    'input_text_tokens' => 0.001,
+                    'input_audio_tokens' => 0.01,
+                    'output_audio_tokens' => 0.02,
+                ],
+            ],
+        ]);
+
+        Artisan::call('ai:pricing-simulate', [
+            'engine' => 'openai',
+            'model' => 'gpt-realtime',
+            '--parameters' => json_encode([
+                'usage' => [
+                    'input_text_tokens' => 1000,
+                    'input_audio_tokens' => 200,
+                    'output_audio_tokens' => 100,
+                    'output_text_tokens' => 50,
+                ],
+            ]),
+            '--json' => true,
+        ]);
+
+        $payload = json_decode(Artisan::output(), true);
+
+        $this->assertEqualsWithDelta(0.0, $payload['base_engine_credits'], 0.0001);
+        $this->assertEqualsWithDelta(5.0, $payload['usage_engine_credits'], 0.0001);
+        $this->assertEqualsWithDelta(5.0, $payload['additional_input_engine_credits'], 0.0001);
+        $this->assertEqualsWithDelta(7.5, $payload['final_credits'], 0.0001);
+    }
 }
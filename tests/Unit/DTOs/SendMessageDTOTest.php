@@ -66,4 +66,16 @@ class SendMessageDTOTest extends UnitTestCase
         $this->assertArrayNotHasKey('async', $payload);
     }
 
+    public function test_agent_options_forward_the_client_idempotency_key(): void
+    {
+        $dto = new SendMessageDTO(
+            message: 'hello',
+            sessionId: 'session',
+            idempotencyKey: 'send-1'
+        );
+
+        $this->assertSame('send-1', $dto->toArray()['idempotency_key']);
+        $this->assertSame(['idempotency_key' => 'send-1'], $dto->agentOptions());
+    }
+
 }
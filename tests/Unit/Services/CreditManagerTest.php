@@ -272,6 +272,43 @@ class CreditManagerTest extends TestCase
         $this->assertEqualsWithDelta(9.5, $this->creditManager->calculateCredits($request), 0.0001);
     }
 
+    public function test_reported_token_usage_in_request_parameters_does_not_change_the_charge(): void
+    {
+        Config::set('ai-engine.credits.engine_rates.openai', 1.5);
+        Config::set('ai-engine.credits.additional_input_unit_rates.openai', [
+            'models' => [
+                'gpt-4o' => [
+                    'input_text_tokens' => 0.001,
+                    'output_audio_tokens' => 0.02,
+                ],
+            ],
+        ]);
+
+        $plain = new AIRequest(
+            prompt: 'This is a test prompt with ten words exactly here.',
+            engine: EngineEnum::OPENAI,
+            model: EntityEnum::GPT_4O,
+            userId: $this->testUser->id
+        );
+        $withUsage = new AIRequest(
+            prompt: 'This is a test prompt with ten words exactly here.',
+            engine: EngineEnum::OPENAI,
+            model: EntityEnum::GPT_4O,
+            parameters: ['usage' => ['input_text_tokens' => 1000000, 'output_audio_tokens' => 1000000]],
+            userId: $this->testUser->id
+        );
+
+        $this->assertEqualsWithDelta(
+            $this->creditManager->calculateCredits($plain),
+            $this->creditManager->calculateCredits($withUsage),
+            0.0001
+        );
+        $this->assertEquals(
+            $this->creditManager->calculateCreditBreakdown($plain),
+            $this->creditManager->calculateCreditBreakdown($withUsage)
+        );
+    }
+
     public function test_has_credits_with_sufficient_balance()
     {
         $request = new AIRequest(
@@ -90,7 +90,10 @@ class RAGPipelineTest extends UnitTestCase
 
         Event::assertDispatched(AgentRunStreamed::class, fn (AgentRunStreamed $e): bool => $e->event['name'] === 'rag.started');
         Event::assertDispatched(AgentRunStreamed::class, fn (AgentRunStreamed $e): bool => $e->event['name'] === 'rag.sources_found'
-            && ($e->event['payload']['result_count'] ?? null) === 1);
+            && ($e->event['payload']['result_count'] ?? null) === 1
+            && ($e->event['payload']['sources'] ?? null) === [
+                ['id' => '10', 'type' => 'vector', 'title' => 'Invoice 10', 'url' => 'invoice://10'],
+            ]);
         Event::assertDispatched(AgentRunStreamed::class, fn (AgentRunStreamed $e): bool => $e->event['name'] === 'rag.completed');
     }
 
@@ -0,0 +1,227 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+import { createRegistry, installFakeDom, mount, unmount } from './fake-dom.mjs';
+
+installFakeDom();
+
+const assistantSource = await readFile(
+    new URL('../../resources/assets/assistant-client.js', import.meta.url),
+    'utf8',
+);
+const assistantUrl = `data:text/javascript;base64,${Buffer.from(assistantSource).toString('base64')}`;
+const elementSource = (
+    await readFile(new URL('../../resources/assets/assistant-chat-element.js', import.meta.url), 'utf8')
+).replace("'./assistant-client.js'", JSON.stringify(assistantUrl));
+const {
+    AssistantChatElement,
+    defineAssistantChatElement,
+} = await import(`data:text/javascript;base64,${Buffer.from(elementSource).toString('base64')}`);
+const { createAssistantClient } = await import(assistantUrl);
+
+const ChatElement = defineAssistantChatElement('test-chat', createRegistry());
+const encoder = new TextEncoder();
+
+function json(body) {
+    return new Response(JSON.stringify(body), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Chat replies open a run stream whose events the test pushes one at a time.
+function streamingFetch(requests = []) {
+    let stream = null;
+    const fetch = async (url, init = {}) => {
+        requests.push({ url: String(url), body: init.body ? JSON.parse(init.body) : null });
+        if (String(url).endsWith('/stream')) {
+            return new Response(new ReadableStream({ start: (controller) => { stream = controller; } }), {
+                status: 200,
+                headers: { 'Content-Type': 'text/event-stream' },
+            });
+        }
+        if (String(url).endsWith('/cancel')) return json({ success: true });
+        return json({ success: true, data: { agent_run_id: 'run-1', stream_url: '/api/v1/ai/agent-runs/run-1/stream' } });
+    };
+    const push = (name, id, payload) => stream.enqueue(encoder.encode(`event: ${name}\nid: ${id}\ndata: ${JSON.stringify(payload)}\n\n`));
+    return { fetch, push, requests };
+}
+
+// The assistant client posts chat messages through the global fetch.
+async function withFetch(fetch, callback) {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = fetch;
+    try {
+        return await callback();
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+async function until(predicate, attempts = 50) {
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+        if (predicate()) return;
+        await tick();
+    }
+    assert.fail('Condition was not met.');
+}
+
+const turns = (element) => element.shadowRoot.querySelectorAll('.turn');
+
+test('the element registers once per tag name and renders its composer', () => {
+    const registry = createRegistry();
+    const first = defineAssistantChatElement('support-chat', registry);
+    assert.equal(defineAssistantChatElement('support-chat', registry), first);
+    assert.equal(first.prototype instanceof AssistantChatElement, true);
+
+    const element = mount(ChatElement, { placeholder: 'Ask support' });
+    element.client = createAssistantClient();
+
+    assert.equal(element.shadowRoot.querySelector('textarea').placeholder, 'Ask support');
+    assert.equal(element.shadowRoot.querySelector('.cancel').hidden, true);
+    assert.equal(turns(element).length, 0);
+});
+
+test('a submitted message renders both turns and streams deltas into the reply', () => {
+    const server = streamingFetch();
+    return withFetch(server.fetch, async () => {
+        const element = mount(ChatElement, { 'chat-endpoint': '/support/chat', 'stream-transport': 'fetch' });
+        const forwarded = [];
+        element.addEventListener('ai-assistant-event', ({ detail }) => forwarded.push(detail.name));
+
+        element.shadowRoot.querySelector('textarea').value = 'Where is my order?';
+        element.shadowRoot.querySelector('form').dispatchEvent(new Event('submit', { cancelable: true }));
+        await until(() => server.requests.some(({ url }) => url.endsWith('/stream')));
+
+        assert.equal(server.requests[0].url, '/support/chat');
+        assert.equal(server.requests[0].body.message, 'Where is my order?');
+        assert.equal(element.shadowRoot.querySelector('textarea').value, '');
+        const [question, reply] = turns(element);
+        assert.equal(question.dataset.role, 'user');
+        assert.equal(question.querySelector('.text').textContent, 'Where is my order?');
+        assert.equal(reply.dataset.status, 'pending');
+
+        server.push('assistant.delta', 'e1', { payload: { delta: 'It ships ' } });
+        await until(() => reply.querySelector('.text').textContent === 'It ships ');
+        server.push('assistant.delta', 'e2', { payload: { delta: 'today.' } });
+        await until(() => reply.querySelector('.text').textContent === 'It ships today.');
+
+        assert.equal(turns(element)[1], reply);
+        assert.equal(reply.dataset.status, 'streaming');
+        assert.equal(forwarded.includes('assistant.delta'), true);
+        unmount(element);
+    });
+});
+
+test('the stop button shows while a reply is active and cancels the run', () => {
+    const server = streamingFetch();
+    return withFetch(server.fetch, async () => {
+        const element = mount(ChatElement);
+        element.client = createAssistantClient({ streamTransport: 'fetch' });
+        const cancel = element.shadowRoot.querySelector('.cancel');
+
+        void element.send('Draft a refund email');
+        await until(() => server.requests.some(({ url }) => url.endsWith('/stream')));
+        assert.equal(cancel.hidden, false);
+
+        cancel.click();
+        await until(() => server.requests.some(({ url }) => url.endsWith('/cancel')));
+
+        assert.equal(cancel.hidden, true);
+        assert.equal(turns(element)[1].dataset.status, 'cancelled');
+    });
+});
+
+test('sources render as links only for web URLs', () => {
+    const reply = async () => json({
+        success: true,
+        data: {
+            response: 'Refunds take five days.',
+            sources: [
+                { id: 'doc-1', title: 'Refund policy', metadata: { url: '/help/refunds' } },
+                { id: 'doc-2', title: 'Terms', url: 'https://example.test/terms' },
+                { id: 'doc-3', title: 'Injected', url: 'javascript:alert(document.cookie)' },
+                { id: 'doc-4', metadata: {} },
+            ],
+        },
+    });
+    globalThis.location = { href: 'https://app.test/support' };
+
+    return withFetch(reply, async () => {
+        const element = mount(ChatElement);
+        element.client = createAssistantClient();
+        await element.send('How long do refunds take?');
+        const labels = turns(element)[1].querySelector('.sources').children.map((item) => item.children[0]);
+
+        assert.deepEqual(labels.map((label) => [label.tagName, label.textContent, label.href ?? null]), [
+            ['A', 'Refund policy', '/help/refunds'],
+            ['A', 'Terms', 'https://example.test/terms'],
+            ['SPAN', 'Injected', null],
+            ['SPAN', 'doc-4', null],
+        ]);
+        assert.equal(labels[0].rel, 'noopener');
+    }).finally(() => {
+        delete globalThis.location;
+    });
+});
+
+test('sources found mid-stream render on the reply before it completes', () => {
+    const server = streamingFetch();
+    globalThis.location = { href: 'https://app.test/support' };
+
+    return withFetch(server.fetch, async () => {
+        const element = mount(ChatElement, { 'stream-transport': 'fetch' });
+        void element.send('What is the refund window?');
+        await until(() => server.requests.some(({ url }) => url.endsWith('/stream')));
+        const reply = turns(element)[1];
+        const labels = () => reply.querySelector('.sources').children.map((item) => item.children[0].textContent);
+
+        server.push('rag.sources_found', 'e1', {
+            payload: {
+                result_count: 2,
+                sources: [
+                    { id: 'doc-1', title: 'Refund policy', url: 'https://example.test/refunds' },
+                    { id: 'doc-2', title: 'Terms' },
+                ],
+            },
+        });
+        await until(() => labels().length === 2);
+        assert.deepEqual(labels(), ['Refund policy', 'Terms']);
+        assert.equal(reply.dataset.status, 'pending');
+
+        server.push('rag.sources_found', 'e2', { payload: { sources: [{ id: 'doc-2', title: 'Terms' }] } });
+        server.push('assistant.completed', 'e3', { payload: { text: 'Thirty days.', sources: [] } });
+        await until(() => reply.dataset.status === 'completed');
+        assert.deepEqual(labels(), ['Refund policy', 'Terms']);
+        unmount(element);
+    }).finally(() => {
+        delete globalThis.location;
+    });
+});
+
+test('removing the element closes a client it built but leaves an injected one running', () => {
+    const server = streamingFetch();
+    return withFetch(server.fetch, async () => {
+        const owned = mount(ChatElement, { 'stream-transport': 'fetch' });
+        const ownedClient = owned.client;
+        let closed = false;
+        const close = ownedClient.close;
+        ownedClient.close = () => {
+            closed = true;
+            close();
+        };
+        const sent = owned.send('Hello');
+        await until(() => server.requests.some(({ url }) => url.endsWith('/stream')));
+
+        unmount(owned);
+        await sent;
+        assert.equal(closed, true);
+        assert.notEqual(owned.client, ownedClient);
+
+        const injected = createAssistantClient();
+        injected.close = () => assert.fail('An injected client must not be closed by the element.');
+        const element = mount(ChatElement);
+        element.client = injected;
+        unmount(element);
+        assert.equal(element.client, injected);
+    });
+});
@@ -4,7 +4,7 @@ import test from 'node:test';
 
 const source = await readFile(new URL('../../resources/assets/assistant-client.js', import.meta.url), 'utf8');
 const moduleUrl = `data:text/javascript;base64,${Buffer.from(source).toString('base64')}`;
-const { createAssistantClient } = await import(moduleUrl);
+const { createAssistantClient, createSseParser, normalizeUsage } = await import(moduleUrl);
 
 test('headless client normalizes realtime captions and response deltas', () => {
     const client = createAssistantClient();
@@ -108,3 +108,818 @@ test('send acknowledges immediately before waiting for the server', async () =>
         globalThis.fetch = originalFetch;
     }
 });
+
+class FakeEventSource {
+    static instances = [];
+
+    constructor(url, init = {}) {
+        this.url = url;
+        this.init = init;
+        this.closed = false;
+        this.listeners = new Map();
+        this.onopen = null;
+        this.onerror = null;
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(name, listener) {
+        const listeners = this.listeners.get(name) || new Set();
+        listeners.add(listener);
+        this.listeners.set(name, listeners);
+    }
+
+    deliver(name, id, payload = {}) {
+        for (const listener of this.listeners.get(name) || []) {
+            listener({ data: JSON.stringify(payload), lastEventId: id });
+        }
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+test('dropped run streams resume after the last event id and skip replayed events', () => {
+    const originalEventSource = globalThis.EventSource;
+    globalThis.EventSource = FakeEventSource;
+    const timers = [];
+
+    try {
+        const client = createAssistantClient({
+            reconnect: { initialDelayMs: 250, multiplier: 2 },
+            setTimeout: (callback, delay) => timers.push({ callback, delay }),
+            clearTimeout: () => {},
+        });
+        const names = [];
+        const deltas = [];
+        client.on('*', ({ name, payload }) => {
+            names.push(name);
+            if (name === 'assistant.delta') deltas.push(payload.payload.text);
+        });
+
+        client.connectStream('/api/v1/ai/agent-runs/run-7/stream');
+        const first = FakeEventSource.instances.at(-1);
+        first.deliver('assistant.delta', 'evt-1', { payload: { text: 'Hel' } });
+        first.onerror(new Error('network changed'));
+
+        assert.equal(first.closed, true);
+        assert.equal(timers[0].delay, 250);
+        timers.shift().callback();
+
+        const resumed = FakeEventSource.instances.at(-1);
+        assert.equal(resumed.url, '/api/v1/ai/agent-runs/run-7/stream?last_event_id=evt-1');
+        resumed.onopen();
+        resumed.deliver('assistant.delta', 'evt-1', { payload: { text: 'Hel' } });
+        resumed.deliver('assistant.delta', 'evt-2', { payload: { text: 'lo' } });
+
+        assert.deepEqual(deltas, ['Hel', 'lo']);
+        assert.deepEqual(names.filter((name) => name.startsWith('transport.')), [
+            'transport.error',
+            'transport.reconnecting',
+            'transport.reconnected',
+        ]);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+    }
+});
+
+test('stream reconnection backs off, gives up, and ignores the close after a terminal event', () => {
+    const originalEventSource = globalThis.EventSource;
+    globalThis.EventSource = FakeEventSource;
+    const timers = [];
+
+    try {
+        const client = createAssistantClient({
+            reconnect: { maxAttempts: 2, initialDelayMs: 100, maxDelayMs: 150 },
+            setTimeout: (callback, delay) => timers.push({ callback, delay }),
+            clearTimeout: () => {},
+        });
+        const names = [];
+        client.on('*', ({ name }) => names.push(name));
+
+        client.connectStream('/runs/stream', { runId: 'run-8' });
+        FakeEventSource.instances.at(-1).onerror(new Error('dropped'));
+        timers.shift().callback();
+        FakeEventSource.instances.at(-1).onerror(new Error('dropped'));
+        assert.equal(timers[0].delay, 150);
+        timers.shift().callback();
+        assert.equal(FakeEventSource.instances.at(-1).url, '/runs/stream');
+        FakeEventSource.instances.at(-1).onerror(new Error('dropped'));
+
+        assert.equal(names.at(-1), 'transport.reconnect_failed');
+        assert.equal(timers.length, 0);
+
+        names.length = 0;
+        client.connectStream('/api/v1/ai/agent-runs/run-9/stream');
+        const stream = FakeEventSource.instances.at(-1);
+        stream.deliver('run.completed', 'evt-9', {});
+        stream.onerror(new Error('server closed'));
+
+        assert.deepEqual(names, ['run.completed', 'transport.closed']);
+        assert.equal(stream.closed, true);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+    }
+});
+
+function sseResponse(chunks, { hold = false } = {}) {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+        start(controller) {
+            for (const chunk of chunks) controller.enqueue(encoder.encode(chunk));
+            if (!hold) controller.close();
+        },
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+test('SSE parser handles split chunks, comments, multi-line data, and CRLF', () => {
+    const events = [];
+    const parser = createSseParser((event) => events.push(event));
+
+    parser.push(': heartbeat\n\nevent: assistant.delta\r');
+    parser.push('\nid: evt-1\ndata: {"text":');
+    parser.push('"Hi"}\n\ndata: one\ndata: two\n');
+    parser.end();
+
+    assert.deepEqual(events, [
+        { type: 'assistant.delta', data: '{"text":"Hi"}', lastEventId: 'evt-1', id: 'evt-1' },
+        { type: 'message', data: 'one\ntwo', lastEventId: 'evt-1', id: null },
+    ]);
+});
+
+test('fetch stream transport sends auth headers and works without EventSource', async () => {
+    const requests = [];
+    const client = createAssistantClient({
+        headers: { Authorization: 'Bearer token-1' },
+        events: ['assistant.delta', 'run.completed'],
+        fetch: async (url, init) => {
+            requests.push({ url, init });
+            return sseResponse([
+                'event: assistant.delta\nid: evt-1\ndata: {"payload":{"text":"Hel"}}\n\n',
+                'event: tool.started\nid: evt-2\ndata: {}\n\n',
+                'event: assistant.delta\nid: evt-3\ndata: {"payload":{"text":"lo"}}\n\n',
+                'event: run.completed\nid: evt-4\ndata: {}\n\n',
+            ]);
+        },
+    });
+    const names = [];
+    const finished = new Promise((resolve) => client.on('run.completed', resolve));
+    client.on('*', ({ name }) => names.push(name));
+
+    assert.notEqual(client.connectStream('/api/v1/ai/agent-runs/run-1/stream'), null);
+    await finished;
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer token-1');
+    assert.equal(requests[0].init.headers.Accept, 'text/event-stream');
+    assert.deepEqual(names, ['assistant.delta', 'assistant.delta', 'run.completed', 'transport.closed']);
+});
+
+test('fetch streams without reconnect report a normal end as closed and release the abort signal', async () => {
+    const listeners = new Set();
+    const signal = {
+        aborted: false,
+        addEventListener: (_name, listener) => listeners.add(listener),
+        removeEventListener: (_name, listener) => listeners.delete(listener),
+    };
+    const client = createAssistantClient({
+        streamTransport: 'fetch',
+        signal,
+        reconnect: false,
+        fetch: async () => sseResponse(['event: assistant.delta\nid: evt-1\ndata: {"payload":{"text":"Hi"}}\n\n']),
+    });
+    const names = [];
+    client.on('*', ({ name }) => names.push(name));
+
+    const first = new Promise((resolve) => client.on('transport.closed', resolve));
+    client.connectStream('/stream');
+    assert.deepEqual(await first, { lastEventId: 'evt-1', settled: false });
+    client.connectStream('/stream');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    assert.deepEqual(names, ['assistant.delta', 'transport.closed', 'assistant.delta', 'transport.closed']);
+    assert.equal(listeners.size, 0);
+});
+
+test('fetch stream transport closes when the abort signal fires', async () => {
+    const abort = new AbortController();
+    let streamSignal = null;
+    const client = createAssistantClient({
+        streamTransport: 'fetch',
+        signal: abort.signal,
+        reconnect: false,
+        fetch: async (_url, init) => {
+            streamSignal = init.signal;
+            return sseResponse([], { hold: true });
+        },
+    });
+    const errors = [];
+    client.on('transport.error', (payload) => errors.push(payload));
+
+    const stream = client.connectStream('/stream');
+    await new Promise((resolve) => setImmediate(resolve));
+    abort.abort();
+
+    assert.equal(stream.readyState, 2);
+    assert.equal(streamSignal.aborted, true);
+    assert.deepEqual(errors, []);
+});
+
+test('frames without an id are never dropped as replays', async () => {
+    const originalEventSource = globalThis.EventSource;
+    globalThis.EventSource = FakeEventSource;
+
+    try {
+        const client = createAssistantClient({ reconnect: false });
+        const deltas = [];
+        client.on('assistant.delta', ({ payload }) => deltas.push(payload.delta));
+
+        client.connectStream('/api/v1/ai/agent-runs/run-4/stream');
+        const stream = FakeEventSource.instances.at(-1);
+        stream.deliver('assistant.delta', 'evt-1', { payload: { delta: 'One' } });
+        stream.deliver('assistant.delta', 'evt-1', { payload: { delta: ' two' } });
+        stream.deliver('assistant.delta', 'evt-1', { payload: { delta: ' three' } });
+        assert.deepEqual(deltas, ['One', ' two', ' three']);
+
+        deltas.length = 0;
+        const fetchClient = createAssistantClient({
+            streamTransport: 'fetch',
+            reconnect: false,
+            fetch: async () => sseResponse([
+                'event: assistant.delta\nid: evt-1\ndata: {"payload":{"delta":"One"}}\n\n',
+                'event: assistant.delta\ndata: {"payload":{"delta":" two"}}\n\n',
+                'event: assistant.delta\ndata: {"payload":{"delta":" three"}}\n\n',
+                'event: assistant.delta\nid: evt-1\ndata: {"payload":{"delta":"One"}}\n\n',
+            ]),
+        });
+        fetchClient.on('assistant.delta', ({ payload }) => deltas.push(payload.delta));
+        const closed = new Promise((resolve) => fetchClient.on('transport.closed', resolve));
+        fetchClient.connectStream('/stream');
+        await closed;
+
+        assert.deepEqual(deltas, ['One', ' two', ' three']);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+    }
+});
+
+test('sends, cancels, and resumes go through the injected fetch and the stream_url the server returned', async () => {
+    const originalEventSource = globalThis.EventSource;
+    const originalFetch = globalThis.fetch;
+    globalThis.EventSource = FakeEventSource;
+    globalThis.fetch = async () => assert.fail('The global fetch must not be used when one is injected.');
+    const requests = [];
+    const timers = [];
+
+    try {
+        const client = createAssistantClient({
+            streamTransport: 'eventsource',
+            setTimeout: (callback, delay) => timers.push({ callback, delay }),
+            clearTimeout: () => {},
+            fetch: async (url) => {
+                requests.push(url);
+                return url.endsWith('/cancel')
+                    ? chatJson({ success: true })
+                    : chatJson({ success: true, data: { agent_run_id: 'run-5', stream_url: '/tenants/7/run-events/run-5' } });
+            },
+        });
+
+        await client.send('Plan the launch');
+        const first = FakeEventSource.instances.at(-1);
+        assert.equal(first.url, '/tenants/7/run-events/run-5');
+        first.deliver('assistant.delta', 'evt-3', { payload: { delta: 'Step one' } });
+        first.onerror(new Error('dropped'));
+        timers.shift().callback();
+
+        assert.equal(FakeEventSource.instances.at(-1).url, '/tenants/7/run-events/run-5?last_event_id=evt-3');
+        await client.cancel();
+        assert.deepEqual(requests, ['/api/v1/agent/chat', '/api/v1/ai/agent-runs/run-5/cancel']);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('conversation store tracks chat turns, streamed deltas, and tool calls', async () => {
+    const originalEventSource = globalThis.EventSource;
+    const originalFetch = globalThis.fetch;
+    globalThis.EventSource = FakeEventSource;
+    globalThis.fetch = async () => new Response(JSON.stringify({
+        success: true,
+        data: { agent_run_id: 'run-3', stream_url: '/api/v1/ai/agent-runs/run-3/stream' },
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+
+    try {
+        const client = createAssistantClient();
+        const updates = [];
+        client.conversation.subscribe(({ event }) => updates.push(event));
+
+        await client.send('Find my invoices');
+        const [user, pending] = client.conversation.getTurns();
+        assert.deepEqual([user.role, user.text, user.status], ['user', 'Find my invoices', 'completed']);
+        assert.equal(pending.status, 'pending');
+
+        const stream = FakeEventSource.instances.at(-1);
+        stream.deliver('tool.started', 'evt-1', { payload: { tool_name: 'search_invoices' } });
+        stream.deliver('tool.completed', 'evt-2', { payload: { tool_name: 'search_invoices', success: true } });
+        stream.deliver('assistant.delta', 'evt-3', { payload: { delta: 'Two ' } });
+        stream.deliver('assistant.delta', 'evt-4', { payload: { delta: 'invoices.' } });
+        assert.equal(client.conversation.getTurns()[1].status, 'streaming');
+        stream.deliver('assistant.completed', 'evt-5', { payload: {} });
+
+        const assistant = client.conversation.getTurns()[1];
+        assert.equal(assistant.text, 'Two invoices.');
+        assert.equal(assistant.status, 'completed');
+        assert.deepEqual(assistant.toolCalls.map(({ name, status }) => [name, status]), [
+            ['search_invoices', 'completed'],
+        ]);
+        assert.equal(updates.includes('assistant.delta'), true);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('a failed tool and the RAG lifecycle arrive from the run stream', async () => {
+    const originalEventSource = globalThis.EventSource;
+    globalThis.EventSource = FakeEventSource;
+
+    try {
+        const client = createAssistantClient({
+            fetch: async () => chatJson({
+                success: true,
+                data: { agent_run_id: 'run-6', stream_url: '/api/v1/ai/agent-runs/run-6/stream' },
+            }),
+        });
+        const names = [];
+        client.on('*', ({ name }) => names.push(name));
+
+        await client.send('Refund order 42');
+        const stream = FakeEventSource.instances.at(-1);
+        stream.deliver('rag.started', 'evt-1', { payload: { query: 'refund order 42' } });
+        stream.deliver('rag.completed', 'evt-2', { payload: { result_count: 2, success: true } });
+        stream.deliver('tool.started', 'evt-3', { payload: { tool_name: 'issue_refund' } });
+        stream.deliver('tool.failed', 'evt-4', { payload: { tool_name: 'issue_refund', success: false, error: 'Order is locked.' } });
+
+        assert.deepEqual(names.slice(-4), ['rag.started', 'rag.completed', 'tool.started', 'tool.failed']);
+        assert.deepEqual(client.conversation.getTurns().at(-1).toolCalls.map(({ name, status, error }) => [name, status, error]), [
+            ['issue_refund', 'failed', 'Order is locked.'],
+        ]);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+    }
+});
+
+test('conversation store follows realtime voice turns and cancellation', () => {
+    const client = createAssistantClient();
+
+    client.consumeRealtimeEvent({ type: 'conversation.item.input_audio_transcription.delta', item_id: 'item-1', delta: 'مرح' });
+    assert.deepEqual(client.conversation.getTurns().map(({ role, status }) => [role, status]), [
+        ['user', 'streaming'],
+    ]);
+    client.consumeRealtimeEvent({ type: 'conversation.item.input_audio_transcription.completed', item_id: 'item-1', transcript: 'مرحبا' });
+    client.consumeRealtimeEvent({ type: 'response.audio_transcript.delta', delta: 'Hello' });
+    client.consumeRealtimeEvent({ type: 'response.done', response: { id: 'response-1' } });
+    client.consumeRealtimeEvent({ type: 'response.created' });
+    client.consumeRealtimeEvent({ type: 'response.audio_transcript.delta', delta: 'And' });
+    client.cancel();
+
+    assert.deepEqual(client.conversation.getTurns().map(({ role, text, status }) => [role, text, status]), [
+        ['user', 'مرحبا', 'completed'],
+        ['assistant', 'Hello', 'completed'],
+        ['assistant', 'And', 'cancelled'],
+    ]);
+});
+
+test('failed chat requests mark the pending assistant turn as failed', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(JSON.stringify({ message: 'Server error' }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+    });
+
+    try {
+        const client = createAssistantClient({ retry: false });
+        await assert.rejects(client.send('hello'), /Server error/);
+
+        assert.equal(client.conversation.getTurns().at(-1).status, 'failed');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('concurrent runs keep separate streams, conversations, and cancellation', async () => {
+    const originalEventSource = globalThis.EventSource;
+    const originalFetch = globalThis.fetch;
+    const cancelled = [];
+    let runNumber = 0;
+    globalThis.EventSource = FakeEventSource;
+    globalThis.fetch = async (url) => {
+        if (url.endsWith('/cancel')) {
+            cancelled.push(url);
+            return new Response('{}', { status: 200 });
+        }
+        runNumber += 1;
+        return new Response(JSON.stringify({
+            success: true,
+            data: {
+                agent_run_id: `run-${runNumber}`,
+                stream_url: `/api/v1/ai/agent-runs/run-${runNumber}/stream`,
+            },
+        }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+    };
+
+    try {
+        const client = createAssistantClient();
+        const all = [];
+        client.on('*', ({ name, run, runId }) => all.push(`${run}:${runId}:${name}`));
+
+        const main = client.startRun('Summarize the dashboard');
+        const research = client.startRun('Research competitors');
+        await Promise.all([main.response, research.response]);
+        const [mainStream, researchStream] = FakeEventSource.instances.slice(-2);
+        const researchDeltas = [];
+        research.on('assistant.delta', ({ payload }) => researchDeltas.push(payload.delta));
+
+        mainStream.deliver('assistant.delta', 'a-1', { payload: { delta: 'Revenue is up.' } });
+        researchStream.deliver('assistant.delta', 'b-1', { payload: { delta: 'Three rivals.' } });
+
+        assert.deepEqual(researchDeltas, ['Three rivals.']);
+        assert.equal(main.getRunId(), 'run-1');
+        assert.equal(main.conversation.getTurns().at(-1).text, 'Revenue is up.');
+        assert.equal(research.conversation.getTurns().at(-1).text, 'Three rivals.');
+        assert.equal(client.conversation.getTurns().length, 0);
+        assert.equal(all.includes(`${research.id}:run-2:assistant.delta`), true);
+
+        await research.cancel();
+        assert.equal(researchStream.closed, true);
+        assert.equal(mainStream.closed, false);
+        assert.deepEqual(cancelled, ['/api/v1/ai/agent-runs/run-2/cancel']);
+        assert.deepEqual(client.getRuns().map(({ id }) => id), [main.id]);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('runs answered synchronously are dropped from the run list once settled', async () => {
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => new Response(JSON.stringify({ success: true, data: { response: 'Done already.' } }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' },
+    });
+
+    try {
+        const client = createAssistantClient();
+        const run = client.startRun('Quick question');
+        assert.deepEqual(client.getRuns().map(({ id }) => id), [run.id]);
+
+        await run.response;
+        assert.equal(run.conversation.getTurns().at(-1).text, 'Done already.');
+        assert.equal(client.getRun(run.id), null);
+        assert.deepEqual(client.getRuns(), []);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('chat replies that need user input expose a prompt answered by provideInput', async () => {
+    const bodies = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (_url, init) => {
+        bodies.push(JSON.parse(init.body));
+        const data = bodies.length === 1
+            ? { response: 'Which course and start date?', needs_user_input: true, required_inputs: ['course', 'start_date'] }
+            : { response: 'Enrolled.' };
+        return new Response(JSON.stringify({ success: true, data }), {
+            status: 200,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    };
+
+    try {
+        const client = createAssistantClient({ sessionId: 'session-1' });
+        const prompts = [];
+        client.on('tool.input_required', (payload) => prompts.push(payload));
+
+        await client.send('Enroll me', { engine: 'openai' });
+        const [prompt] = prompts;
+
+        assert.deepEqual(prompt.fields.map(({ name }) => name), ['course', 'start_date']);
+        assert.equal(client.conversation.getTurns().at(-1).inputRequired.callId, prompt.call.id);
+
+        await client.provideInput(prompt.call.id, { course: 'Laravel 101', start_date: '2026-11-02' });
+
+        const { idempotency_key: idempotencyKey, ...answer } = bodies[1];
+        assert.notEqual(idempotencyKey, bodies[0].idempotency_key);
+        assert.deepEqual(answer, {
+            session_id: 'session-1',
+            engine: 'openai',
+            message: 'course: Laravel 101\nstart_date: 2026-11-02',
+        });
+        assert.deepEqual(client.getPendingInputs(), []);
+        assert.equal(client.conversation.getTurns().find((turn) => turn.inputRequired !== undefined).inputRequired, null);
+        assert.equal(client.conversation.getTurns().at(-1).text, 'Enrolled.');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+function chatJson(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+test('failed sends retry with backoff and reuse the idempotency key', async () => {
+    const requests = [];
+    const timers = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (_url, init) => {
+        requests.push({ body: JSON.parse(init.body), key: init.headers['Idempotency-Key'] });
+        if (requests.length === 1) throw new TypeError('Failed to fetch');
+        if (requests.length === 2) return chatJson({ message: 'Upstream unavailable' }, 503);
+        return chatJson({ success: true, data: { response: 'Done.' } });
+    };
+
+    try {
+        const client = createAssistantClient({
+            retry: { initialDelayMs: 100, multiplier: 3 },
+            setTimeout: (callback, delay) => timers.push({ callback, delay }),
+            clearTimeout: () => {},
+        });
+        const events = [];
+        client.on('*', ({ name, payload }) => {
+            if (name.startsWith('queue.')) events.push([name, payload.entry.status, payload.delayMs]);
+        });
+
+        const sent = client.send('hello');
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        timers.shift().callback();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        timers.shift().callback();
+        const body = await sent;
+
+        assert.equal(body.data.response, 'Done.');
+        assert.equal(new Set(requests.map(({ key }) => key)).size, 1);
+        assert.equal(requests[0].body.idempotency_key, requests[0].key);
+        assert.deepEqual(events, [
+            ['queue.queued', 'queued', undefined],
+            ['queue.sending', 'sending', undefined],
+            ['queue.retrying', 'retrying', 100],
+            ['queue.sending', 'sending', undefined],
+            ['queue.retrying', 'retrying', 300],
+            ['queue.sending', 'sending', undefined],
+            ['queue.sent', 'sent', undefined],
+        ]);
+        assert.deepEqual(client.getQueue(), []);
+        assert.equal(client.conversation.getTurns().at(-1).text, 'Done.');
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('retrying a message that is waiting on backoff settles the original send', async () => {
+    let requests = 0;
+    const cleared = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async () => {
+        requests += 1;
+        return requests === 1
+            ? chatJson({ message: 'Upstream unavailable' }, 503)
+            : chatJson({ success: true, data: { response: 'Done.' } });
+    };
+
+    try {
+        const client = createAssistantClient({
+            setTimeout: () => 'timer-1',
+            clearTimeout: (timer) => cleared.push(timer),
+        });
+        const sent = client.send('hello');
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        const [waiting] = client.getQueue();
+        assert.equal(waiting.status, 'retrying');
+
+        const retried = client.retry(waiting.id);
+        assert.equal(retried, sent);
+        assert.equal((await sent).data.response, 'Done.');
+        assert.deepEqual(cleared, ['timer-1']);
+        assert.equal(requests, 2);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('close detaches the online listener and rejects messages still waiting', async () => {
+    const listeners = new Set();
+    const client = createAssistantClient({
+        navigator: { onLine: false },
+        window: {
+            addEventListener: (name, listener) => listeners.add(listener),
+            removeEventListener: (name, listener) => listeners.delete(listener),
+        },
+    });
+    const waiting = client.send('offline');
+    assert.equal(listeners.size, 1);
+
+    client.close();
+    await assert.rejects(waiting, { name: 'AbortError' });
+    assert.equal(listeners.size, 0);
+    assert.deepEqual(client.getQueue(), []);
+});
+
+test('send queue pauses offline, keeps order, and can retry a failed message', async () => {
+    const messages = [];
+    let online = false;
+    let onlineListener = null;
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (_url, init) => {
+        const { message } = JSON.parse(init.body);
+        messages.push(message);
+        return message === 'second' && messages.length === 2
+            ? chatJson({ message: 'Invalid message' }, 422)
+            : chatJson({ success: true, data: { response: `re: ${message}` } });
+    };
+
+    try {
+        const client = createAssistantClient({
+            navigator: { get onLine() { return online; } },
+            window: { addEventListener: (name, listener) => { if (name === 'online') onlineListener = listener; } },
+        });
+        const states = [];
+        client.on('queue.paused', () => states.push('paused'));
+        client.on('queue.resumed', () => states.push('resumed'));
+
+        const first = client.send('first');
+        const second = client.send('second');
+        const rejected = assert.rejects(second, /Invalid message/);
+
+        assert.deepEqual(messages, []);
+        assert.deepEqual(client.getQueue().map(({ message, status }) => [message, status]), [
+            ['first', 'queued'],
+            ['second', 'queued'],
+        ]);
+
+        online = true;
+        onlineListener();
+        await first;
+        await rejected;
+
+        assert.deepEqual(states, ['paused', 'resumed']);
+        assert.deepEqual(messages, ['first', 'second']);
+        const [failed] = client.getQueue();
+        assert.equal(failed.status, 'failed');
+
+        const retried = await client.retry(failed.id);
+        assert.equal(retried.data.response, 're: second');
+        assert.deepEqual(client.getQueue(), []);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('realtime usage adds up per session and is priced through the pricing endpoint', async () => {
+    const pricingRequests = [];
+    const client = createAssistantClient({
+        fetch: async (url, request) => {
+            const body = JSON.parse(request.body);
+            pricingRequests.push({ url, body });
+            const { input_text_tokens: text, input_audio_tokens: audio, output_audio_tokens: spoken } = body.parameters.usage;
+            return new Response(JSON.stringify({
+                success: true,
+                data: { final_credits: text * 0.001 + audio * 0.01 + spoken * 0.02 },
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        },
+        pricing: { engine: 'openai', model: 'gpt-realtime' },
+        budget: { maxCost: 5, action: 'warn' },
+    });
+    const updates = [];
+    const exceeded = [];
+    client.on('usage.updated', (update) => updates.push(update));
+    client.on('usage.budget_exceeded', (payload) => exceeded.push(payload));
+    const usage = {
+        total_tokens: 1300,
+        input_tokens: 1200,
+        output_tokens: 100,
+        input_token_details: { text_tokens: 1000, audio_tokens: 200, cached_tokens: 64 },
+        output_token_details: { text_tokens: 0, audio_tokens: 100 },
+    };
+
+    client.consumeRealtimeEvent({ type: 'response.done', event_id: 'done-1', response: { id: 'resp-1', usage } });
+    client.consumeRealtimeEvent({ type: 'response.done', event_id: 'done-1', response: { id: 'resp-1', usage } });
+    client.consumeRealtimeEvent({ type: 'response.done', event_id: 'done-2', response: { id: 'resp-2', usage } });
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    assert.equal(pricingRequests.length, 2);
+    assert.equal(pricingRequests[0].url, '/api/v1/ai/pricing/preview');
+    assert.deepEqual(pricingRequests[1].body.parameters.usage, {
+        input_tokens: 2400,
+        input_text_tokens: 2000,
+        input_audio_tokens: 400,
+        cached_tokens: 128,
+        output_tokens: 200,
+        output_text_tokens: 0,
+        output_audio_tokens: 200,
+        total_tokens: 2600,
+    });
+    assert.deepEqual(updates.map(({ turns, session, cost }) => [turns, session.totalTokens, cost.turn, cost.session]), [
+        [1, 1300, 5, 5],
+        [2, 2600, 5, 10],
+    ]);
+    assert.equal(updates[0].budget, null);
+    assert.deepEqual(exceeded, [{
+        source: 'realtime',
+        exceeded: [{ limit: 'cost', value: 10, max: 5 }],
+        action: 'warn',
+        usage: updates[1].session,
+        cost: 10,
+    }]);
+    assert.equal(client.getUsage().turns, 2);
+    client.resetUsage();
+    assert.equal(client.getUsage().session.totalTokens, 0);
+});
+
+test('synchronous chat replies count their usage and a pending price holds the next send', async () => {
+    const chatRequests = [];
+    let releasePrice = null;
+    const client = createAssistantClient({
+        fetch: async (url, init) => {
+            if (String(url).endsWith('/pricing/preview')) {
+                await new Promise((resolve) => { releasePrice = resolve; });
+                return new Response(JSON.stringify({ success: true, data: { final_credits: 12 } }), { status: 200 });
+            }
+            chatRequests.push(JSON.parse(init.body).message);
+            return chatJson({
+                success: true,
+                data: { response: 'Done.', usage: { prompt_tokens: 30, completion_tokens: 20, total_tokens: 50 } },
+            });
+        },
+        pricing: { engine: 'openai', model: 'gpt-4o' },
+        budget: { maxCost: 10, action: 'disconnect' },
+    });
+    const updates = [];
+    client.on('usage.updated', (update) => updates.push(update));
+
+    await client.send('first');
+    const next = client.send('second');
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    assert.deepEqual(chatRequests, ['first']);
+
+    releasePrice();
+    await assert.rejects(next, { code: 'budget_exceeded' });
+    assert.deepEqual(chatRequests, ['first']);
+    assert.deepEqual(updates.map(({ source, session, cost }) => [source, session.totalTokens, cost.session]), [
+        ['chat', 50, 12],
+    ]);
+    assert.equal(client.conversation.getTurns().find(({ role }) => role === 'assistant').status, 'completed');
+});
+
+test('usage normalizes Gemini metadata and chat run usage, and a chat budget keeps the finished answer', async () => {
+    assert.deepEqual(normalizeUsage({
+        promptTokenCount: 120,
+        responseTokenCount: 80,
+        totalTokenCount: 200,
+        promptTokensDetails: [{ modality: 'TEXT', tokenCount: 20 }, { modality: 'AUDIO', tokenCount: 100 }],
+        responseTokensDetails: [{ modality: 'AUDIO', tokenCount: 80 }],
+    }), {
+        inputTokens: 120,
+        inputTextTokens: 20,
+        inputAudioTokens: 100,
+        cachedTokens: 0,
+        outputTokens: 80,
+        outputTextTokens: 0,
+        outputAudioTokens: 80,
+        totalTokens: 200,
+    });
+    assert.equal(normalizeUsage({}), null);
+
+    const originalEventSource = globalThis.EventSource;
+    globalThis.EventSource = FakeEventSource;
+
+    try {
+        const client = createAssistantClient({ budget: { maxTokens: 100, action: 'disconnect' } });
+        const names = [];
+        const updates = [];
+        client.on('*', ({ name }) => names.push(name));
+        client.on('usage.updated', (update) => updates.push(update));
+        client.connectStream('/api/v1/ai/agent-runs/run-9/stream');
+        const stream = FakeEventSource.instances.at(-1);
+        const usage = { prompt_tokens: 90, completion_tokens: 40, total_tokens: 130 };
+
+        stream.deliver('assistant.completed', 'evt-1', { payload: { message: 'Done', response: { metadata: { usage } } } });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        stream.deliver('run.completed', 'evt-2', { payload: { response: { metadata: { usage } } } });
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.equal(updates.length, 1);
+        assert.equal(updates[0].source, 'chat');
+        assert.equal(updates[0].cost.session, null);
+        assert.deepEqual(updates[0].turn, normalizeUsage(usage));
+        assert.deepEqual(names.slice(-3), ['usage.updated', 'usage.budget_exceeded', 'run.completed']);
+        assert.equal(names.includes('assistant.cancelled'), false);
+        assert.equal(client.conversation.getTurns().at(-1).status, 'completed');
+        await assert.rejects(client.send('one more'), { code: 'budget_exceeded' });
+        client.resetUsage();
+        assert.equal(client.getUsage().turns, 0);
+    } finally {
+        globalThis.EventSource = originalEventSource;
+    }
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+async function importAsset(name) {
+    const source = await readFile(new URL(`../../resources/assets/${name}`, import.meta.url), 'utf8');
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+const { createAssistantClient } = await importAsset('assistant-client.js');
+const { createConversationsClient } = await importAsset('assistant-conversations-client.js');
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+test('conversation listing and search paginate through the conversations API', async () => {
+    const urls = [];
+    const client = createConversationsClient({
+        csrfToken: 'csrf',
+        fetch: async (url) => {
+            urls.push(url);
+            const page = Number(new URL(url, 'http://host').searchParams.get('page'));
+            return json({
+                success: true,
+                data: {
+                    conversations: [{ conversation_id: `conversation-${page}` }],
+                    pagination: { total: 2, per_page: 1, current_page: page, last_page: 2 },
+                },
+            });
+        },
+    });
+
+    const first = await client.list({ limit: 1, folderId: 'work' });
+    const second = await first.nextPage();
+
+    assert.equal(first.hasMore, true);
+    assert.equal(second.hasMore, false);
+    assert.equal(await second.nextPage(), null);
+    assert.deepEqual(second.conversations.map(({ conversation_id: id }) => id), ['conversation-2']);
+    assert.deepEqual(urls, [
+        '/api/v1/agent/conversations?page=1&limit=1&folder_id=work',
+        '/api/v1/agent/conversations?page=2&limit=1&folder_id=work',
+    ]);
+
+    await client.search('  فاتورة ');
+    assert.equal(urls.at(-1), `/api/v1/agent/conversations/search?q=${encodeURIComponent('فاتورة')}&page=1&limit=20`);
+});
+
+test('moving a conversation posts the folder and surfaces API errors', async () => {
+    const requests = [];
+    const client = createConversationsClient({
+        fetch: async (url, init) => {
+            requests.push({ url, init, body: JSON.parse(init.body) });
+            return requests.length === 1
+                ? json({ success: true, data: { conversation_id: 'c-1', folder_id: 'archive' } })
+                : json({ success: false, error: 'Conversation not found' }, 404);
+        },
+    });
+
+    assert.deepEqual(await client.moveToFolder('c-1', 'archive'), { conversation_id: 'c-1', folder_id: 'archive' });
+    assert.equal(requests[0].url, '/api/v1/agent/conversations/folder');
+    assert.equal(requests[0].init.method, 'POST');
+    await assert.rejects(
+        client.moveToFolder('c-2'),
+        (error) => error.status === 404 && error.message === 'Conversation not found',
+    );
+    assert.equal(requests[1].body.folder_id, null);
+});
+
+test('opening a conversation hydrates the assistant client and continues its session', async () => {
+    const chatBodies = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (_url, init) => {
+        chatBodies.push(JSON.parse(init.body));
+        return json({ success: true, data: { response: 'ok' } });
+    };
+
+    try {
+        const assistant = createAssistantClient();
+        const conversations = createConversationsClient({
+            assistantClient: assistant,
+            messagesEndpoint: '/history/{conversation}',
+            fetch: async (url) => {
+                assert.equal(url, '/history/c-9');
+                return json({
+                    success: true,
+                    data: {
+                        messages: [
+                            { role: 'system', content: 'hidden' },
+                            { role: 'user', content: 'Hi' },
+                            { role: 'assistant', content: 'Hello!' },
+                        ],
+                    },
+                });
+            },
+        });
+
+        const opened = await conversations.open({ conversation_id: 'c-9', settings: { session_id: 'session-9' } });
+        assert.equal(opened.sessionId, 'session-9');
+        assert.deepEqual(assistant.conversation.getTurns().map(({ role, text }) => [role, text]), [
+            ['user', 'Hi'],
+            ['assistant', 'Hello!'],
+        ]);
+
+        await assistant.send('And now?');
+        assert.equal(chatBodies[0].session_id, 'session-9');
+        assert.deepEqual(assistant.conversation.getTurns().slice(2).map(({ role, text, status }) => [role, text, status]), [
+            ['user', 'And now?', 'completed'],
+            ['assistant', 'ok', 'completed'],
+        ]);
+    } finally {
+        globalThis.fetch = originalFetch;
+    }
+});
+
+test('opening a conversation without a history source rejects instead of using the list preview', async () => {
+    const assistant = createAssistantClient({ sessionId: 'current' });
+    const conversations = createConversationsClient({
+        assistantClient: assistant,
+        fetch: async () => assert.fail('No history endpoint is configured.'),
+    });
+    const record = { conversation_id: 'c-4', last_message: { role: 'assistant', content: 'Your refund of 40 EUR was appro' } };
+
+    await assert.rejects(conversations.open(record), /messagesEndpoint or loadMessages/);
+    assert.equal(assistant.getSessionId(), 'current');
+    assert.deepEqual(assistant.conversation.getTurns(), []);
+
+    const opened = await conversations.open(record, { messages: [] });
+    assert.deepEqual(opened.turns, []);
+    assert.equal(assistant.getSessionId(), 'c-4');
+});
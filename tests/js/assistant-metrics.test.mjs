@@ -0,0 +1,191 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+const metricsSource = await readFile(
+    new URL('../../resources/assets/assistant-metrics.js', import.meta.url),
+    'utf8',
+);
+const { createTurnMetrics } = await import(
+    `data:text/javascript;base64,${Buffer.from(metricsSource).toString('base64')}`
+);
+
+function fakeClient() {
+    const listeners = new Set();
+    return {
+        on(name, listener) {
+            assert.equal(name, '*');
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        emit(name, payload = {}) {
+            for (const listener of listeners) listener({ name, payload });
+        },
+        listenerCount: () => listeners.size,
+    };
+}
+
+test('voice turns report response, token, audio, tool, and negotiation timings', () => {
+    const client = fakeClient();
+    let clock = 0;
+    const metrics = createTurnMetrics(client, { now: () => clock, wallClock: () => '2026-10-01T09:00:00.000Z' });
+    const turns = [];
+    const connections = [];
+    metrics.on('metrics.turn', (turn) => turns.push(turn));
+    metrics.on('metrics.connection', (connection) => connections.push(connection));
+    const realtime = (type, extra = {}) => client.emit('realtime.event', { event: { type, ...extra } });
+
+    client.emit('voice.state', { state: 'requesting_microphone' });
+    clock = 400;
+    client.emit('voice.phase', { phase: 'creating_connection', transport: 'webrtc' });
+    clock = 450;
+    client.emit('voice.phase', { phase: 'negotiating', transport: 'webrtc' });
+    clock = 900;
+    client.emit('voice.phase', { phase: 'securing', transport: 'webrtc' });
+    clock = 1000;
+    client.emit('voice.connected', { transport: 'webrtc' });
+
+    clock = 5000;
+    realtime('input_audio_buffer.speech_stopped');
+    clock = 5300;
+    realtime('response.created');
+    clock = 5400;
+    client.emit('tool.started', { call: { id: 'call-1', name: 'lookup_order' } });
+    clock = 6200;
+    client.emit('tool.completed', { call: { id: 'call-1', name: 'lookup_order' } });
+    clock = 6500;
+    client.emit('assistant.delta', { text: 'It' });
+    clock = 6550;
+    realtime('output_audio_buffer.started');
+    clock = 8000;
+    client.emit('assistant.completed', { text: 'It ships today.' });
+
+    clock = 9000;
+    realtime('input_audio_buffer.speech_stopped');
+    clock = 9100;
+    realtime('response.created');
+    clock = 9200;
+    realtime('response.done', { response: { status: 'cancelled' } });
+
+    assert.deepEqual(connections, [{
+        transport: 'webrtc',
+        recovery: null,
+        totalMs: 1000,
+        phases: [
+            { phase: 'creating_connection', durationMs: 50 },
+            { phase: 'negotiating', durationMs: 450 },
+            { phase: 'securing', durationMs: 100 },
+        ],
+    }]);
+    assert.deepEqual(turns[0], {
+        id: 'turn-1',
+        channel: 'voice',
+        status: 'completed',
+        startedAt: '2026-10-01T09:00:00.000Z',
+        timeToAcknowledgeMs: null,
+        timeToResponseMs: 300,
+        timeToFirstTokenMs: 1500,
+        timeToFirstAudioMs: 1550,
+        toolMs: 800,
+        totalMs: 3000,
+        tools: [{ id: 'call-1', name: 'lookup_order', status: 'completed', durationMs: 800 }],
+    });
+    assert.equal(turns[1].status, 'cancelled');
+    assert.equal(turns[1].totalMs, 200);
+    metrics.stop();
+    assert.equal(client.listenerCount(), 0);
+});
+
+test('recovered connections report the strategy that restored them', () => {
+    const client = fakeClient();
+    let clock = 0;
+    const metrics = createTurnMetrics(client, { now: () => clock });
+    const connections = [];
+    metrics.on('metrics.connection', (connection) => connections.push(connection));
+
+    client.emit('voice.state', { state: 'connecting' });
+    client.emit('voice.connected', { transport: 'webrtc' });
+
+    // The order the voice client emits when an ICE restart fails and it reconnects.
+    clock = 1000;
+    client.emit('voice.reconnecting', { reason: 'failed', transport: 'webrtc' });
+    client.emit('voice.phase', { phase: 'restarting_ice', transport: 'webrtc' });
+    clock = 1400;
+    client.emit('voice.phase', { phase: 'reconnecting', transport: 'webrtc' });
+    client.emit('voice.state', { state: 'connecting' });
+    clock = 1500;
+    client.emit('voice.phase', { phase: 'negotiating', transport: 'webrtc' });
+    clock = 2000;
+    client.emit('voice.connected', { transport: 'webrtc' });
+    clock = 2100;
+    client.emit('voice.recovered', { strategy: 'reconnect', reason: 'failed', restoredTurns: 2 });
+
+    clock = 3000;
+    client.emit('voice.reconnecting', { reason: 'disconnected', transport: 'webrtc' });
+    client.emit('voice.phase', { phase: 'restarting_ice', transport: 'webrtc' });
+    clock = 3200;
+    client.emit('voice.recovered', { strategy: 'ice_restart', reason: 'disconnected' });
+
+    assert.deepEqual(connections.map(({ recovery, totalMs }) => ({ recovery, totalMs })), [
+        { recovery: null, totalMs: 0 },
+        { recovery: 'reconnect', totalMs: 1100 },
+        { recovery: 'ice_restart', totalMs: 200 },
+    ]);
+    assert.deepEqual(connections[1].phases.map(({ phase }) => phase), ['restarting_ice', 'reconnecting', 'negotiating']);
+    metrics.stop();
+});
+
+test('chat turns batch through sendBeacon and fall back to keepalive fetch', () => {
+    const client = fakeClient();
+    let clock = 0;
+    const beacons = [];
+    const fetches = [];
+    let beaconAccepts = true;
+    const metrics = createTurnMetrics(client, {
+        endpoint: '/metrics',
+        batchSize: 2,
+        metadata: { page: 'support' },
+        now: () => clock,
+        sendBeacon: (url, blob) => {
+            beacons.push({ url, blob });
+            return beaconAccepts;
+        },
+        fetch: async (url, request) => {
+            fetches.push({ url, request });
+            return new Response('{}');
+        },
+        setTimeout: () => 1,
+        clearTimeout: () => {},
+    });
+    const chatTurn = (id, start) => {
+        clock = start;
+        client.emit('queue.sending', { entry: { id } });
+        clock = start + 100;
+        client.emit('queue.sending', { entry: { id } });
+        clock = start + 250;
+        client.emit('assistant.acknowledged', {});
+        clock = start + 700;
+        client.emit('assistant.delta', { text: 'Hi' });
+        clock = start + 1200;
+        client.emit('assistant.completed', { text: 'Hi there.' });
+    };
+
+    chatTurn('message-1', 0);
+    assert.equal(beacons.length, 0);
+    assert.equal(metrics.getPending()[0].timeToAcknowledgeMs, 250);
+    chatTurn('message-2', 2000);
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].url, '/metrics');
+    assert.equal(beacons[0].blob.type, 'application/json');
+
+    beaconAccepts = false;
+    chatTurn('message-3', 4000);
+    assert.equal(metrics.stop(), true);
+    const body = JSON.parse(fetches[0].request.body);
+    assert.equal(fetches[0].request.keepalive, true);
+    assert.deepEqual(body.metadata, { page: 'support' });
+    assert.deepEqual(body.metrics.map(({ type, channel, timeToFirstTokenMs, totalMs }) => [type, channel, timeToFirstTokenMs, totalMs]), [
+        ['metrics.turn', 'chat', 700, 1200],
+    ]);
+    assert.equal(metrics.getPending().length, 0);
+});
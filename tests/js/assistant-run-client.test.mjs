@@ -0,0 +1,145 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+const assistantSource = await readFile(
+    new URL('../../resources/assets/assistant-client.js', import.meta.url),
+    'utf8',
+);
+const assistantUrl = `data:text/javascript;base64,${Buffer.from(assistantSource).toString('base64')}`;
+const runSource = (
+    await readFile(new URL('../../resources/assets/assistant-run-client.js', import.meta.url), 'utf8')
+).replace("'./assistant-client.js'", JSON.stringify(assistantUrl));
+const { createAgentRunClient, isTerminalRunStatus } = await import(
+    `data:text/javascript;base64,${Buffer.from(runSource).toString('base64')}`
+);
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+function sseResponse(frames) {
+    const encoder = new TextEncoder();
+    return new Response(new ReadableStream({
+        start(controller) {
+            for (const frame of frames) controller.enqueue(encoder.encode(frame));
+            controller.close();
+        },
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+test('run client covers list, show, trace, capabilities, and cancel endpoints', async () => {
+    const requests = [];
+    const client = createAgentRunClient({
+        csrfToken: 'csrf',
+        fetch: async (url, init) => {
+            requests.push({ url, method: init.method });
+            if (url.startsWith('/api/v1/ai/agent-runs?')) {
+                return json({ success: true, data: { data: [{ id: 4, uuid: 'run-a', status: 'running' }], current_page: 1 } });
+            }
+            if (url.endsWith('/cancel')) return json({ success: true, data: { cancelled: true } });
+            if (url.endsWith('/trace')) return json({ success: true, data: { run_id: 'run-a', steps: [] } });
+            if (url.endsWith('/capabilities')) return json({ success: true, data: { streaming: true } });
+            return json({ success: true, data: { run: { uuid: 'run-a', status: 'waiting_input' }, events: [] } });
+        },
+    });
+
+    const page = await client.list({ status: 'running', per_page: 10 });
+    assert.equal(page.data[0].uuid, 'run-a');
+    assert.equal(client.getRun('run-a').status, 'running');
+
+    await client.show('run-a');
+    assert.equal(client.isWaiting('run-a'), true);
+    assert.deepEqual(await client.trace('run-a'), { run_id: 'run-a', steps: [] });
+    assert.deepEqual(await client.capabilities(), { streaming: true });
+    await client.cancel('run-a');
+    assert.equal(client.getRun('run-a').status, 'cancelled');
+
+    assert.deepEqual(requests.map(({ url, method }) => `${method} ${url}`), [
+        'GET /api/v1/ai/agent-runs?status=running&per_page=10',
+        'GET /api/v1/ai/agent-runs/run-a',
+        'GET /api/v1/ai/agent-runs/run-a/trace',
+        'GET /api/v1/ai/agent-runs/capabilities',
+        'POST /api/v1/ai/agent-runs/run-a/cancel',
+    ]);
+});
+
+test('resume posts user input and surfaces API errors', async () => {
+    const bodies = [];
+    const client = createAgentRunClient({
+        fetch: async (_url, init) => {
+            bodies.push(JSON.parse(init.body));
+            return bodies.length === 1
+                ? json({ success: true, data: { queued: true, run: { uuid: 'run-b', status: 'running' } } })
+                : json({ success: false, message: 'Agent run is not waiting.' }, 422);
+        },
+    });
+    const resumed = [];
+    client.on('run.resumed', ({ runId }) => resumed.push(runId));
+
+    const result = await client.resume('run-b', 'Use the March invoices');
+
+    assert.equal(result.queued, true);
+    assert.deepEqual(bodies[0], { message: 'Use the March invoices' });
+    assert.equal(client.getRun('run-b').status, 'running');
+    assert.deepEqual(resumed, ['run-b']);
+    await assert.rejects(
+        client.resume('run-b', { approval_key: 'approval-1' }),
+        (error) => error.status === 422 && error.message === 'Agent run is not waiting.',
+    );
+});
+
+test('streamed run events drive the tracked lifecycle', async () => {
+    let streamUrl = null;
+    const client = createAgentRunClient({
+        streamTransport: 'fetch',
+        fetch: async (url) => {
+            streamUrl = url;
+            return sseResponse([
+                'event: run.started\nid: e1\ndata: {"run_id":"run-c"}\n\n',
+                'event: run.waiting_input\nid: e2\ndata: {"run_id":"run-c"}\n\n',
+                'event: run.completed\nid: e3\ndata: {"run_id":"run-c"}\n\n',
+            ]);
+        },
+    });
+    const statuses = [];
+    const completed = new Promise((resolve) => client.on('run.status', (payload) => {
+        statuses.push(payload.status);
+        if (isTerminalRunStatus(payload.status)) resolve();
+    }));
+
+    client.stream('run-c');
+    await completed;
+
+    assert.equal(streamUrl, '/api/v1/ai/agent-runs/run-c/stream');
+    assert.deepEqual(statuses, ['running', 'waiting_input', 'completed']);
+});
+
+test('an expired run is terminal and its stream is not reopened', async () => {
+    let streamRequests = 0;
+    const client = createAgentRunClient({
+        streamTransport: 'fetch',
+        fetch: async () => {
+            streamRequests += 1;
+            return sseResponse([
+                'event: run.started\nid: e1\ndata: {"run_id":"run-x"}\n\n',
+                'event: run.expired\nid: e2\ndata: {"run_id":"run-x"}\n\n',
+            ]);
+        },
+    });
+    const statuses = [];
+    const expired = new Promise((resolve) => client.on('run.status', (payload) => {
+        statuses.push(payload.status);
+        if (isTerminalRunStatus(payload.status)) resolve();
+    }));
+
+    client.stream('run-x');
+    await expired;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    assert.deepEqual(statuses, ['running', 'expired']);
+    assert.equal(streamRequests, 1);
+});
@@ -7,11 +7,19 @@ const assistantSource = await readFile(
     'utf8',
 );
 const assistantUrl = `data:text/javascript;base64,${Buffer.from(assistantSource).toString('base64')}`;
+const transportsSource = await readFile(
+    new URL('../../resources/assets/assistant-voice-transports.js', import.meta.url),
+    'utf8',
+);
+const transportsUrl = `data:text/javascript;base64,${Buffer.from(transportsSource).toString('base64')}`;
 const voiceSource = (
     await readFile(new URL('../../resources/assets/assistant-voice-client.js', import.meta.url), 'utf8')
-).replace("'./assistant-client.js'", JSON.stringify(assistantUrl));
+)
+    .replace("'./assistant-client.js'", JSON.stringify(assistantUrl))
+    .replace("'./assistant-voice-transports.js'", JSON.stringify(transportsUrl));
 const voiceUrl = `data:text/javascript;base64,${Buffer.from(voiceSource).toString('base64')}`;
 const {
+    bindPushToTalk,
     createSemanticVad,
     createServerVad,
     createRealtimeVoiceClient,
@@ -79,6 +87,10 @@ class FakePeerConnection {
         this.tracks.push(track);
     }
 
+    addTransceiver(kind, init) {
+        this.transceivers = [...(this.transceivers || []), { kind, ...init }];
+    }
+
     async createOffer() {
         return { type: 'offer', sdp: 'offer-sdp' };
     }
@@ -97,7 +109,7 @@ class FakePeerConnection {
     }
 }
 
-function browserFixture(fetchImpl) {
+function browserFixture(fetchImpl, overrides = {}) {
     const track = {
         enabled: true,
         stopped: false,
@@ -124,6 +136,7 @@ function browserFixture(fetchImpl) {
         toolEndpoint: '/realtime/tools',
         sessionId: 'voice-session',
         userId: 'user-1',
+        ...overrides,
     });
 
     return { client, track, stream, audio };
@@ -362,4 +375,1000 @@ test('provider tool calls dispatch once and return authoritative output to realt
     const sent = FakePeerConnection.instances.at(-1).channel.sent;
     assert.equal(sent.some((event) => event.type === 'conversation.item.create'), true);
     assert.equal(sent.some((event) => event.type === 'response.create'), true);
+    assert.deepEqual(
+        client.assistant.conversation.getTurns().at(-1).toolCalls.map(({ id, status }) => [id, status]),
+        [['call-42', 'completed']],
+    );
+});
+
+function sdpAnswer() {
+    return new Response(JSON.stringify({
+        success: true,
+        data: { session: { provider: 'openai', sdp: { answer: 'answer-sdp' } } },
+    }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+function toolResult(result, status = 200) {
+    return new Response(JSON.stringify({ success: result.success, message: result.message, data: { result } }), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+    });
+}
+
+test('approval-required tool calls wait for approve and re-dispatch as approved', async () => {
+    const requests = [];
+    const { client } = browserFixture(async (url, request) => {
+        if (url === '/realtime/sdp') return sdpAnswer();
+        const body = JSON.parse(request.body);
+        requests.push({ url, body });
+        if (url.startsWith('/api/v1/ai/provider-tools/approvals/')) {
+            return new Response(JSON.stringify({ success: true, data: {} }), { status: 200 });
+        }
+        return body.approved
+            ? toolResult({ success: true, status: 'completed', message: 'Refund issued.' })
+            : toolResult({
+                success: false,
+                status: 'approval_required',
+                approval_key: 'approval-7',
+                message: 'Issue a refund of 40 USD?',
+            }, 202);
+    });
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    const required = new Promise((resolve) => client.on('tool.approval_required', resolve));
+
+    client.consumeRealtimeEvent({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-refund',
+        name: 'issue_refund',
+        arguments: '{"amount":40}',
+    });
+    const approval = await required;
+
+    assert.equal(approval.reason, 'Issue a refund of 40 USD?');
+    assert.equal(approval.approvalKey, 'approval-7');
+    assert.equal(channel.sent.some((event) => event.item?.type === 'function_call_output'), false);
+    assert.equal(
+        client.assistant.conversation.getTurns().at(-1).toolCalls[0].status,
+        'approval_required',
+    );
+
+    const result = await client.approve('call-refund');
+
+    assert.equal(result.data.result.status, 'completed');
+    assert.deepEqual(requests.map(({ url, body }) => [url, body.approved]), [
+        ['/realtime/tools', false],
+        ['/api/v1/ai/provider-tools/approvals/approval-7/approve', undefined],
+        ['/realtime/tools', true],
+    ]);
+    const output = channel.sent.find((event) => event.item?.type === 'function_call_output');
+    assert.equal(JSON.parse(output.item.output).status, 'completed');
+    assert.deepEqual(client.getPendingApprovals(), []);
+});
+
+test('rejected tool calls return a function output and let the session continue', async () => {
+    const { client } = browserFixture(async (url) => {
+        if (url === '/realtime/sdp') return sdpAnswer();
+        return toolResult({ success: false, status: 'approval_required', message: 'Delete the course?' }, 202);
+    });
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    const required = new Promise((resolve) => client.on('tool.approval_required', resolve));
+    const rejected = [];
+    client.on('tool.rejected', ({ reason }) => rejected.push(reason));
+
+    client.consumeRealtimeEvent({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-delete',
+        name: 'delete_course',
+        arguments: '{}',
+    });
+    await required;
+    await client.reject('call-delete', { reason: 'Not now.' });
+
+    const [output, next] = channel.sent.slice(-2);
+    assert.equal(output.item.call_id, 'call-delete');
+    assert.deepEqual(JSON.parse(output.item.output).status, 'rejected');
+    assert.equal(next.type, 'response.create');
+    assert.deepEqual(rejected, ['Not now.']);
+    await assert.rejects(client.approve('call-delete'), (error) => error.code === 'approval_not_found');
+});
+
+test('needs-input tool calls surface requested fields and resubmit with the answers', async () => {
+    const requests = [];
+    const { client } = browserFixture(async (url, request) => {
+        if (url === '/realtime/sdp') return sdpAnswer();
+        const body = JSON.parse(request.body);
+        requests.push(body.event.arguments);
+        return body.event.arguments.order_id
+            ? toolResult({ success: true, status: 'completed', message: 'Order found.' })
+            : toolResult({
+                success: false,
+                status: 'needs_user_input',
+                message: 'Which order should I look up?',
+                output: { metadata: { required_inputs: ['order_id'] } },
+            }, 202);
+    });
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    const required = new Promise((resolve) => client.on('tool.input_required', resolve));
+
+    client.consumeRealtimeEvent({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-order',
+        name: 'find_order',
+        arguments: '{"store":"web"}',
+    });
+    const prompt = await required;
+
+    assert.equal(prompt.message, 'Which order should I look up?');
+    assert.deepEqual(prompt.fields.map(({ name, required: isRequired }) => [name, isRequired]), [['order_id', true]]);
+    assert.equal(channel.sent.some((event) => event.item?.type === 'function_call_output'), false);
+    assert.equal(client.getPendingInputs()[0].call.id, 'call-order');
+
+    const result = await client.provideInput('call-order', 'A-1042');
+
+    assert.equal(result.data.result.status, 'completed');
+    assert.deepEqual(requests, [{ store: 'web' }, { store: 'web', order_id: 'A-1042' }]);
+    const output = channel.sent.find((event) => event.item?.type === 'function_call_output');
+    assert.equal(output.item.call_id, 'call-order');
+    assert.deepEqual(client.getPendingInputs(), []);
+    await assert.rejects(client.provideInput('call-order', {}), (error) => error.code === 'input_not_found');
+});
+
+test('registered local tools run in the browser and are published to the session', async () => {
+    const toolRequests = [];
+    const { client } = browserFixture(async (url) => {
+        if (url === '/realtime/sdp') {
+            return new Response(JSON.stringify({
+                success: true,
+                data: { session: { provider: 'openai', session: { tools: [{ type: 'function', name: 'agent_chat' }] }, sdp: { answer: 'answer-sdp' } } },
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        }
+        toolRequests.push(url);
+        return toolResult({ success: true, status: 'completed' });
+    });
+    const scrolled = [];
+    client.registerTool('scroll_to_section', {
+        description: 'Scroll the page to a section.',
+        parameters: { type: 'object', properties: { section: { type: 'string' } }, required: ['section'] },
+    }, ({ section }) => {
+        scrolled.push(section);
+        return { success: true, section };
+    });
+    const unregister = client.registerTool('read_selection', () => {
+        throw new Error('Nothing is selected.');
+    });
+
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    const update = channel.sent.find((event) => event.type === 'session.update');
+    assert.deepEqual(update.session.tools.map(({ name }) => name), ['agent_chat', 'scroll_to_section', 'read_selection']);
+
+    const completed = new Promise((resolve) => client.on('tool.completed', resolve));
+    client.consumeRealtimeEvent({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-scroll',
+        name: 'scroll_to_section',
+        arguments: '{"section":"pricing"}',
+    });
+    const { result, local } = await completed;
+
+    assert.deepEqual(scrolled, ['pricing']);
+    assert.equal(local, true);
+    assert.deepEqual(result, { success: true, section: 'pricing' });
+    const [output, next] = channel.sent.slice(-2);
+    assert.equal(output.item.call_id, 'call-scroll');
+    assert.deepEqual(JSON.parse(output.item.output), { success: true, section: 'pricing' });
+    assert.equal(next.type, 'response.create');
+
+    const failed = new Promise((resolve) => client.on('tool.failed', resolve));
+    client.consumeRealtimeEvent({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-read',
+        name: 'read_selection',
+        arguments: '{}',
+    });
+    assert.equal((await failed).error.message, 'Nothing is selected.');
+    assert.equal(JSON.parse(channel.sent.at(-2).item.output).status, 'failed');
+    assert.deepEqual(toolRequests, []);
+
+    unregister();
+    assert.deepEqual(channel.sent.at(-1).session.tools.map(({ name }) => name), ['agent_chat', 'scroll_to_section']);
+    assert.deepEqual(client.getRegisteredTools().map(({ name }) => name), ['scroll_to_section']);
+});
+
+class FakeWebSocket {
+    static instances = [];
+
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+        queueMicrotask(() => {
+            this.readyState = 1;
+            this.onopen?.();
+        });
+    }
+
+    send(payload) {
+        this.sent.push(JSON.parse(payload));
+    }
+
+    receive(message) {
+        this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+}
+
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 48000;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.destination = {};
+        this.sources = [];
+        this.audioWorklet = { addModule: async () => {} };
+    }
+
+    createMediaStreamSource() {
+        return { connect() {}, disconnect() {} };
+    }
+
+    createMediaStreamDestination() {
+        this.recording = { stream: { id: 'playback' } };
+        return this.recording;
+    }
+
+    createBuffer(_channels, length, sampleRate) {
+        return { duration: length / sampleRate, copyToChannel() {} };
+    }
+
+    createBufferSource() {
+        const source = {
+            targets: [],
+            connect(target) { this.targets.push(target); },
+            start() {},
+            stop() { this.stopped = true; },
+            onended: null,
+            stopped: false,
+        };
+        this.sources.push(source);
+        return source;
+    }
+
+    async resume() {}
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+class FakeAudioWorkletNode {
+    static instances = [];
+
+    constructor(context) {
+        this.context = context;
+        this.port = { onmessage: null };
+        FakeAudioWorkletNode.instances.push(this);
+    }
+
+    connect() {}
+
+    disconnect() {}
+}
+
+async function until(predicate) {
+    for (let attempt = 0; attempt < 50 && !predicate(); attempt += 1) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    assert.ok(predicate());
+}
+
+test('Gemini sessions stream PCM over a WebSocket and map server content to voice events', async () => {
+    const requests = [];
+    const track = { enabled: true, stopped: false, stop() { this.stopped = true; } };
+    const stream = { getTracks: () => [track], getAudioTracks: () => [track] };
+    const contexts = [];
+    const client = createRealtimeVoiceClient({
+        fetch: async (url, request) => {
+            requests.push({ url, body: JSON.parse(request.body) });
+            if (url === '/realtime/sessions') {
+                return new Response(JSON.stringify({
+                    success: true,
+                    data: {
+                        session: {
+                            provider: 'gemini',
+                            connect: { websocket: { endpoint: 'wss://gemini.test/live', token: 'ephemeral' } },
+                            payload: { model: 'gemini-live-2.5-flash', responseModalities: ['audio'] },
+                        },
+                    },
+                }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+            }
+            return toolResult({ success: true, status: 'completed', output: { total: 3 } });
+        },
+        mediaDevices: { getUserMedia: async () => stream },
+        WebSocket: FakeWebSocket,
+        AudioContext: class extends FakeAudioContext {
+            constructor() {
+                super();
+                contexts.push(this);
+            }
+        },
+        AudioWorkletNode: FakeAudioWorkletNode,
+        sessionEndpoint: '/realtime/sessions',
+        toolEndpoint: '/realtime/tools',
+        csrfToken: 'csrf',
+    });
+    const states = [];
+    const completed = [];
+    client.on('voice.state', ({ state }) => states.push(state));
+    client.on('assistant.completed', ({ text }) => completed.push(text));
+
+    const connecting = client.connect({ provider: 'gemini', voice: 'Puck' });
+    await until(() => FakeWebSocket.instances.at(-1)?.sent.length === 1);
+    const socket = FakeWebSocket.instances.at(-1);
+    assert.deepEqual(requests[0].body, { provider: 'gemini', voice: 'Puck', transport: 'websocket' });
+    assert.equal(socket.url, 'wss://gemini.test/live?access_token=ephemeral');
+    assert.equal(socket.sent[0].setup.model, 'models/gemini-live-2.5-flash');
+    assert.deepEqual(socket.sent[0].setup.generationConfig, {
+        responseModalities: ['AUDIO'],
+        speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: 'Puck' } } },
+    });
+
+    socket.receive({ setupComplete: {} });
+    await connecting;
+    assert.equal(client.getTransport(), 'gemini');
+    assert.equal(client.isConnected(), true);
+
+    FakeAudioWorkletNode.instances.at(-1).port.onmessage({ data: new Float32Array(4800).fill(0.25) });
+    const { audio } = socket.sent.at(-1).realtimeInput;
+    assert.equal(audio.mimeType, 'audio/pcm;rate=16000');
+    assert.equal(Buffer.from(audio.data, 'base64').length, 3200);
+
+    socket.receive({ serverContent: { inputTranscription: { text: 'What is one plus two?' } } });
+    socket.receive({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: Buffer.alloc(480).toString('base64') } }] } } });
+    socket.receive({ serverContent: { outputTranscription: { text: 'It is three.' } } });
+    socket.receive({ serverContent: { turnComplete: true } });
+    await until(() => completed.length === 1);
+    assert.deepEqual(completed, ['It is three.']);
+    assert.equal(client.getState(), 'speaking');
+
+    const player = contexts.at(-1);
+    assert.equal(client.getRemoteStream(), player.recording.stream);
+    assert.equal(player.sources[0].targets.includes(player.recording), true);
+    player.sources[0].onended();
+    assert.equal(client.getState(), 'listening');
+    assert.deepEqual(states, ['requesting_microphone', 'connecting', 'listening', 'processing', 'speaking', 'listening']);
+
+    socket.receive({ toolCall: { functionCalls: [{ id: 'call-1', name: 'add_numbers', args: { a: 1, b: 2 } }] } });
+    await until(() => socket.sent.some((message) => message.toolResponse));
+    assert.deepEqual(requests.at(-1).body.event, { id: 'call-1', call_id: 'call-1', name: 'add_numbers', arguments: { a: 1, b: 2 } });
+    assert.deepEqual(socket.sent.find((message) => message.toolResponse).toolResponse.functionResponses, [{
+        id: 'call-1',
+        name: 'add_numbers',
+        response: { success: true, status: 'completed', output: { total: 3 } },
+    }]);
+
+    socket.receive({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: 'audio/pcm;rate=24000', data: Buffer.alloc(480).toString('base64') } }] } } });
+    await until(() => client.getState() === 'speaking');
+    socket.receive({ serverContent: { interrupted: true } });
+    await until(() => client.getState() === 'listening');
+    assert.equal(player.sources.at(-1).stopped, true);
+
+    await client.disconnect();
+    assert.equal(track.stopped, true);
+    assert.equal(socket.readyState, 3);
+    assert.equal(client.isConnected(), false);
+});
+
+test('Gemini needs an authenticated socket URL and fixes its tools at setup', async () => {
+    const track = { enabled: true, stopped: false, stop() { this.stopped = true; } };
+    const options = {
+        fetch: async () => new Response(JSON.stringify({
+            success: true,
+            data: {
+                session: {
+                    provider: 'gemini',
+                    connect: { websocket: { endpoint: 'wss://gemini.test/live', auth: 'api_key_or_ephemeral_token' } },
+                    payload: { model: 'gemini-live-2.5-flash', responseModalities: ['audio'] },
+                },
+            },
+        }), { status: 200, headers: { 'Content-Type': 'application/json' } }),
+        mediaDevices: { getUserMedia: async () => ({ getTracks: () => [track], getAudioTracks: () => [track] }) },
+        WebSocket: FakeWebSocket,
+        AudioContext: FakeAudioContext,
+        AudioWorkletNode: FakeAudioWorkletNode,
+    };
+    const sockets = FakeWebSocket.instances.length;
+
+    const unauthenticated = createRealtimeVoiceClient(options);
+    await assert.rejects(unauthenticated.connect({ provider: 'gemini' }), (error) => error.code === 'socket_url_required');
+    assert.equal(FakeWebSocket.instances.length, sockets);
+    assert.equal(track.stopped, true);
+
+    const client = createRealtimeVoiceClient({
+        ...options,
+        resolveSocketUrl: async (descriptor) => `${descriptor.connect.websocket.endpoint}?access_token=relay`,
+    });
+    client.registerTool('scroll_to', { description: 'Scroll the page.' }, () => ({ success: true }));
+    const connecting = client.connect({ provider: 'gemini' });
+    await until(() => FakeWebSocket.instances.at(-1)?.sent.length === 1);
+    const socket = FakeWebSocket.instances.at(-1);
+    assert.equal(socket.url, 'wss://gemini.test/live?access_token=relay');
+    assert.deepEqual(socket.sent[0].setup.tools[0].functionDeclarations.map(({ name }) => name), ['scroll_to']);
+    socket.receive({ setupComplete: {} });
+    await connecting;
+
+    assert.throws(
+        () => client.registerTool('open_panel', () => ({ success: true })),
+        (error) => error.code === 'session_update_unsupported',
+    );
+    assert.throws(() => client.unregisterTool('scroll_to'), (error) => error.code === 'session_update_unsupported');
+    assert.deepEqual(client.getRegisteredTools().map(({ name }) => name), ['scroll_to']);
+    assert.equal(socket.sent.length, 1);
+    await client.disconnect();
+});
+
+test('blocked WebRTC falls back to an OpenAI WebSocket session with local audio', async () => {
+    class SilentPeerConnection extends FakePeerConnection {
+        async setRemoteDescription(answer) {
+            this.remoteDescription = answer;
+        }
+    }
+    const timers = [];
+    const requests = [];
+    let microphoneRequests = 0;
+    const track = { enabled: true, stopped: false, stop() { this.stopped = true; } };
+    const stream = { getTracks: () => [track], getAudioTracks: () => [track] };
+    const contexts = [];
+    const client = createRealtimeVoiceClient({
+        fetch: async (url, request) => {
+            requests.push({ url, body: JSON.parse(request.body) });
+            if (url === '/realtime/sdp') return sdpAnswer();
+            return new Response(JSON.stringify({
+                success: true,
+                data: {
+                    session: {
+                        provider: 'openai',
+                        connect: { websocket: { endpoint: 'wss://api.openai.test/v1/realtime?model=gpt-realtime' } },
+                        client_secret: { response: { value: 'ek_test' } },
+                    },
+                },
+            }), { status: 200, headers: { 'Content-Type': 'application/json' } });
+        },
+        mediaDevices: {
+            getUserMedia: async () => {
+                microphoneRequests += 1;
+                return stream;
+            },
+        },
+        RTCPeerConnection: SilentPeerConnection,
+        createAudio: () => ({ pause() {} }),
+        WebSocket: FakeWebSocket,
+        AudioContext: class extends FakeAudioContext {
+            constructor() {
+                super();
+                contexts.push(this);
+            }
+        },
+        AudioWorkletNode: FakeAudioWorkletNode,
+        sdpEndpoint: '/realtime/sdp',
+        sessionEndpoint: '/realtime/sessions',
+        connectTimeoutMs: 1000,
+        negotiationTimeoutMs: 5000,
+        setTimeout: (callback, ms) => timers.push({ callback, ms }),
+        clearTimeout: () => {},
+    });
+    const phases = [];
+    client.on('voice.phase', ({ phase, transport }) => phases.push(`${phase}:${transport || ''}`));
+
+    const connecting = client.connect({ model: 'gpt-realtime' });
+    await until(() => timers.some(({ ms }) => ms === 1000));
+    const sockets = FakeWebSocket.instances.length;
+    timers.find(({ ms }) => ms === 1000).callback();
+    await until(() => FakeWebSocket.instances.length > sockets);
+    const socket = FakeWebSocket.instances.at(-1);
+    await until(() => socket.readyState === 1);
+    socket.receive({ type: 'session.created', session: {} });
+    await connecting;
+
+    assert.equal(client.getTransport(), 'websocket');
+    assert.equal(microphoneRequests, 1);
+    assert.equal(track.stopped, false);
+    assert.equal(FakePeerConnection.instances.at(-1).closed, true);
+    assert.deepEqual(phases, [
+        'creating_connection:webrtc',
+        'negotiating:webrtc',
+        'securing:webrtc',
+        'falling_back:websocket',
+        'creating_connection:websocket',
+        'negotiating:websocket',
+        'securing:websocket',
+    ]);
+    assert.deepEqual(requests.at(-1), {
+        url: '/realtime/sessions',
+        body: { model: 'gpt-realtime', transport: 'websocket', mint_client_secret: true },
+    });
+    assert.equal(socket.url, 'wss://api.openai.test/v1/realtime?model=gpt-realtime');
+    assert.deepEqual(socket.protocols, ['realtime', 'openai-insecure-api-key.ek_test']);
+
+    FakeAudioWorkletNode.instances.at(-1).port.onmessage({ data: new Float32Array(4800) });
+    const append = socket.sent.at(-1);
+    assert.equal(append.type, 'input_audio_buffer.append');
+    assert.equal(Buffer.from(append.audio, 'base64').length, 4800);
+
+    socket.receive({ type: 'response.created', response: { id: 'resp-1' } });
+    socket.receive({ type: 'response.output_audio.delta', response_id: 'resp-1', delta: Buffer.alloc(480).toString('base64') });
+    await until(() => client.getState() === 'speaking');
+    const player = contexts.at(-1);
+    assert.equal(player.sources.length, 1);
+
+    socket.receive({ type: 'input_audio_buffer.speech_started' });
+    await until(() => socket.sent.some(({ type }) => type === 'response.cancel'));
+    assert.equal(player.sources[0].stopped, true);
+    assert.equal(socket.sent.some(({ type }) => type === 'output_audio_buffer.clear'), false);
+
+    assert.equal(client.speak('One moment.'), true);
+    assert.equal(socket.sent.at(-1).type, 'response.create');
+
+    await client.disconnect();
+    assert.equal(track.stopped, true);
+    assert.equal(socket.readyState, 3);
+});
+
+test('text-only sessions skip the microphone and exchange typed turns over the data channel', async () => {
+    const requests = [];
+    const client = createRealtimeVoiceClient({
+        fetch: async (url, request) => {
+            requests.push(JSON.parse(request.body));
+            return sdpAnswer();
+        },
+        mediaDevices: {},
+        RTCPeerConnection: FakePeerConnection,
+        createAudio: () => assert.fail('text-only sessions should not create an audio element'),
+        sdpEndpoint: '/realtime/sdp',
+        textOnly: true,
+    });
+    const states = [];
+    const completed = [];
+    client.on('voice.state', ({ state }) => states.push(state));
+    client.on('assistant.completed', ({ text }) => completed.push(text));
+
+    await client.connect({ model: 'gpt-realtime' });
+    const peer = FakePeerConnection.instances.at(-1);
+    assert.equal(requests[0].modalities[0], 'text');
+    assert.deepEqual(peer.tracks, []);
+    assert.deepEqual(peer.transceivers, [{ kind: 'audio', direction: 'recvonly' }]);
+    assert.equal(client.isTextOnly(), true);
+
+    assert.equal(client.sendText('  Where is my order?  '), true);
+    assert.deepEqual(peer.channel.sent.slice(-2), [
+        {
+            type: 'conversation.item.create',
+            item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Where is my order?' }] },
+        },
+        { type: 'response.create', response: { output_modalities: ['text'] } },
+    ]);
+    assert.equal(client.sendText(' '), false);
+
+    client.consumeRealtimeEvent({ type: 'response.created', response: { id: 'resp-text' } });
+    client.consumeRealtimeEvent({ type: 'response.output_text.delta', delta: 'It ships today.' });
+    client.consumeRealtimeEvent({
+        type: 'response.done',
+        response: { id: 'resp-text', output: [{ type: 'message', content: [{ type: 'output_text', text: 'It ships today.' }] }] },
+    });
+
+    assert.deepEqual(completed, ['It ships today.']);
+    assert.deepEqual(states, ['connecting', 'listening', 'processing', 'listening']);
+    assert.deepEqual(
+        client.assistant.conversation.getTurns().map(({ role, text }) => `${role}: ${text}`),
+        ['user: Where is my order?', 'assistant: It ships today.'],
+    );
+    assert.equal(client.speak('Spoken only in audio sessions.'), false);
+    await client.disconnect();
+});
+
+test('push-to-talk disables turn detection and commits the buffer when the key is released', async () => {
+    const { client, track } = browserFixture(async () => sdpAnswer(), { pushToTalk: true });
+    const talking = [];
+    client.on('voice.talking', (payload) => talking.push(payload));
+
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    assert.equal(track.enabled, false);
+    assert.deepEqual(channel.sent.at(-1), {
+        type: 'session.update',
+        session: { type: 'realtime', audio: { input: { turn_detection: null } } },
+    });
+
+    const target = new EventTarget();
+    const key = (type, init = {}) => target.dispatchEvent(Object.assign(new Event(type), { key: ' ', ...init }));
+    const unbind = bindPushToTalk(client, { target });
+
+    key('keydown');
+    key('keydown', { repeat: true });
+    assert.equal(client.isTalking(), true);
+    assert.equal(track.enabled, true);
+    assert.equal(channel.sent.at(-1).type, 'input_audio_buffer.clear');
+
+    key('keyup');
+    assert.equal(track.enabled, false);
+    assert.deepEqual(channel.sent.slice(-2).map(({ type }) => type), ['input_audio_buffer.commit', 'response.create']);
+    assert.equal(client.getState(), 'processing');
+
+    key('keydown');
+    key('keydown', { key: 'Escape' });
+    assert.equal(client.isTalking(), false);
+    assert.equal(track.enabled, false);
+    assert.deepEqual(channel.sent.slice(-2).map(({ type }) => type), ['input_audio_buffer.clear', 'input_audio_buffer.clear']);
+    assert.equal(client.getState(), 'listening');
+    assert.deepEqual(talking, [
+        { talking: true },
+        { talking: false, committed: true },
+        { talking: true },
+        { talking: false, cancelled: true },
+    ]);
+
+    unbind();
+    key('keydown');
+    assert.equal(client.isTalking(), false);
+    await client.disconnect();
+
+    const gemini = createRealtimeVoiceClient({
+        fetch: async () => assert.fail('push-to-talk should be rejected before connecting'),
+        mediaDevices: { getUserMedia: async () => assert.fail('no microphone prompt expected') },
+        WebSocket: FakeWebSocket,
+        AudioContext: FakeAudioContext,
+        pushToTalk: true,
+    });
+    await assert.rejects(
+        gemini.connect({ provider: 'gemini' }),
+        (error) => error.code === 'push_to_talk_unsupported',
+    );
+});
+
+test('typed session updates wait for session.updated and reject on provider errors', async () => {
+    const { client } = browserFixture(async () => sdpAnswer());
+    const errors = [];
+    client.on('voice.error', ({ error }) => errors.push(error));
+    await client.connect();
+    const channel = FakePeerConnection.instances.at(-1).channel;
+    client.registerTool('scroll_to', () => ({ success: true }));
+
+    const instructions = client.setInstructions('Answer in strict mode.');
+    const sent = channel.sent.at(-1);
+    assert.deepEqual(sent, {
+        type: 'session.update',
+        event_id: sent.event_id,
+        session: { type: 'realtime', instructions: 'Answer in strict mode.' },
+    });
+    // The untracked tool publish is acknowledged first and must not settle the typed update.
+    client.consumeRealtimeEvent({ type: 'session.updated', session: { tools: [] } });
+    client.consumeRealtimeEvent({ type: 'session.updated', session: { instructions: 'Answer in strict mode.' } });
+    assert.deepEqual(await instructions, { instructions: 'Answer in strict mode.' });
+
+    const voice = client.setVoice('cedar');
+    assert.deepEqual(channel.sent.at(-1).session.audio, { output: { voice: 'cedar' } });
+    client.consumeRealtimeEvent({
+        type: 'error',
+        error: { code: 'cannot_update_voice', message: 'Voice cannot change after audio.', event_id: channel.sent.at(-1).event_id },
+    });
+    await assert.rejects(voice, (error) => error.code === 'cannot_update_voice');
+    assert.deepEqual(errors, []);
+    assert.equal(client.getState(), 'listening');
+
+    const updates = [client.setTurnDetection(createServerVad({ silenceDurationMs: 600 }))];
+    assert.equal(channel.sent.at(-1).session.audio.input.turn_detection.silence_duration_ms, 600);
+    updates.push(client.setTranscriptionModel('gpt-4o-transcribe'));
+    assert.deepEqual(channel.sent.at(-1).session.audio.input.transcription, { model: 'gpt-4o-transcribe' });
+    updates.push(client.setTools([{ type: 'function', name: 'lookup_order' }]));
+    assert.deepEqual(channel.sent.at(-1).session.tools.map(({ name }) => name), ['lookup_order', 'scroll_to']);
+    for (const _update of updates) client.consumeRealtimeEvent({ type: 'session.updated', session: {} });
+    assert.equal((await Promise.all(updates)).length, 3);
+
+    const pending = client.setInstructions('Never resolved.');
+    await client.disconnect();
+    await assert.rejects(pending, (error) => error.code === 'channel_closed');
+});
+
+class MonitoredPeerConnection extends FakePeerConnection {
+    constructor() {
+        super();
+        this.connectionState = 'new';
+        this.offers = [];
+    }
+
+    async createOffer(init = {}) {
+        this.offers.push(init);
+        return super.createOffer();
+    }
+
+    async setRemoteDescription(answer) {
+        await super.setRemoteDescription(answer);
+        this.setState('connected');
+    }
+
+    setState(value) {
+        this.connectionState = value;
+        this.onconnectionstatechange?.();
+    }
+
+    async getStats() {
+        return new Map([
+            ['pair', { type: 'candidate-pair', state: 'succeeded', nominated: true, currentRoundTripTime: 0.042 }],
+            ['in', { type: 'inbound-rtp', kind: 'audio', jitter: 0.005, packetsReceived: 90, packetsLost: 10, audioLevel: 0.2 }],
+            ['mic', { type: 'media-source', kind: 'audio', audioLevel: 0.4 }],
+        ]);
+    }
+}
+
+test('connection health sampling, ICE restarts, and reconnects that keep the conversation', async () => {
+    const requests = [];
+    let refuseRestart = false;
+    const { client } = browserFixture(async (_url, request) => {
+        const body = JSON.parse(request.body);
+        requests.push(body);
+        if (body.ice_restart && refuseRestart) {
+            return new Response(JSON.stringify({
+                success: false,
+                message: 'Realtime provider [openai] cannot renegotiate an existing call.',
+                error: { code: 'ice_restart_unsupported', provider: 'openai' },
+            }), { status: 409 });
+        }
+        return sdpAnswer();
+    }, { RTCPeerConnection: MonitoredPeerConnection, disconnectGraceMs: 0, qualityIntervalMs: 250 });
+    const qualities = [];
+    const recovered = [];
+    const phases = [];
+    client.on('voice.quality', (quality) => qualities.push(quality));
+    client.on('voice.recovered', (payload) => recovered.push(payload));
+    client.on('voice.phase', ({ phase }) => phases.push(phase));
+
+    await client.connect({ provider: 'openai' });
+    await until(() => qualities.length === 1);
+    assert.deepEqual(qualities[0], {
+        rttMs: 42,
+        jitterMs: 5,
+        packetLoss: 0.1,
+        inputLevel: 0.4,
+        outputLevel: 0.2,
+        packetsReceived: 90,
+        packetsLost: 10,
+        transport: 'webrtc',
+    });
+
+    const peer = FakePeerConnection.instances.at(-1);
+    peer.setState('disconnected');
+    await until(() => recovered.length === 1);
+    assert.deepEqual(recovered[0], { strategy: 'ice_restart', reason: 'disconnected' });
+    assert.deepEqual(peer.offers.at(-1), { iceRestart: true });
+    assert.equal(requests.at(-1).ice_restart, true);
+    assert.equal(FakePeerConnection.instances.at(-1), peer);
+
+    client.assistant.conversation.add({ role: 'user', text: 'Book a table for two.' });
+    client.assistant.conversation.add({ role: 'assistant', text: 'Booked for seven.' });
+    client.assistant.conversation.add({ role: 'assistant', text: 'Half a sentence', status: 'cancelled' });
+    refuseRestart = true;
+    peer.setState('failed');
+    await until(() => recovered.length === 2);
+
+    const replacement = FakePeerConnection.instances.at(-1);
+    assert.notEqual(replacement, peer);
+    assert.equal(peer.closed, true);
+    assert.deepEqual(recovered[1], { strategy: 'reconnect', reason: 'failed', restoredTurns: 2 });
+    assert.deepEqual(replacement.channel.sent.map(({ item }) => `${item.role}: ${item.content[0].type}`), [
+        'user: input_text',
+        'assistant: output_text',
+    ]);
+    assert.equal(requests.at(-1).ice_restart, undefined);
+    assert.deepEqual(phases.filter((phase) => ['restarting_ice', 'reconnecting'].includes(phase)), [
+        'restarting_ice',
+        'restarting_ice',
+        'reconnecting',
+    ]);
+    assert.equal(client.getState(), 'listening');
+    assert.equal(client.assistant.conversation.getTurns().length, 3);
+
+    // An endpoint that refused to renegotiate is not asked again.
+    const sent = requests.length;
+    replacement.setState('failed');
+    await until(() => recovered.length === 3);
+    assert.equal(recovered[2].strategy, 'reconnect');
+    assert.deepEqual(requests.slice(sent).map(({ ice_restart: iceRestart }) => iceRestart), [undefined]);
+
+    await client.disconnect();
+    assert.equal(client.getQuality(), null);
+});
+
+test('microphones hot-swap with replaceTrack and an unplugged headset falls back to the default', async () => {
+    const tracks = [];
+    const deviceListeners = new Set();
+    let devices = [
+        { kind: 'audioinput', deviceId: 'default', label: 'Default' },
+        { kind: 'audioinput', deviceId: 'headset', label: 'Headset' },
+        { kind: 'audiooutput', deviceId: 'speakers', label: 'Speakers' },
+    ];
+    const mediaDevices = {
+        getUserMedia: async ({ audio }) => {
+            const deviceId = audio.deviceId?.exact || 'default';
+            const track = {
+                kind: 'audio',
+                label: deviceId,
+                enabled: true,
+                readyState: 'live',
+                stopped: false,
+                stop() { this.stopped = true; },
+                getSettings: () => ({ deviceId }),
+            };
+            tracks.push(track);
+            return { getTracks: () => [track], getAudioTracks: () => [track] };
+        },
+        enumerateDevices: async () => devices,
+        addEventListener: (_name, listener) => deviceListeners.add(listener),
+        removeEventListener: (_name, listener) => deviceListeners.delete(listener),
+    };
+    class SenderPeerConnection extends FakePeerConnection {
+        addTrack(track) {
+            super.addTrack(track);
+            this.sender = { track, replaceTrack: async (next) => { this.sender.track = next; } };
+        }
+
+        getSenders() {
+            return [this.sender];
+        }
+    }
+    const sinks = [];
+    const client = createRealtimeVoiceClient({
+        fetch: async () => sdpAnswer(),
+        mediaDevices,
+        RTCPeerConnection: SenderPeerConnection,
+        createAudio: () => ({ pause() {}, setSinkId: async (id) => { sinks.push(id); } }),
+        inputDeviceId: 'headset',
+        outputDeviceId: 'speakers',
+    });
+    const switched = [];
+    client.on('voice.input_device', ({ deviceId }) => switched.push(deviceId));
+
+    await client.connect({ provider: 'openai' });
+    const peer = FakePeerConnection.instances.at(-1);
+    assert.equal(tracks[0].label, 'headset');
+    assert.deepEqual(sinks, ['speakers']);
+    assert.deepEqual((await client.listInputDevices()).map(({ deviceId }) => deviceId), ['default', 'headset']);
+
+    client.mute();
+    await client.setInputDevice('default');
+    assert.equal(peer.sender.track, tracks[1]);
+    assert.equal(tracks[0].stopped, true);
+    assert.equal(tracks[1].enabled, false);
+    assert.equal(FakePeerConnection.instances.at(-1), peer);
+    client.unmute();
+    await client.setInputDevice('headset');
+    assert.equal(peer.sender.track.label, 'headset');
+
+    devices = devices.filter(({ deviceId }) => deviceId !== 'headset');
+    tracks[2].readyState = 'ended';
+    tracks[2].onended();
+    await until(() => switched.length === 3);
+    assert.equal(peer.sender.track.label, 'default');
+    assert.equal(client.getInputDevice(), 'headset');
+
+    devices = [...devices, { kind: 'audioinput', deviceId: 'headset', label: 'Headset' }];
+    for (const listener of deviceListeners) listener();
+    await until(() => switched.length === 4);
+    assert.deepEqual(switched, ['default', 'headset', 'default', 'headset']);
+    assert.equal(peer.sender.track, tracks.at(-1));
+
+    assert.equal(await client.setOutputDevice(null), null);
+    assert.equal(sinks.at(-1), '');
+    await client.disconnect();
+    assert.equal(deviceListeners.size, 0);
+});
+
+class MeterAudioContext extends FakeAudioContext {
+    static instances = [];
+
+    constructor() {
+        super();
+        MeterAudioContext.instances.push(this);
+    }
+
+    createMediaStreamSource(stream) {
+        return { stream, connect() {}, disconnect() { this.disconnected = true; } };
+    }
+
+    createAnalyser() {
+        return {
+            fftSize: 2048,
+            getFloatTimeDomainData: (buffer) => buffer.fill(0.25),
+            disconnect() {},
+        };
+    }
+}
+
+test('level metering reports microphone and assistant audio, honours mute, and stops on disconnect', async () => {
+    const { client } = browserFixture(async () => sdpAnswer(), {
+        levels: true,
+        levelIntervalMs: 16,
+        AudioContext: MeterAudioContext,
+    });
+    const levels = [];
+    client.on('voice.level', (level) => levels.push(level));
+
+    await client.connect({ provider: 'openai' });
+    await until(() => levels.length > 0);
+    assert.deepEqual(levels.at(-1), { input: { rms: 0.25, peak: 0.25 }, output: null });
+
+    FakePeerConnection.instances.at(-1).ontrack({ streams: [{ id: 'remote' }] });
+    assert.equal(client.getRemoteStream().id, 'remote');
+    assert.equal(client.getMicrophoneStream().getTracks().length, 1);
+    client.mute();
+    const seen = levels.length;
+    await until(() => levels.length > seen);
+    assert.deepEqual(levels.at(-1), { input: { rms: 0, peak: 0 }, output: { rms: 0.25, peak: 0.25 } });
+
+    await client.disconnect();
+    const [meterContext] = MeterAudioContext.instances;
+    assert.equal(meterContext.state, 'closed');
+    const stopped = levels.length;
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(levels.length, stopped);
+});
+
+test('a voice session over its token budget reports the error and disconnects', async () => {
+    const { client, track } = browserFixture(async () => sdpAnswer(), {
+        budget: { maxTokens: 1000, action: 'disconnect' },
+    });
+    const errors = [];
+    const updates = [];
+    client.on('voice.error', ({ error }) => errors.push(error.code));
+    client.on('usage.updated', ({ session }) => updates.push(session.totalTokens));
+    await client.connect();
+
+    const usage = { total_tokens: 600, input_tokens: 500, output_tokens: 100 };
+    client.consumeRealtimeEvent({ type: 'response.done', response: { id: 'resp-1', status: 'completed', usage } });
+    await until(() => updates.length === 1);
+    assert.equal(client.isConnected(), true);
+
+    client.consumeRealtimeEvent({ type: 'response.done', response: { id: 'resp-2', status: 'completed', usage } });
+    await until(() => client.getState() === 'idle');
+    assert.deepEqual(updates, [600, 1200]);
+    assert.deepEqual(errors, ['budget_exceeded']);
+    assert.equal(track.stopped, true);
+    assert.equal(client.getUsage().session.totalTokens, 1200);
+});
+
+test('close ends the session, drops the device listener, and closes only a built assistant client', async () => {
+    const deviceListeners = new Set();
+    const track = { kind: 'audio', enabled: true, stop() {} };
+    const mediaDevices = {
+        getUserMedia: async () => ({ getTracks: () => [track], getAudioTracks: () => [track] }),
+        enumerateDevices: async () => [],
+        addEventListener: (_name, listener) => deviceListeners.add(listener),
+        removeEventListener: (_name, listener) => deviceListeners.delete(listener),
+    };
+    const build = (extra = {}) => createRealtimeVoiceClient({
+        fetch: async () => sdpAnswer(),
+        mediaDevices,
+        RTCPeerConnection: FakePeerConnection,
+        createAudio: () => ({ pause() {} }),
+        ...extra,
+    });
+
+    const client = build();
+    await client.connect({ provider: 'openai' });
+    assert.equal(deviceListeners.size, 1);
+    await client.close();
+    assert.equal(deviceListeners.size, 0);
+    assert.equal(client.getState(), 'idle');
+
+    const injected = build({
+        assistantClient: { on: () => () => {}, close: () => assert.fail('An injected assistant client must stay open.') },
+    });
+    await injected.close();
 });
@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+import { createRegistry, installFakeDom, mount, unmount } from './fake-dom.mjs';
+
+installFakeDom();
+
+async function source(name) {
+    return readFile(new URL(`../../resources/assets/${name}`, import.meta.url), 'utf8');
+}
+
+function dataUrl(code) {
+    return `data:text/javascript;base64,${Buffer.from(code).toString('base64')}`;
+}
+
+const assistantUrl = dataUrl(await source('assistant-client.js'));
+const transportsUrl = dataUrl(await source('assistant-voice-transports.js'));
+const voiceUrl = dataUrl((await source('assistant-voice-client.js'))
+    .replace("'./assistant-client.js'", JSON.stringify(assistantUrl))
+    .replace("'./assistant-voice-transports.js'", JSON.stringify(transportsUrl)));
+const {
+    VoiceButtonElement,
+    defineVoiceButtonElement,
+} = await import(dataUrl((await source('assistant-voice-element.js')).replace(
+    "'./assistant-voice-client.js'",
+    JSON.stringify(voiceUrl),
+)));
+const { createRealtimeVoiceClient } = await import(voiceUrl);
+const { createVoiceTestKit } = await import(dataUrl(await source('assistant-voice-testing.js')));
+
+const VoiceButton = defineVoiceButtonElement('test-voice', createRegistry());
+
+async function until(predicate, attempts = 50) {
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+        if (predicate()) return;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    assert.fail('Condition was not met.');
+}
+
+function mountWithKit(attributes = {}, options = {}) {
+    const kit = createVoiceTestKit();
+    const element = mount(VoiceButton, attributes);
+    element.client = createRealtimeVoiceClient({ ...kit.options, qualityIntervalMs: false, levels: false, ...options });
+    const part = (name) => element.shadowRoot.querySelector(`.${name}`);
+    return { kit, element, part };
+}
+
+test('the voice button registers once per tag name and renders idle', () => {
+    const registry = createRegistry();
+    const first = defineVoiceButtonElement('support-voice', registry);
+    assert.equal(defineVoiceButtonElement('support-voice', registry), first);
+    assert.equal(first.prototype instanceof VoiceButtonElement, true);
+
+    const { element, part } = mountWithKit();
+    assert.equal(element.getAttribute('state'), 'idle');
+    assert.equal(part('toggle').textContent, 'Start voice');
+    assert.equal(part('toggle').getAttribute('aria-pressed'), 'false');
+    assert.equal(part('mute').hidden, true);
+    assert.equal(part('interrupt').hidden, true);
+    assert.equal(part('resume').hidden, true);
+});
+
+test('the toggle connects with the attribute session, then mute and interrupt drive the client', async () => {
+    const { kit, element, part } = mountWithKit({ voice: 'marin', provider: 'openai' });
+    const states = [];
+    element.addEventListener('ai-voice-state', ({ detail }) => states.push(detail.state));
+
+    part('toggle').click();
+    await until(() => element.getAttribute('state') === 'listening');
+
+    assert.equal(kit.requests[0].body.voice, 'marin');
+    assert.equal(kit.requests[0].body.provider, 'openai');
+    assert.equal(part('toggle').textContent, 'End voice');
+    assert.equal(part('toggle').getAttribute('aria-pressed'), 'true');
+    assert.equal(part('mute').hidden, false);
+
+    part('mute').click();
+    assert.equal(element.client.isMuted(), true);
+    assert.equal(part('mute').textContent, 'Unmute');
+    assert.equal(part('mute').getAttribute('aria-pressed'), 'true');
+    part('mute').click();
+    assert.equal(part('mute').textContent, 'Mute');
+
+    kit.receive({ type: 'output_audio_buffer.started' });
+    assert.equal(element.getAttribute('state'), 'speaking');
+    assert.equal(part('interrupt').hidden, false);
+
+    part('interrupt').click();
+    assert.deepEqual(kit.sent().slice(-2).map(({ type }) => type), ['response.cancel', 'output_audio_buffer.clear']);
+    assert.equal(element.getAttribute('state'), 'listening');
+    assert.equal(part('interrupt').hidden, true);
+
+    part('toggle').click();
+    await until(() => element.getAttribute('state') === 'idle');
+    assert.equal(part('mute').hidden, true);
+    assert.equal(states.includes('connecting'), true);
+    assert.equal(kit.tracks[0].stopped, true);
+});
+
+test('blocked playback shows a tap-to-resume prompt until audio plays', async () => {
+    let allowed = false;
+    const audio = {
+        srcObject: null,
+        play: async () => {
+            if (!allowed) throw Object.assign(new Error('play() needs a user gesture'), { name: 'NotAllowedError' });
+        },
+        pause() {},
+    };
+    const { element, part } = mountWithKit({}, { createAudio: () => audio });
+
+    await element.start();
+    await until(() => !part('resume').hidden);
+    assert.equal(part('resume').textContent, 'Tap to hear the assistant');
+
+    allowed = true;
+    part('resume').click();
+    await until(() => part('resume').hidden);
+    await element.stop();
+});
+
+test('connection failures show a readable error and reset the toggle', async () => {
+    const { kit, element, part } = mountWithKit();
+    kit.options.mediaDevices.getUserMedia = async () => {
+        throw Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+    };
+    const errors = [];
+    element.addEventListener('ai-voice-error', ({ detail }) => errors.push(detail.message));
+
+    assert.equal(await element.start(), null);
+
+    assert.equal(part('error').hidden, false);
+    assert.equal(part('error').textContent, 'Microphone access was blocked. Allow it in the browser settings and try again.');
+    assert.deepEqual(errors, [part('error').textContent]);
+    assert.equal(part('toggle').getAttribute('aria-pressed'), 'false');
+    unmount(element);
+});
+
+test('removing the element or changing its attributes closes a client it built but not an injected one', async () => {
+    const element = mount(VoiceButton, { 'session-id': 'session-1' });
+    const closed = [];
+    const built = element.client;
+    built.close = async () => closed.push('first');
+
+    element.setAttribute('session-id', 'session-2');
+    assert.deepEqual(closed, ['first']);
+    const rebuilt = element.client;
+    assert.notEqual(rebuilt, built);
+    rebuilt.close = async () => closed.push('second');
+
+    unmount(element);
+    assert.deepEqual(closed, ['first', 'second']);
+
+    const { element: injectedElement } = mountWithKit();
+    const injected = injectedElement.client;
+    injected.close = () => assert.fail('An injected client must not be closed by the element.');
+    unmount(injectedElement);
+    assert.equal(injectedElement.client, injected);
+});
@@ -0,0 +1,174 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+const recorderSource = await readFile(
+    new URL('../../resources/assets/assistant-voice-recorder.js', import.meta.url),
+    'utf8',
+);
+const {
+    createVoiceRecorder,
+    transcriptToMarkdown,
+    transcriptToWebVtt,
+} = await import(`data:text/javascript;base64,${Buffer.from(recorderSource).toString('base64')}`);
+
+function fakeClient(streams) {
+    const listeners = new Map();
+    return {
+        streams,
+        on(name, listener) {
+            const current = listeners.get(name) || new Set();
+            current.add(listener);
+            listeners.set(name, current);
+            return () => current.delete(listener);
+        },
+        emit(name, payload = {}) {
+            for (const listener of listeners.get(name) || []) listener(payload);
+        },
+        listenerCount: () => [...listeners.values()].reduce((total, current) => total + current.size, 0),
+        getMicrophoneStream: () => streams.input,
+        getRemoteStream: () => streams.output,
+    };
+}
+
+class FakeRecordingContext {
+    static instances = [];
+
+    constructor() {
+        this.sources = [];
+        this.state = 'running';
+        FakeRecordingContext.instances.push(this);
+    }
+
+    createMediaStreamDestination() {
+        return { stream: { id: 'mixed' } };
+    }
+
+    createMediaStreamSource(stream) {
+        const source = { stream, connect(target) { this.target = target; }, disconnect() { this.disconnected = true; } };
+        this.sources.push(source);
+        return source;
+    }
+
+    async close() {
+        this.state = 'closed';
+    }
+}
+
+class FakeMediaRecorder {
+    constructor(stream, options) {
+        this.stream = stream;
+        this.mimeType = options?.mimeType || 'audio/webm';
+        this.state = 'inactive';
+    }
+
+    start(timeslice) {
+        this.timeslice = timeslice;
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.ondataavailable({ data: new Blob(['audio-bytes']) });
+        this.onstop();
+    }
+}
+
+test('the recorder mixes both streams and exports an interleaved transcript bundle', async () => {
+    let clockMs = Date.parse('2026-10-01T09:00:00.000Z');
+    const client = fakeClient({ input: { id: 'mic' }, output: null });
+    const recorder = createVoiceRecorder(client, {
+        MediaRecorder: FakeMediaRecorder,
+        AudioContext: FakeRecordingContext,
+        mimeType: 'audio/ogg',
+        now: () => clockMs,
+    });
+    const at = (ms) => { clockMs = Date.parse('2026-10-01T09:00:00.000Z') + ms; };
+
+    assert.equal(recorder.start(), true);
+    assert.equal(recorder.start(), false);
+    const [context] = FakeRecordingContext.instances;
+    assert.deepEqual(context.sources.map(({ stream }) => stream.id), ['mic']);
+
+    at(1000);
+    client.emit('realtime.event', { event: { type: 'input_audio_buffer.speech_started' } });
+    at(2500);
+    client.emit('transcription.final', { text: 'Where is order <42>?', itemId: 'item-1' });
+    at(2600);
+    client.emit('realtime.event', { event: { type: 'response.created' } });
+    client.streams.output = { id: 'remote' };
+    client.emit('voice.remote_stream', { stream: client.streams.output });
+    at(2700);
+    client.emit('tool.call', { call: { id: 'call-1', name: 'lookup_order', arguments: '{"id":42}' } });
+    at(3200);
+    client.emit('tool.completed', { call: { id: 'call-1', name: 'lookup_order' }, status: 'completed', text: 'Shipped.' });
+    at(5000);
+    client.emit('assistant.completed', { text: 'It shipped yesterday.' });
+    at(6000);
+
+    const bundle = await recorder.stop();
+    assert.equal(recorder.isRecording(), false);
+    assert.equal(client.listenerCount(), 0);
+    assert.equal(context.state, 'closed');
+    assert.deepEqual(context.sources.map(({ stream }) => stream.id), ['mic', 'remote']);
+    assert.equal(bundle.audio.type, 'audio/ogg');
+    assert.equal(await bundle.audio.text(), 'audio-bytes');
+    assert.equal(bundle.startedAt, '2026-10-01T09:00:00.000Z');
+    assert.equal(bundle.durationMs, 6000);
+
+    assert.deepEqual(bundle.entries.map(({ kind, startMs, endMs }) => [kind, startMs, endMs]), [
+        ['speech', 1000, 2500],
+        ['speech', 2600, 5000],
+        ['tool_call', 2700, 2700],
+        ['tool_result', 3200, 3200],
+    ]);
+    assert.deepEqual(JSON.parse(bundle.transcript.json).entries[2].arguments, { id: 42 });
+    assert.equal(bundle.transcript.vtt, [
+        'WEBVTT',
+        '1\n00:00:01.000 --> 00:00:02.500\n<v User>Where is order &lt;42&gt;?',
+        '2\n00:00:02.600 --> 00:00:05.000\n<v Assistant>It shipped yesterday.',
+        '3\n00:00:02.700 --> 00:00:03.200\n<v Tool>lookup_order({"id":42})',
+        '4\n00:00:03.200 --> 00:00:03.700\n<v Tool>lookup_order: completed. Shipped.',
+    ].join('\n\n') + '\n');
+    assert.match(bundle.transcript.markdown, /^# Voice session transcript\n\nStarted 2026-10-01T09:00:00.000Z, lasted 00:00:06\./);
+    assert.match(bundle.transcript.markdown, /\*\*\[00:00:02\] Tool call:\*\* `lookup_order` `\{"id":42\}`/);
+    assert.match(bundle.transcript.markdown, /\*\*\[00:00:03\] Tool result:\*\* `lookup_order` completed — Shipped\./);
+});
+
+test('transcripts still export when MediaRecorder is unavailable', async () => {
+    const client = fakeClient({ input: null, output: null });
+    const recorder = createVoiceRecorder(client, { MediaRecorder: undefined, now: () => 0 });
+    recorder.start();
+    client.emit('voice.text_sent', { text: 'Hello' });
+    const bundle = await recorder.stop();
+
+    assert.equal(bundle.audio, null);
+    assert.equal(bundle.entries[0].source, 'text');
+    assert.equal(transcriptToWebVtt([]), 'WEBVTT\n');
+});
+
+test('Markdown transcripts render spoken text literally', () => {
+    const markdown = transcriptToMarkdown([
+        { kind: 'speech', role: 'user', text: 'Use **bold** and <img src=x onerror=alert(1)>\n# not a heading', startMs: 0, endMs: 900 },
+        { kind: 'tool_result', name: 'lookup', status: 'failed', text: '[link](javascript:alert(1))', startMs: 1000, endMs: 1000 },
+    ]);
+
+    assert.equal(markdown, [
+        '# Voice session transcript',
+        '**[00:00:00] User:** Use \\*\\*bold\\*\\* and \\<img src=x onerror=alert(1)\\> # not a heading',
+        '**[00:00:01] Tool result:** `lookup` failed — \\[link\\](javascript:alert(1))',
+    ].join('\n\n') + '\n');
+});
+
+test('Markdown tool calls fence arguments that contain backticks', () => {
+    const markdown = transcriptToMarkdown([
+        { kind: 'tool_call', name: 'run_query', arguments: { sql: 'SELECT `id` FROM ``orders``' }, startMs: 0, endMs: 0 },
+        { kind: 'tool_call', name: 'echo', arguments: '`', startMs: 1000, endMs: 1000 },
+    ]);
+
+    assert.equal(markdown, [
+        '# Voice session transcript',
+        '**[00:00:00] Tool call:** `run_query` ```{"sql":"SELECT `id` FROM ``orders``"}```',
+        '**[00:00:01] Tool call:** `echo` ``"`"``',
+    ].join('\n\n') + '\n');
+});
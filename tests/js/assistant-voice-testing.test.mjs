@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+const asset = async (name) => readFile(new URL(`../../resources/assets/${name}`, import.meta.url), 'utf8');
+const dataUrl = (source) => `data:text/javascript;base64,${Buffer.from(source).toString('base64')}`;
+
+const voiceSource = (await asset('assistant-voice-client.js'))
+    .replace("'./assistant-client.js'", JSON.stringify(dataUrl(await asset('assistant-client.js'))))
+    .replace("'./assistant-voice-transports.js'", JSON.stringify(dataUrl(await asset('assistant-voice-transports.js'))));
+const { createRealtimeEventLog, createRealtimeVoiceClient } = await import(dataUrl(voiceSource));
+const {
+    createVoiceTestKit,
+    parseRealtimeEventLog,
+    replayRealtimeEventLog,
+} = await import(dataUrl(await asset('assistant-voice-testing.js')));
+
+async function until(predicate, attempts = 50) {
+    for (let attempt = 0; attempt < attempts; attempt += 1) {
+        if (predicate()) return;
+        await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+    assert.fail('Condition was not met.');
+}
+
+test('a recorded session replays through a fresh client and sends the same events', async () => {
+    const kit = createVoiceTestKit();
+    const client = createRealtimeVoiceClient({ ...kit.options, qualityIntervalMs: false, levels: false });
+    await client.connect();
+    assert.equal(client.isConnected(), true);
+    assert.equal(kit.requests[0].body.sdp, 'v=0\r\n');
+
+    let clock = 1000;
+    const log = createRealtimeEventLog(client, { now: () => clock });
+    const completed = new Promise((resolve) => client.on('tool.completed', resolve));
+    kit.receive({ type: 'input_audio_buffer.speech_started' });
+    clock += 400;
+    kit.receive({ type: 'response.created', response: { id: 'resp-1' } });
+    kit.receive({ type: 'response.output_audio.delta', response_id: 'resp-1', delta: 'AAAA' });
+    kit.receive({
+        type: 'response.function_call_arguments.done',
+        call_id: 'call-1',
+        name: 'create_course',
+        arguments: '{"title":"Algebra"}',
+    });
+    await completed;
+    await until(() => kit.sent().some((event) => event.type === 'response.create'));
+    clock += 250;
+    kit.receive({ type: 'response.done', response: { id: 'resp-1', status: 'completed', output: [] } });
+
+    const recording = log.toJsonl();
+    log.stop();
+    const entries = parseRealtimeEventLog(recording);
+    assert.equal(entries[0].t, 0);
+    assert.equal(entries.find((entry) => entry.event.type === 'response.output_audio.delta').event.delta, '');
+    assert.deepEqual(
+        entries.filter((entry) => entry.direction === 'out').map((entry) => entry.event.type),
+        ['conversation.item.create', 'response.create'],
+    );
+    assert.equal(kit.requests.at(-1).body.event.call_id, 'call-1');
+
+    const replayKit = createVoiceTestKit();
+    const replayClient = createRealtimeVoiceClient({ ...replayKit.options, qualityIntervalMs: false, levels: false });
+    await replayClient.connect();
+    const { sent, expected } = await replayRealtimeEventLog(replayClient, recording);
+
+    assert.deepEqual(sent, expected);
+    assert.equal(replayKit.requests.filter((request) => !request.body.sdp).length, 1);
+    await client.disconnect();
+    await replayClient.disconnect();
+    assert.equal(kit.tracks[0].stopped, true);
+    assert.equal(kit.peers[0].closed, true);
+});
+
+test('the kit answers Gemini sessions over its fake WebSocket and audio worklet', async () => {
+    const kit = createVoiceTestKit({ provider: 'gemini' });
+    const client = createRealtimeVoiceClient({ ...kit.options, qualityIntervalMs: false, levels: false });
+    const completed = [];
+    client.on('assistant.completed', ({ text }) => completed.push(text));
+
+    await client.connect({ provider: 'gemini' });
+    assert.equal(client.getTransport(), 'gemini');
+    assert.equal(kit.socket().url, 'wss://realtime.test/gemini?access_token=test-token');
+    assert.equal(kit.sent()[0].setup.model, 'models/gemini-live-2.5-flash');
+
+    kit.capture(new Float32Array(4800).fill(0.1));
+    assert.equal(kit.sent().at(-1).realtimeInput.audio.mimeType, 'audio/pcm;rate=16000');
+
+    kit.receive({ serverContent: { outputTranscription: { text: 'Hello there.' } } });
+    kit.receive({ serverContent: { turnComplete: true } });
+    await until(() => completed.length === 1);
+    assert.deepEqual(completed, ['Hello there.']);
+
+    await client.disconnect();
+    assert.equal(kit.socket().readyState, 3);
+    assert.equal(kit.audioContexts.every((context) => context.state === 'closed'), true);
+});
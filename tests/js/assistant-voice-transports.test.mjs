@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+const transportsSource = await readFile(
+    new URL('../../resources/assets/assistant-voice-transports.js', import.meta.url),
+    'utf8',
+);
+const {
+    audioLevel,
+    createGeminiEventTranslator,
+    decodePcm16,
+    encodePcm16,
+    geminiClientMessage,
+    geminiSetupMessage,
+    resamplePcm,
+} = await import(`data:text/javascript;base64,${Buffer.from(transportsSource).toString('base64')}`);
+
+test('PCM helpers encode little-endian 16-bit audio and resample it', () => {
+    const encoded = encodePcm16(new Float32Array([0, 1, -1, 2]));
+    assert.deepEqual([...Buffer.from(encoded, 'base64')], [0, 0, 0xff, 0x7f, 0x00, 0x80, 0xff, 0x7f]);
+    assert.deepEqual([...decodePcm16(encoded)], [0, 1, -1, 1]);
+    assert.equal(resamplePcm(new Float32Array(480), 48000, 16000).length, 160);
+    assert.deepEqual([...resamplePcm(new Float32Array([0, 0.5, 1, 1]), 48000, 24000)], [0, 1]);
+    assert.deepEqual(audioLevel(new Float32Array([0.5, -0.5, 0.5, -1])), { rms: Math.sqrt(0.4375), peak: 1 });
+    assert.deepEqual(audioLevel(new Float32Array()), { rms: 0, peak: 0 });
+});
+
+test('Gemini setup and client messages follow the Live API shapes', () => {
+    const { setup } = geminiSetupMessage({
+        payload: {
+            model: 'models/gemini-live-2.5-flash',
+            responseModalities: ['text'],
+            systemInstruction: { parts: [{ text: 'Be brief.' }] },
+            tools: [{ googleSearch: {} }, { type: 'function', name: 'agent_chat', description: 'Chat.', parameters: {} }],
+            realtimeInputConfig: { turnDetection: { type: 'server_vad' } },
+        },
+    }, { tools: [{ type: 'function', name: 'scroll_to', description: 'Scroll.', parameters: { type: 'object' } }] });
+
+    assert.equal(setup.model, 'models/gemini-live-2.5-flash');
+    assert.deepEqual(setup.generationConfig, { responseModalities: ['TEXT'] });
+    assert.deepEqual(setup.tools, [
+        { googleSearch: {} },
+        { functionDeclarations: [
+            { name: 'agent_chat', description: 'Chat.', parameters: {} },
+            { name: 'scroll_to', description: 'Scroll.', parameters: { type: 'object' } },
+        ] },
+    ]);
+    assert.equal('realtimeInputConfig' in setup, false);
+    assert.equal('outputAudioTranscription' in setup, false);
+
+    assert.deepEqual(geminiClientMessage({
+        type: 'conversation.item.create',
+        item: { type: 'function_call_output', call_id: 'call-1', output: '"done"' },
+    }, new Map([['call-1', 'scroll_to']])), {
+        toolResponse: { functionResponses: [{ id: 'call-1', name: 'scroll_to', response: { output: 'done' } }] },
+    });
+    assert.deepEqual(geminiClientMessage({
+        type: 'conversation.item.create',
+        item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'Hello' }] },
+    }), { clientContent: { turns: [{ role: 'user', parts: [{ text: 'Hello' }] }], turnComplete: true } });
+    assert.equal(geminiClientMessage({ type: 'response.create' }), null);
+});
+
+test('Gemini server messages translate to realtime events', () => {
+    const translator = createGeminiEventTranslator();
+    const types = (message) => translator.translate(message).map(({ type }) => type);
+
+    assert.deepEqual(types({ setupComplete: {} }), ['session.created']);
+    assert.deepEqual(types({ serverContent: { inputTranscription: { text: 'Hi' } } }), [
+        'conversation.item.input_audio_transcription.delta',
+    ]);
+    assert.deepEqual(types({ serverContent: { modelTurn: { parts: [{ text: 'Hello' }, { thought: true, text: 'hmm' }] } } }), [
+        'conversation.item.input_audio_transcription.completed',
+        'response.created',
+        'response.text.delta',
+    ]);
+    const [speech, done] = translator.translate({ serverContent: { interrupted: true } });
+    assert.equal(speech.type, 'input_audio_buffer.speech_started');
+    assert.equal(done.response.status, 'cancelled');
+    assert.equal(done.response.output[0].content[0].transcript, 'Hello');
+
+    const [created, call] = translator.translate({ toolCall: { functionCalls: [{ id: 'c1', name: 'lookup', args: {} }] } });
+    assert.equal(created.type, 'response.created');
+    assert.notEqual(created.response.id, done.response.id);
+    assert.deepEqual(call.toolCall.functionCalls[0].name, 'lookup');
+    assert.deepEqual(types({ serverContent: { turnComplete: true } }), ['response.done']);
+});
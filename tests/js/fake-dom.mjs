@@ -0,0 +1,171 @@
+// Just enough of the DOM for the custom elements in resources/assets to render,
+// bind, and react to clicks under node --test. Selectors support `.class` and tag names.
+
+class FakeElement {
+    constructor(tagName = 'div') {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map();
+        this.dataset = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = new Map();
+        this.hidden = false;
+        this.ownText = '';
+    }
+
+    get className() {
+        return this.attributes.get('class') || '';
+    }
+
+    set className(value) {
+        this.attributes.set('class', String(value));
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map((child) => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.replaceChildren();
+        this.ownText = String(value ?? '');
+    }
+
+    set innerHTML(html) {
+        this.replaceChildren();
+        const stack = [this];
+        for (const [, closing, tag, attributes, text] of html.matchAll(/<(\/?)([a-z]+)([^>]*)>|([^<]+)/g)) {
+            const parent = stack.at(-1);
+            if (text !== undefined) {
+                if (text.trim()) parent.ownText += text.trim();
+            } else if (closing) {
+                stack.pop();
+            } else {
+                const element = new FakeElement(tag);
+                for (const [, name, value = ''] of attributes.matchAll(/([a-z-]+)(?:="([^"]*)")?/g)) {
+                    element.setAttribute(name, value);
+                }
+                parent.append(element);
+                stack.push(element);
+            }
+        }
+    }
+
+    setAttribute(name, value) {
+        if (name === 'hidden') this.hidden = true;
+        else this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        if (name === 'hidden') return this.hidden ? '' : null;
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    hasAttribute(name) {
+        return this.getAttribute(name) !== null;
+    }
+
+    removeAttribute(name) {
+        if (name === 'hidden') this.hidden = false;
+        else this.attributes.delete(name);
+    }
+
+    append(...nodes) {
+        for (const node of nodes) {
+            node.parentNode = this;
+            this.children.push(node);
+        }
+    }
+
+    replaceChildren(...nodes) {
+        for (const child of this.children) child.parentNode = null;
+        this.children = [];
+        this.ownText = '';
+        this.append(...nodes);
+    }
+
+    matches(selector) {
+        return selector.startsWith('.')
+            ? this.className.split(/\s+/).includes(selector.slice(1))
+            : this.tagName === selector.toUpperCase();
+    }
+
+    querySelectorAll(selector) {
+        return this.children.flatMap((child) => [
+            ...(child.matches(selector) ? [child] : []),
+            ...child.querySelectorAll(selector),
+        ]);
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    addEventListener(name, listener) {
+        const listeners = this.listeners.get(name) || new Set();
+        listeners.add(listener);
+        this.listeners.set(name, listeners);
+    }
+
+    removeEventListener(name, listener) {
+        this.listeners.get(name)?.delete(listener);
+    }
+
+    dispatchEvent(event) {
+        for (const listener of [...(this.listeners.get(event.type) || [])]) listener(event);
+        return !event.defaultPrevented;
+    }
+
+    click() {
+        return this.dispatchEvent(new Event('click', { cancelable: true }));
+    }
+}
+
+export class FakeHTMLElement extends FakeElement {
+    constructor() {
+        super('host');
+        this.isConnected = false;
+        this.shadowRoot = null;
+    }
+
+    attachShadow() {
+        this.shadowRoot = new FakeElement('shadow-root');
+        return this.shadowRoot;
+    }
+
+    setAttribute(name, value) {
+        const previous = this.getAttribute(name);
+        super.setAttribute(name, value);
+        if (this.constructor.observedAttributes?.includes(name)) {
+            this.attributeChangedCallback?.(name, previous, String(value));
+        }
+    }
+}
+
+// Call before the element module is imported; it captures HTMLElement at load time.
+export function installFakeDom() {
+    globalThis.HTMLElement = FakeHTMLElement;
+    globalThis.document = { createElement: (tagName) => new FakeElement(tagName) };
+    globalThis.customElements = createRegistry();
+}
+
+export function createRegistry() {
+    const defined = new Map();
+    return {
+        get: (name) => defined.get(name),
+        define: (name, constructor) => defined.set(name, constructor),
+    };
+}
+
+export function mount(ElementClass, attributes = {}) {
+    const element = new ElementClass();
+    for (const [name, value] of Object.entries(attributes)) element.setAttribute(name, value);
+    element.isConnected = true;
+    element.connectedCallback();
+    return element;
+}
+
+export function unmount(element) {
+    element.isConnected = false;
+    element.disconnectedCallback();
+}
+
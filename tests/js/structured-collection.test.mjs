@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import test from 'node:test';
+
+// Just the form controls StructuredCollectionPreviewRenderer emits: labelled inputs,
+// selects and textareas, plus fieldsets wrapping radio and checkbox groups.
+class FakeNode {
+    constructor(tagName, properties = {}, children = []) {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = new Map(Object.entries(properties.attributes || {}));
+        this.parentNode = null;
+        this.children = [];
+        Object.assign(this, { ...properties, attributes: this.attributes });
+        for (const child of children) {
+            child.parentNode = this;
+            this.children.push(child);
+        }
+    }
+
+    get options() {
+        return this.children.filter((child) => child.tagName === 'OPTION');
+    }
+
+    get selectedOptions() {
+        return this.options.filter((option) => option.selected);
+    }
+
+    setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+    }
+
+    getAttribute(name) {
+        return this.attributes.has(name) ? this.attributes.get(name) : null;
+    }
+
+    removeAttribute(name) {
+        this.attributes.delete(name);
+    }
+
+    // Only the `tag[name]` lists the script queries and `.class` lookups.
+    matches(selector) {
+        return selector.split(',').map((part) => part.trim()).some((part) => part.startsWith('.')
+            ? (this.getAttribute('class') || '').split(/\s+/).includes(part.slice(1))
+            : part === `${this.tagName.toLowerCase()}[name]` && Boolean(this.name));
+    }
+
+    querySelectorAll(selector) {
+        return this.children.flatMap((child) => [
+            ...(child.matches(selector) ? [child] : []),
+            ...child.querySelectorAll(selector),
+        ]);
+    }
+
+    closest(selector) {
+        for (let node = this; node; node = node.parentNode) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    contains(node) {
+        for (; node; node = node.parentNode) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    dispatchEvent() {
+        return true;
+    }
+}
+
+const el = (tagName, properties, ...children) => new FakeNode(tagName, properties, children);
+const wrapper = (name, extraClass = '') => ({
+    attributes: { class: `ai-collection-field${extraClass}`, 'data-wrapper': name },
+});
+
+globalThis.window = {};
+globalThis.document = { activeElement: null, addEventListener() {} };
+
+const source = await readFile(new URL('../../resources/assets/structured-collection.js', import.meta.url), 'utf8');
+await import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+const { apply, collect } = globalThis.window.AIEngineStructuredCollection;
+
+function renderForm() {
+    const choice = (name, type, value, checked = false) => el('label', {}, el('input', { name, type, value, checked }));
+    const option = (value, selected = false) => el('option', { value, selected });
+
+    return el('form', { attributes: { class: 'ai-collection-form', 'data-ai-collection': 'enrollment', 'data-ai-status': 'collecting' } },
+        el('label', wrapper('name'), el('input', { name: 'name', type: 'text', value: '' })),
+        el('label', { attributes: { ...wrapper('notes').attributes, 'data-ai-missing': 'true' } },
+            el('textarea', { name: 'notes', value: '' })),
+        el('fieldset', wrapper('plan', ' ai-collection-choice-field'),
+            choice('plan', 'radio', 'basic', true),
+            choice('plan', 'radio', 'pro')),
+        el('fieldset', wrapper('topics', ' ai-collection-choice-field'),
+            choice('topics[]', 'checkbox', 'algebra'),
+            choice('topics[]', 'checkbox', 'geometry', true),
+            choice('topics[]', 'checkbox', 'calculus')),
+        el('label', wrapper('days'),
+            el('select', { name: 'days[]', multiple: true }, option('mon', true), option('wed'), option('fri'))),
+        el('label', wrapper('subscribe', ' ai-collection-field-checkbox'),
+            el('input', { name: 'subscribe', type: 'checkbox', value: '1', checked: false })),
+    );
+}
+
+const field = (form, name) => form.querySelectorAll('input[name], select[name], textarea[name]')
+    .find((node) => node.name === name);
+const wrapperOf = (form, name) => form.querySelectorAll('.ai-collection-field')
+    .find((node) => node.getAttribute('data-wrapper') === name);
+
+test('apply writes text, radio, checkbox group, multi-select and boolean values', () => {
+    const form = renderForm();
+    document.activeElement = null;
+
+    const result = apply(form, {
+        name: 'Ada',
+        notes: { level: 2 },
+        plan: 'pro',
+        topics: ['algebra', 'calculus'],
+        days: ['wed', 'fri'],
+        subscribe: 'yes',
+        unknown: 'ignored',
+    });
+
+    assert.deepEqual(result, { applied: ['name', 'notes', 'plan', 'topics', 'days', 'subscribe'], skipped: [] });
+    assert.deepEqual(collect(form), {
+        name: 'Ada',
+        notes: '{"level":2}',
+        plan: 'pro',
+        topics: ['algebra', 'calculus'],
+        days: ['wed', 'fri'],
+        subscribe: true,
+    });
+    assert.equal(form.getAttribute('data-ai-status'), 'collecting');
+    assert.equal(wrapperOf(form, 'notes').getAttribute('data-ai-missing'), 'true');
+});
+
+test('missing fields mark their wrapper and clear the rest, and the status lands on the form', () => {
+    const form = renderForm();
+    document.activeElement = null;
+
+    apply(form, {}, { missingFields: ['name', 'topics'], status: 'awaiting_confirmation' });
+
+    assert.equal(form.getAttribute('data-ai-status'), 'awaiting_confirmation');
+    assert.equal(wrapperOf(form, 'name').getAttribute('data-ai-missing'), 'true');
+    assert.equal(wrapperOf(form, 'topics').getAttribute('data-ai-missing'), 'true');
+    assert.equal(wrapperOf(form, 'notes').getAttribute('data-ai-missing'), null);
+    assert.equal(field(form, 'name').getAttribute('data-ai-missing'), null);
+
+    apply(form, {}, { missingFields: [] });
+    assert.equal(form.querySelectorAll('.ai-collection-field').some((node) => node.getAttribute('data-ai-missing')), false);
+});
+
+test('the field or group being edited is skipped while the others update', () => {
+    const form = renderForm();
+    document.activeElement = form.querySelectorAll('input[name]').find((node) => node.name === 'topics[]' && node.value === 'calculus');
+
+    const result = apply(form, { name: 'Grace', plan: 'pro', topics: ['algebra'] });
+
+    assert.deepEqual(result, { applied: ['name', 'plan'], skipped: ['topics'] });
+    assert.deepEqual(collect(form).topics, ['geometry']);
+    assert.equal(collect(form).plan, 'pro');
+
+    document.activeElement = field(form, 'name');
+    assert.deepEqual(apply(form, { name: 'Linus', days: 'mon' }), { applied: ['days'], skipped: ['name'] });
+    assert.equal(field(form, 'name').value, 'Grace');
+    assert.deepEqual(collect(form).days, ['mon']);
+
+    document.activeElement = { name: 'name', parentNode: null };
+    assert.deepEqual(apply(form, { name: 'Linus' }), { applied: ['name'], skipped: [] });
+});